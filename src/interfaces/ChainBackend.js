@@ -0,0 +1,74 @@
+/**
+ * Chain backend interface and type definitions
+ *
+ * AgentWallet, PaymentVerifier and BridgeLayer talk to the chain only through
+ * this interface, so an in-memory ledger and a JSON-RPC backend are
+ * interchangeable.
+ */
+
+/**
+ * @typedef {Object} ChainReceipt
+ * @property {string} hash - Transaction hash
+ * @property {string} status - Status (pending, confirmed, failed)
+ * @property {number|null} blockNumber - Block the transaction was included in
+ * @property {number|null} blockTime - Timestamp of that block
+ * @property {number} confirmations - Blocks since inclusion (0 while pending)
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} amount - Transferred amount
+ * @property {string} asset - Asset type
+ * @property {string} [memo] - Payment memo
+ * @property {Object} [metadata] - Payment metadata
+ * @property {number} timestamp - Timestamp the sender signed
+ * @property {number} [nonce] - Sender nonce (transactions sent through a TransactionManager)
+ * @property {string} [maxFeePerGas] - Signed max fee per gas in wei
+ * @property {string} [maxPriorityFeePerGas] - Signed priority fee per gas in wei
+ * @property {string} [replacedBy] - Transaction that replaced this one at the same nonce
+ * @property {string} [reason] - Failure reason (if status=failed)
+ */
+
+/**
+ * @typedef {Object} ChannelState
+ * @property {string} id - Channel identifier (hash of the open transaction)
+ * @property {string} payer - Address that funded the channel
+ * @property {string} payee - Address vouchers pay out to
+ * @property {string} asset - Asset type
+ * @property {string} deposit - Amount locked in the channel
+ * @property {number} disputeWindow - Time the payee has to challenge a payer's close, in ms
+ * @property {string} status - Status (open, closing, settled)
+ * @property {string|null} closingAmount - Amount the payee receives on settlement
+ * @property {number|null} closingSequence - Sequence of the voucher being settled
+ * @property {number|null} closesAt - Time after which the channel can be settled
+ */
+
+/**
+ * @typedef {Object} ChainBackend
+ * @property {function(Object): Promise<string>} sendTransaction - Submit a signed transaction, resolves to its hash
+ * @property {function(string): Promise<ChainReceipt|null>} getTransactionReceipt - Look up a transaction receipt
+ * @property {function(string, string): Promise<string>} getBalance - Balance of an address for an asset
+ * @property {function(): Promise<number>} getBlockNumber - Current block height
+ * @property {function(string, string): Promise<number>} [getTransactionCount] - Next nonce of an address
+ *   ('latest' or 'pending'); TransactionManager resumes from it after a restart
+ * @property {function(string): Promise<ChannelState|null>} [getChannel] - Payment channel state (channel-capable backends)
+ * @property {function(number, number[]): Promise<Object>} [getFeeHistory] - eth_feeHistory-shaped fee data
+ *   ({ baseFeePerGas, reward }) for GasOptimizer
+ */
+
+export const ChainBackendInterface = {
+  ChainReceipt: /** @type {ChainReceipt} */ ({}),
+  ChannelState: /** @type {ChannelState} */ ({}),
+  ChainBackend: /** @type {ChainBackend} */ ({})
+}
+
+/**
+ * Ensure a chain backend is configured
+ * @param {ChainBackend} chain - Chain backend
+ * @returns {ChainBackend} The chain backend
+ */
+export function requireChain(chain) {
+  if (!chain) {
+    throw new Error('No chain backend configured')
+  }
+
+  return chain
+}
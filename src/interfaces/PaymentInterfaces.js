@@ -26,6 +26,19 @@
  * @property {string} [reason] - Reason for invalidity (if valid=false)
  */
 
+/**
+ * @typedef {Object} PaymentRequirements
+ * @property {string} amount - Required payment amount as string
+ * @property {string} asset - Asset type (USDC, ETH, etc.)
+ * @property {string} to - Recipient address the payment must be sent to
+ * @property {string} network - Network the payment must settle on
+ * @property {number} deadline - Timestamp after which the requirements expire
+ * @property {string} [resource] - Resource the payment unlocks
+ * @property {string} [description] - Human-readable description
+ * @property {Object} [quote] - Signed price quote to echo back in X-402-Quote (see PriceQuoter)
+ * @property {Object} [multiSig] - Co-signers the payment needs ({ signers, threshold }, see MultiSig)
+ */
+
 /**
  * @typedef {Object} Transaction
  * @property {string} hash - Transaction hash
@@ -35,7 +48,8 @@
  * @property {string} to - Recipient address
  * @property {number} timestamp - Transaction timestamp
  * @property {Object} [metadata] - Transaction metadata
- * @property {Object} [signer] - Signer object for proof generation
+ * @property {string} [service] - Service paid for (default: metadata.service)
+ * @property {Object} [signer] - Proof signing key ({ keyId, algorithm, privateKey }, see KeyRing)
  */
 
 /**
@@ -47,6 +61,8 @@
  * @property {Object} [result] - Job execution result
  * @property {number} [startTime] - Job start timestamp
  * @property {number} [endTime] - Job end timestamp
+ * @property {Object} [context] - Execution context the job was run with
+ * @property {string} [error] - Error message (if failed)
  */
 
 /**
@@ -56,6 +72,9 @@
  * @property {number} load - Current load (0-100)
  * @property {string[]} capabilities - List of capabilities
  * @property {boolean} available - Whether node is available
+ * @property {number} [weight] - Relative weight for weighted routing
+ * @property {number} [latency] - Observed latency in ms
+ * @property {number} [lastHeartbeat] - Timestamp of the last heartbeat
  */
 
 /**
@@ -63,25 +82,35 @@
  * @property {string} to - Recipient address
  * @property {string} amount - Split amount
  * @property {string} asset - Asset type
- * @property {number} share - Percentage share (0-100)
+ * @property {string} share - Share label (e.g., "33.33%", "2500 bps")
  * @property {string} memo - Payment memo
+ * @property {string} status - Leg status (paid, failed, skipped, compensated, uncompensated)
+ * @property {string} [txHash] - Transaction that paid the leg
+ * @property {string} [error] - Failure reason (if failed)
  */
 
 /**
  * @typedef {Object} AuditLogEntry
  * @property {string} jobId - Job identifier
  * @property {string} txHash - Transaction hash
- * @property {string} status - Status (completed, failed)
+ * @property {string} status - Status (completed, failed, refunded, refund_retried, refund_failed)
  * @property {number} timestamp - Timestamp
  * @property {Object} [result] - Result data
  * @property {string} [error] - Error message (if failed)
+ * @property {string} [refundTxHash] - Refund transaction for a failed paid job
+ * @property {string} [refundOf] - Payment a refund entry refunds
+ * @property {string} [rule] - Spending policy rule broken (policy_violation entries, see SpendingPolicy)
  * @property {string} service - Service name
  * @property {string} version - Service version
+ * @property {number} [sequence] - Position in the audit chain
+ * @property {string} [prevHash] - Hash of the previous entry in the chain
+ * @property {string} [hash] - Hash of this entry (covers sequence and prevHash)
  */
 
 export const PaymentInterfaces = {
   PaymentRequest: /** @type {PaymentRequest} */ ({}),
   PaymentReceipt: /** @type {PaymentReceipt} */ ({}),
+  PaymentRequirements: /** @type {PaymentRequirements} */ ({}),
   Transaction: /** @type {Transaction} */ ({}),
   Job: /** @type {Job} */ ({}),
   AgentNode: /** @type {AgentNode} */ ({}),
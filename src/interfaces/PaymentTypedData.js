@@ -0,0 +1,279 @@
+/**
+ * EIP-712 typed data definitions for x402 payments
+ */
+
+/**
+ * Chain IDs for supported networks
+ */
+export const CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  base: 8453,
+  'base-sepolia': 84532,
+  polygon: 137,
+  arbitrum: 42161,
+  optimism: 10
+}
+
+/**
+ * EIP-712 types for a payment authorization
+ */
+export const PAYMENT_TYPES = {
+  Payment: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'asset', type: 'string' },
+    { name: 'memo', type: 'string' },
+    { name: 'metadata', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' },
+    { name: 'maxPriorityFeePerGas', type: 'uint256' }
+  ]
+}
+
+/**
+ * EIP-712 types for a batch of transfers settled in one transaction
+ */
+export const PAYMENT_BATCH_TYPES = {
+  PaymentBatch: [
+    { name: 'from', type: 'address' },
+    { name: 'transfers', type: 'Transfer[]' },
+    { name: 'memo', type: 'string' },
+    { name: 'metadata', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' },
+    { name: 'maxPriorityFeePerGas', type: 'uint256' }
+  ],
+  Transfer: [
+    { name: 'to', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'asset', type: 'string' },
+    { name: 'memo', type: 'string' }
+  ]
+}
+
+/**
+ * EIP-712 types for an on-chain payment channel operation
+ * (open, close, challenge, settle)
+ */
+export const CHANNEL_OPERATION_TYPES = {
+  ChannelOperation: [
+    { name: 'from', type: 'address' },
+    { name: 'action', type: 'string' },
+    { name: 'channelId', type: 'string' },
+    { name: 'to', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'asset', type: 'string' },
+    { name: 'disputeWindow', type: 'uint256' },
+    { name: 'voucher', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' },
+    { name: 'maxPriorityFeePerGas', type: 'uint256' }
+  ]
+}
+
+/**
+ * EIP-712 types for an off-chain channel voucher; amount is cumulative
+ */
+export const VOUCHER_TYPES = {
+  Voucher: [
+    { name: 'channelId', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'sequence', type: 'uint256' }
+  ]
+}
+
+/**
+ * EIP-712 types for a server-issued price quote
+ */
+export const QUOTE_TYPES = {
+  Quote: [
+    { name: 'amount', type: 'string' },
+    { name: 'asset', type: 'string' },
+    { name: 'resource', type: 'string' },
+    { name: 'payTo', type: 'string' },
+    { name: 'expiresAt', type: 'uint256' },
+    { name: 'nonce', type: 'string' }
+  ]
+}
+
+/**
+ * EIP-712 types for a co-signer's approval of a multi-sig payment
+ */
+export const APPROVAL_TYPES = {
+  PaymentApproval: [
+    { name: 'payer', type: 'string' },
+    { name: 'nonce', type: 'string' },
+    { name: 'resource', type: 'string' },
+    { name: 'payTo', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'asset', type: 'string' }
+  ]
+}
+
+/**
+ * Build the EIP-712 domain for a network
+ * @param {string} network - Network name
+ * @returns {Object} Typed data domain
+ */
+export function getPaymentDomain(network) {
+  const domain = { name: 'x402', version: '1' }
+
+  if (CHAIN_IDS[network] !== undefined) {
+    domain.chainId = CHAIN_IDS[network]
+  }
+
+  return domain
+}
+
+/**
+ * Build EIP-712 typed data for a payment transaction
+ *
+ * Transactions carrying a transfers array are encoded as a PaymentBatch,
+ * and transactions carrying a channel operation as a ChannelOperation.
+ * @param {Object} transaction - Payment transaction
+ * @param {string} network - Network name
+ * @returns {Object} Typed data ({ domain, types, primaryType, message })
+ */
+export function buildPaymentTypedData(transaction, network) {
+  if (transaction.channel) {
+    const { channel } = transaction
+
+    return {
+      domain: getPaymentDomain(network),
+      types: CHANNEL_OPERATION_TYPES,
+      primaryType: 'ChannelOperation',
+      message: {
+        from: transaction.from,
+        action: channel.action,
+        channelId: channel.channelId || '',
+        to: transaction.to || '',
+        amount: String(transaction.amount ?? '0'),
+        asset: transaction.asset || '',
+        disputeWindow: channel.disputeWindow || 0,
+        voucher: channel.voucher ? JSON.stringify(channel.voucher) : '',
+        timestamp: transaction.timestamp,
+        ...replacementFields(transaction)
+      }
+    }
+  }
+
+  if (Array.isArray(transaction.transfers)) {
+    return {
+      domain: getPaymentDomain(network),
+      types: PAYMENT_BATCH_TYPES,
+      primaryType: 'PaymentBatch',
+      message: {
+        from: transaction.from,
+        transfers: transaction.transfers.map(transfer => ({
+          to: transfer.to,
+          amount: String(transfer.amount),
+          asset: transfer.asset,
+          memo: transfer.memo || ''
+        })),
+        memo: transaction.memo || '',
+        metadata: JSON.stringify(transaction.metadata || {}),
+        timestamp: transaction.timestamp,
+        ...replacementFields(transaction)
+      }
+    }
+  }
+
+  return {
+    domain: getPaymentDomain(network),
+    types: PAYMENT_TYPES,
+    primaryType: 'Payment',
+    message: {
+      from: transaction.from,
+      to: transaction.to,
+      amount: String(transaction.amount),
+      asset: transaction.asset,
+      memo: transaction.memo || '',
+      metadata: JSON.stringify(transaction.metadata || {}),
+      timestamp: transaction.timestamp,
+      ...replacementFields(transaction)
+    }
+  }
+}
+
+/**
+ * Build EIP-712 typed data for a channel voucher
+ * @param {Object} voucher - Voucher ({ channelId, amount, sequence })
+ * @param {string} network - Network name
+ * @returns {Object} Typed data ({ domain, types, primaryType, message })
+ */
+export function buildVoucherTypedData(voucher, network) {
+  return {
+    domain: getPaymentDomain(network),
+    types: VOUCHER_TYPES,
+    primaryType: 'Voucher',
+    message: {
+      channelId: voucher.channelId,
+      amount: String(voucher.amount),
+      sequence: voucher.sequence
+    }
+  }
+}
+
+/**
+ * Build EIP-712 typed data for a price quote
+ * @param {Object} quote - Quote ({ amount, asset, resource, payTo, expiresAt, nonce })
+ * @param {string} network - Network name
+ * @returns {Object} Typed data ({ domain, types, primaryType, message })
+ */
+export function buildQuoteTypedData(quote, network) {
+  return {
+    domain: getPaymentDomain(network),
+    types: QUOTE_TYPES,
+    primaryType: 'Quote',
+    message: {
+      amount: String(quote.amount),
+      asset: quote.asset,
+      resource: quote.resource,
+      payTo: quote.payTo,
+      expiresAt: quote.expiresAt,
+      nonce: quote.nonce
+    }
+  }
+}
+
+/**
+ * Build EIP-712 typed data for a multi-sig payment approval
+ * @param {Object} approval - Approval ({ payer, nonce, resource, payTo, amount, asset })
+ * @param {string} network - Network name
+ * @returns {Object} Typed data ({ domain, types, primaryType, message })
+ */
+export function buildApprovalTypedData(approval, network) {
+  return {
+    domain: getPaymentDomain(network),
+    types: APPROVAL_TYPES,
+    primaryType: 'PaymentApproval',
+    // Addresses are lowercased so signer and verifier agree on one spelling
+    message: {
+      payer: approval.payer.toLowerCase(),
+      nonce: approval.nonce,
+      resource: approval.resource || '',
+      payTo: approval.payTo.toLowerCase(),
+      amount: String(approval.amount),
+      asset: approval.asset
+    }
+  }
+}
+
+/**
+ * Nonce and fee fields of a transaction's typed data; transactions sent
+ * without a transaction manager sign zeros
+ * @param {Object} transaction - Transaction
+ * @returns {Object} { nonce, maxFeePerGas, maxPriorityFeePerGas }
+ */
+function replacementFields(transaction) {
+  return {
+    nonce: transaction.nonce ?? 0,
+    maxFeePerGas: transaction.maxFeePerGas ?? 0,
+    maxPriorityFeePerGas: transaction.maxPriorityFeePerGas ?? 0
+  }
+}
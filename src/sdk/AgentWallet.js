@@ -3,12 +3,26 @@
  * Handles wallet operations and agent-to-agent payments
  */
 
+import { privateKeyToAddress, signMessage, signTypedData } from '../utils/EthCrypto.js'
+import { buildPaymentTypedData, buildVoucherTypedData } from '../interfaces/PaymentTypedData.js'
+import { requireChain } from '../interfaces/ChainBackend.js'
+import { TransactionManager } from './TransactionManager.js'
+
 export class AgentWallet {
   constructor(config = {}) {
     this.privateKey = config.privateKey
     this.network = config.network || 'mainnet'
     this.provider = config.provider
+    this.chain = config.chain
+    this.pollInterval = config.pollInterval || 2000
+    this.policy = config.policy || null
     this.address = this.deriveAddress(config.privateKey)
+    this.transactions = config.transactionManager || new TransactionManager({
+      wallet: this,
+      gasOptimizer: config.gasOptimizer,
+      store: config.transactionStore,
+      path: config.transactionPath
+    })
   }
 
   /**
@@ -20,6 +34,7 @@ export class AgentWallet {
    * @param {string} [payment.memo] - Payment memo
    * @param {Object} [payment.metadata] - Payment metadata
    * @returns {Promise<Object>} Payment transaction object
+   * @throws {PolicyViolationError} If the wallet's spending policy rejects the payment
    */
   async pay(payment) {
     const { to, amount, asset, memo, metadata } = payment
@@ -35,27 +50,181 @@ export class AgentWallet {
       timestamp: Date.now()
     }
 
-    // Sign transaction
-    const signedTx = await this.signTransaction(transaction)
-    
-    // Broadcast transaction
-    const txHash = await this.broadcastTransaction(signedTx)
+    return this.submit(transaction)
+  }
+
+  /**
+   * Create a single transaction paying several recipients atomically
+   *
+   * Either every transfer lands or none does.
+   * @param {Object} batch - Batch details
+   * @param {Array} batch.transfers - Transfers ({ to, amount, asset, memo })
+   * @param {string} [batch.memo] - Batch memo
+   * @param {Object} [batch.metadata] - Batch metadata
+   * @returns {Promise<Object>} Payment transaction object
+   */
+  async payBatch(batch) {
+    const { transfers, memo, metadata } = batch
+
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      throw new Error('Batch payment requires at least one transfer')
+    }
+
+    const transaction = {
+      from: this.address,
+      transfers: transfers.map(transfer => ({
+        to: transfer.to,
+        amount: transfer.amount,
+        asset: transfer.asset || 'USDC',
+        memo: transfer.memo || ''
+      })),
+      memo: memo || '',
+      metadata: metadata || {},
+      timestamp: Date.now()
+    }
+
+    return this.submit(transaction)
+  }
+
+  /**
+   * Open a payment channel by locking a deposit on-chain
+   *
+   * The channel ID is the hash of the open transaction.
+   * @param {Object} channel - Channel details
+   * @param {string} channel.to - Payee address
+   * @param {string} channel.deposit - Amount to lock
+   * @param {string} [channel.asset] - Asset type (default: USDC)
+   * @param {number} [channel.disputeWindow] - Challenge period after a payer close, in ms
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async openChannel({ to, deposit, asset, disputeWindow }) {
+    return this.sendChannelOperation({ action: 'open', disputeWindow }, {
+      to,
+      amount: deposit,
+      asset: asset || 'USDC'
+    })
+  }
+
+  /**
+   * Sign a channel voucher for a cumulative amount
+   * @param {Object} voucher - Voucher ({ channelId, amount, sequence })
+   * @returns {Promise<Object>} Signed voucher
+   */
+  async signVoucher({ channelId, amount, sequence }) {
+    const voucher = { channelId, amount: String(amount), sequence }
 
     return {
-      hash: txHash,
-      ...transaction,
-      wait: (options) => this.waitForConfirmation(txHash, options)
+      ...voucher,
+      signature: signTypedData(buildVoucherTypedData(voucher, this.network), this.privateKey)
+    }
+  }
+
+  /**
+   * Start closing a channel, optionally with the latest voucher
+   * @param {string} channelId - Channel identifier
+   * @param {Object} [voucher] - Latest signed voucher
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async closeChannel(channelId, voucher) {
+    return this.sendChannelOperation({ action: 'close', channelId, voucher })
+  }
+
+  /**
+   * Challenge a closing channel with a later voucher
+   * @param {string} channelId - Channel identifier
+   * @param {Object} voucher - Signed voucher with a higher sequence
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async challengeChannel(channelId, voucher) {
+    return this.sendChannelOperation({ action: 'challenge', channelId, voucher })
+  }
+
+  /**
+   * Settle a closing channel once its dispute window has ended
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async settleChannel(channelId) {
+    return this.sendChannelOperation({ action: 'settle', channelId })
+  }
+
+  /**
+   * Sign and broadcast a channel operation
+   * @param {Object} channel - Channel operation ({ action, channelId, voucher, disputeWindow })
+   * @param {Object} [fields] - Transfer fields ({ to, amount, asset })
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async sendChannelOperation(channel, fields = {}) {
+    const transaction = {
+      from: this.address,
+      ...fields,
+      channel,
+      timestamp: Date.now()
+    }
+
+    return this.submit(transaction)
+  }
+
+  /**
+   * Check a transaction against the spending policy, then send it through
+   * the transaction manager, which assigns its nonce and fees
+   *
+   * Payments, batches and channel deposits go through the policy; later
+   * channel operations move no new funds and skip it.
+   * @param {Object} transaction - Transaction object
+   * @param {Object} [options] - Send options for the transaction manager ({ beforeBroadcast })
+   * @returns {Promise<Object>} Transaction object with hash, signature and wait()
+   * @throws {PolicyViolationError} If the policy rejects the transaction
+   */
+  async submit(transaction, options) {
+    const spends = !transaction.channel || transaction.channel.action === 'open'
+    const reservation = this.policy && spends ? await this.policy.authorize(transaction) : null
+
+    try {
+      return await this.transactions.send(transaction, options)
+    } catch (error) {
+      if (reservation) {
+        await this.policy.release(reservation)
+      }
+      throw error
     }
   }
 
+  /**
+   * Replace a pending transaction with the same one at a higher fee
+   * @param {string} txHash - Pending transaction hash
+   * @param {Object} [options] - Options ({ bumpPercent })
+   * @returns {Promise<Object>} Replacement transaction object
+   */
+  async speedUp(txHash, options) {
+    return this.transactions.speedUp(txHash, options)
+  }
+
+  /**
+   * Cancel a pending transaction
+   * @param {string} txHash - Pending transaction hash
+   * @param {Object} [options] - Options ({ bumpPercent })
+   * @returns {Promise<Object>} Cancelling transaction object
+   */
+  async cancelTransaction(txHash, options) {
+    return this.transactions.cancel(txHash, options)
+  }
+
+  /**
+   * Transactions sent but not yet confirmed
+   * @returns {Promise<Array>} Pending transaction records
+   */
+  async getPendingTransactions() {
+    return this.transactions.listTransactions('pending')
+  }
+
   /**
    * Get wallet balance
    * @param {string} [asset] - Asset type (default: USDC)
    * @returns {Promise<string>} Balance as string
    */
   async getBalance(asset = 'USDC') {
-    // Implementation would query blockchain
-    return '0'
+    return requireChain(this.chain).getBalance(this.address, asset)
   }
 
   /**
@@ -63,7 +232,8 @@ export class AgentWallet {
    * @param {string} txHash - Transaction hash
    * @param {Object} [options] - Wait options
    * @param {number} [options.confirmations] - Number of confirmations required
-   * @returns {Promise<Object>} Transaction receipt
+   * @param {number} [options.timeout] - Maximum time to wait in ms
+   * @returns {Promise<Object>} Transaction receipt (status 'confirmed' or 'failed')
    */
   async waitForConfirmation(txHash, options = {}) {
     const confirmations = options.confirmations || 1
@@ -74,6 +244,10 @@ export class AgentWallet {
     while (Date.now() - startTime < maxWait) {
       const receipt = await this.getTransactionReceipt(txHash)
       
+      if (receipt && receipt.status === 'failed') {
+        return receipt
+      }
+
       if (receipt && receipt.confirmations >= confirmations) {
         return {
           status: 'confirmed',
@@ -82,7 +256,7 @@ export class AgentWallet {
       }
       
       // Wait before next check
-      await new Promise(resolve => setTimeout(resolve, 2000))
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval))
     }
     
     throw new Error('Transaction confirmation timeout')
@@ -90,48 +264,65 @@ export class AgentWallet {
 
   /**
    * Derive address from private key
-   * @param {string} privateKey - Private key
-   * @returns {string} Wallet address
+   * @param {string} privateKey - secp256k1 private key (hex)
+   * @returns {string} EIP-55 checksummed wallet address
    */
   deriveAddress(privateKey) {
-    // Implementation would derive address from private key
-    // This is a placeholder
-    return '0x' + privateKey.substring(0, 40)
+    if (!privateKey) {
+      throw new Error('AgentWallet requires a private key')
+    }
+
+    return privateKeyToAddress(privateKey)
   }
 
   /**
-   * Sign a transaction
+   * Sign a transaction as EIP-712 payment typed data
    * @param {Object} transaction - Transaction object
-   * @returns {Promise<string>} Signed transaction
+   * @returns {Promise<Object>} Signed transaction (transaction plus signature)
    */
   async signTransaction(transaction) {
-    // Implementation would use crypto library to sign
-    return JSON.stringify(transaction) + '_signed'
+    const typedData = buildPaymentTypedData(transaction, this.network)
+
+    return {
+      ...transaction,
+      signature: signTypedData(typedData, this.privateKey)
+    }
+  }
+
+  /**
+   * Sign an EIP-191 personal message
+   * @param {string} message - Message to sign
+   * @returns {Promise<string>} Signature
+   */
+  async signMessage(message) {
+    return signMessage(message, this.privateKey)
+  }
+
+  /**
+   * Sign EIP-712 typed data
+   * @param {Object} typedData - Typed data ({ domain, types, primaryType, message })
+   * @returns {Promise<string>} Signature
+   */
+  async signTypedData(typedData) {
+    return signTypedData(typedData, this.privateKey)
   }
 
   /**
    * Broadcast transaction to network
-   * @param {string} signedTx - Signed transaction
+   * @param {Object} signedTx - Signed transaction
    * @returns {Promise<string>} Transaction hash
    */
   async broadcastTransaction(signedTx) {
-    // Implementation would broadcast to blockchain
-    return '0x' + crypto.randomUUID().replace(/-/g, '')
+    return requireChain(this.chain).sendTransaction(signedTx)
   }
 
   /**
    * Get transaction receipt
    * @param {string} txHash - Transaction hash
-   * @returns {Promise<Object>} Transaction receipt
+   * @returns {Promise<Object|null>} Transaction receipt
    */
   async getTransactionReceipt(txHash) {
-    // Implementation would query blockchain
-    return {
-      hash: txHash,
-      confirmations: 1,
-      blockNumber: 12345678,
-      status: 'confirmed'
-    }
+    return requireChain(this.chain).getTransactionReceipt(txHash)
   }
 }
 
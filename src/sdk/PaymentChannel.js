@@ -0,0 +1,132 @@
+/**
+ * Payment Channel SDK
+ * Payer side of a payment channel: one on-chain deposit, then signed vouchers per request
+ */
+
+import { toBaseUnits, fromBaseUnits } from '../utils/Amount.js'
+import { encodeVoucherHeader } from '../utils/ChannelVoucher.js'
+
+export class PaymentChannel {
+  /**
+   * @param {Object} config - Channel state
+   * @param {AgentWallet} config.wallet - Payer wallet
+   * @param {string} config.channelId - Channel identifier
+   * @param {string} config.to - Payee address
+   * @param {string} config.deposit - Locked deposit
+   * @param {string} [config.asset] - Asset type (default: USDC)
+   * @param {string} [config.spent] - Cumulative amount already promised (default: 0)
+   * @param {number} [config.sequence] - Sequence of the last voucher (default: 0)
+   */
+  constructor(config = {}) {
+    this.wallet = config.wallet
+    this.channelId = config.channelId
+    this.to = config.to
+    this.asset = config.asset || 'USDC'
+    this.deposit = config.deposit
+    this.spent = config.spent || '0'
+    this.sequence = config.sequence || 0
+    this.latestVoucher = config.latestVoucher || null
+  }
+
+  /**
+   * Open a channel and wait for the deposit to confirm
+   * @param {AgentWallet} wallet - Payer wallet
+   * @param {Object} options - Channel options (see AgentWallet.openChannel)
+   * @param {number} [options.confirmations] - Confirmations to wait for (default: 1)
+   * @returns {Promise<PaymentChannel>} Open channel
+   */
+  static async open(wallet, options) {
+    const tx = await wallet.openChannel(options)
+    const receipt = await tx.wait({ confirmations: options.confirmations || 1 })
+
+    if (receipt.status !== 'confirmed') {
+      throw new Error(receipt.reason || 'Channel open failed')
+    }
+
+    return new PaymentChannel({
+      wallet,
+      channelId: tx.hash,
+      to: tx.to,
+      asset: tx.asset,
+      deposit: tx.amount
+    })
+  }
+
+  /**
+   * Amount still available in the channel
+   * @returns {string} Remaining deposit
+   */
+  get remaining() {
+    return fromBaseUnits(toBaseUnits(this.deposit, this.asset) - toBaseUnits(this.spent, this.asset), this.asset)
+  }
+
+  /**
+   * Pay an amount by signing the next voucher
+   * @param {string} amount - Amount to add to the cumulative total
+   * @returns {Promise<Object>} Signed voucher
+   */
+  async pay(amount) {
+    const cumulative = toBaseUnits(this.spent, this.asset) + toBaseUnits(amount, this.asset)
+
+    if (cumulative > toBaseUnits(this.deposit, this.asset)) {
+      throw new Error(`Channel deposit exhausted: ${this.remaining} ${this.asset} remaining`)
+    }
+
+    // Reserve the amount and sequence before signing so concurrent calls
+    // never sign the same sequence
+    this.spent = fromBaseUnits(cumulative, this.asset)
+    this.sequence += 1
+
+    const voucher = await this.wallet.signVoucher({
+      channelId: this.channelId,
+      amount: this.spent,
+      sequence: this.sequence
+    })
+
+    if (!this.latestVoucher || voucher.sequence > this.latestVoucher.sequence) {
+      this.latestVoucher = voucher
+    }
+
+    return voucher
+  }
+
+  /**
+   * Build request headers paying an amount through the channel
+   * @param {string} amount - Amount to pay
+   * @returns {Promise<Object>} X-402-Payment and X-402-Voucher headers
+   */
+  async paymentHeaders(amount) {
+    const voucher = await this.pay(amount)
+
+    return {
+      'X-402-Payment': `${amount} ${this.asset}`,
+      'X-402-Voucher': encodeVoucherHeader(voucher)
+    }
+  }
+
+  /**
+   * Start closing the channel with the latest voucher; the payee can
+   * challenge with a later one until the dispute window ends
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async close() {
+    return this.wallet.closeChannel(this.channelId, this.latestVoucher || undefined)
+  }
+
+  /**
+   * Settle the channel after the dispute window
+   * @returns {Promise<Object>} Channel transaction object
+   */
+  async settle() {
+    return this.wallet.settleChannel(this.channelId)
+  }
+
+  /**
+   * Serializable channel state (to resume after a restart)
+   * @returns {Object} Channel state without the wallet
+   */
+  toJSON() {
+    const { wallet, ...state } = this
+    return state
+  }
+}
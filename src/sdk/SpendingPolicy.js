@@ -0,0 +1,337 @@
+/**
+ * Spending Policy SDK
+ * Limits what an AgentWallet may pay: per-transaction maximums, rolling
+ * budgets, recipient and service lists, velocity limits and an approval hook
+ *
+ * Authorizing a payment reserves its amount in the spending history before
+ * the wallet signs it, so concurrent payments cannot overrun a budget
+ * together. A reservation is released if the payment is never broadcast; a
+ * broadcast payment that later fails on-chain still counts.
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from '../utils/KeyValueStore.js'
+import { toBaseUnits, fromBaseUnits } from '../utils/Amount.js'
+
+const PERIODS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Raised when a payment breaks a spending policy
+ */
+export class PolicyViolationError extends Error {
+  /**
+   * @param {string} message - Reason the payment was rejected
+   * @param {string} rule - Rule that was broken (e.g., budget, velocity, deny_recipient)
+   * @param {Object} [details] - Limit and attempted values
+   */
+  constructor(message, rule, details = {}) {
+    super(message)
+    this.name = 'PolicyViolationError'
+    this.rule = rule
+    this.details = details
+  }
+}
+
+export class SpendingPolicy {
+  /**
+   * @param {Object} config - Policy configuration
+   * @param {string|string[]} [config.maxPerTransaction] - Maximum per payment, per asset ("5 USDC")
+   * @param {Array} [config.budgets] - Rolling budgets ({ limit: "50 USDC", period: 'day' | 'month' | ms })
+   * @param {string[]} [config.allowRecipients] - Only these recipients may be paid
+   * @param {string[]} [config.denyRecipients] - These recipients may never be paid
+   * @param {string[]} [config.allowServices] - Only these services may be paid for
+   * @param {string[]} [config.denyServices] - These services may never be paid for
+   * @param {Object} [config.velocity] - Velocity limit ({ maxPayments, interval } in ms)
+   * @param {string|string[]} [config.approvalThreshold] - Payments above this need approval ("2 USDC")
+   * @param {Function} [config.approve] - async (payment) => boolean, asked for payments above the threshold
+   * @param {AuditLog} [config.auditLog] - Audit log for violations and approvals
+   * @param {Object} [config.store] - Store for the spending history (default: in memory, or a file store when path is set)
+   * @param {string} [config.path] - File path for a file-backed store
+   */
+  constructor(config = {}) {
+    this.maxPerTransaction = parseLimits(config.maxPerTransaction)
+    this.budgets = (config.budgets || []).map(budget => {
+      const period = typeof budget.period === 'number' ? budget.period : PERIODS[budget.period]
+      if (!period) {
+        throw new Error(`Unknown budget period: ${budget.period}`)
+      }
+      const [amount, asset = 'USDC'] = budget.limit.split(' ')
+      return { amount, asset, period, label: typeof budget.period === 'string' ? budget.period : `${period}ms` }
+    })
+    this.allowRecipients = toSet(config.allowRecipients)
+    this.denyRecipients = toSet(config.denyRecipients)
+    this.allowServices = toSet(config.allowServices)
+    this.denyServices = toSet(config.denyServices)
+    this.velocity = config.velocity || null
+    this.approvalThreshold = parseLimits(config.approvalThreshold)
+    this.approve = config.approve || null
+    this.auditLog = config.auditLog || null
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.clock = config.clock || (() => Date.now())
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Check a payment against the policy and reserve it in the spending history
+   * @param {Object} payment - Payment ({ from, to, amount, asset, metadata }) or batch ({ from, transfers, metadata })
+   * @returns {Promise<Object>} Reservation ({ id, ... }); pass it to release if the payment is not sent
+   * @throws {PolicyViolationError} If the payment breaks the policy or is not approved
+   */
+  async authorize(payment) {
+    const run = this.queue.then(() => this.reserve(payment))
+    this.queue = run.catch(() => {})
+    const reservation = await run
+
+    // Ask for approval outside the queue so a slow approver does not hold up
+    // other payments; the reservation keeps the amount counted meanwhile
+    const needsApproval = [...totalByAsset(reservation.transfers)]
+      .find(([asset, units]) => this.approvalThreshold.has(asset) && units > toBaseUnits(this.approvalThreshold.get(asset), asset))
+    if (needsApproval) {
+      const [asset] = needsApproval
+      let approved = false
+      try {
+        approved = this.approve ? await this.approve({ ...payment, reservation }) === true : false
+      } catch (error) {
+        approved = false
+      }
+
+      if (!approved) {
+        await this.release(reservation)
+        throw await this.violation(payment, new PolicyViolationError(
+          this.approve ? 'Payment was not approved' : 'Payment requires approval',
+          'approval',
+          { threshold: `${this.approvalThreshold.get(asset)} ${asset}` }
+        ))
+      }
+
+      await this.auditLog?.append({
+        status: 'approved',
+        from: payment.from,
+        service: reservation.service,
+        transfers: reservation.transfers,
+        jobId: payment.metadata?.jobId
+      })
+    }
+
+    return reservation
+  }
+
+  /**
+   * Run every rule and record the payment; must only run inside the queue
+   * @param {Object} payment - Payment or batch
+   * @returns {Promise<Object>} Reservation
+   */
+  async reserve(payment) {
+    const transfers = (payment.transfers || [payment]).map(({ to, amount, asset = 'USDC' }) => ({ to, amount: String(amount), asset }))
+    const service = payment.metadata?.service ?? payment.metadata?.resource ?? null
+
+    try {
+      this.checkLists(transfers, service)
+      const totals = totalByAsset(transfers)
+
+      for (const [asset, units] of totals) {
+        const max = this.maxPerTransaction.get(asset)
+        if (max !== undefined && units > toBaseUnits(max, asset)) {
+          throw new PolicyViolationError(`Payment exceeds the per-transaction maximum of ${max} ${asset}`, 'max_per_transaction', {
+            limit: `${max} ${asset}`,
+            attempted: `${fromBaseUnits(units, asset)} ${asset}`
+          })
+        }
+      }
+
+      const now = this.clock()
+      const history = await this.prune(now)
+
+      if (this.velocity) {
+        const recent = history.filter(record => record.timestamp > now - this.velocity.interval)
+        if (recent.length >= this.velocity.maxPayments) {
+          throw new PolicyViolationError(`Velocity limit reached: ${this.velocity.maxPayments} payments per ${this.velocity.interval}ms`, 'velocity', {
+            limit: this.velocity.maxPayments,
+            interval: this.velocity.interval
+          })
+        }
+      }
+
+      for (const budget of this.budgets) {
+        const units = totals.get(budget.asset)
+        if (units === undefined) continue
+
+        const spent = sumSpent(history, budget.asset, now - budget.period)
+        if (spent + units > toBaseUnits(budget.amount, budget.asset)) {
+          throw new PolicyViolationError(`Payment exceeds the ${budget.label} budget of ${budget.amount} ${budget.asset}`, 'budget', {
+            limit: `${budget.amount} ${budget.asset}`,
+            period: budget.period,
+            spent: `${fromBaseUnits(spent, budget.asset)} ${budget.asset}`,
+            attempted: `${fromBaseUnits(units, budget.asset)} ${budget.asset}`
+          })
+        }
+      }
+
+      const reservation = { id: crypto.randomUUID(), transfers, service, timestamp: now }
+      await this.store.set(spendKey(reservation.id), reservation)
+      return reservation
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        throw await this.violation(payment, error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Check recipients and the service against the allow and deny lists
+   * @param {Array} transfers - Transfers
+   * @param {string|null} service - Service or resource being paid for
+   */
+  checkLists(transfers, service) {
+    for (const { to } of transfers) {
+      const recipient = String(to).toLowerCase()
+
+      if (this.denyRecipients?.has(recipient)) {
+        throw new PolicyViolationError(`Recipient is denied: ${to}`, 'deny_recipient', { recipient: to })
+      }
+
+      if (this.allowRecipients && !this.allowRecipients.has(recipient)) {
+        throw new PolicyViolationError(`Recipient is not allowed: ${to}`, 'allow_recipient', { recipient: to })
+      }
+    }
+
+    const key = service === null ? null : String(service).toLowerCase()
+
+    if (key !== null && this.denyServices?.has(key)) {
+      throw new PolicyViolationError(`Service is denied: ${service}`, 'deny_service', { service })
+    }
+
+    if (this.allowServices && (key === null || !this.allowServices.has(key))) {
+      throw new PolicyViolationError(`Service is not allowed: ${service ?? 'none'}`, 'allow_service', { service })
+    }
+  }
+
+  /**
+   * Release a reservation for a payment that was never sent
+   * @param {Object} reservation - Reservation returned by authorize
+   * @returns {Promise<void>}
+   */
+  release(reservation) {
+    const run = this.queue.then(() => this.store.delete(spendKey(reservation.id)))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Amount spent in an asset over a rolling period
+   * @param {string} [asset] - Asset type (default: USDC)
+   * @param {string|number} [period] - 'hour', 'day', 'week', 'month' or ms (default: day)
+   * @returns {Promise<string>} Amount spent
+   */
+  async getSpent(asset = 'USDC', period = 'day') {
+    const window = typeof period === 'number' ? period : PERIODS[period]
+    const history = (await this.store.entries('spend:')).map(([, record]) => record)
+    return fromBaseUnits(sumSpent(history, asset, this.clock() - window), asset)
+  }
+
+  /**
+   * Drop records older than every window and return the rest
+   * @param {number} now - Current time
+   * @returns {Promise<Array>} Remaining spending records
+   */
+  async prune(now) {
+    const horizon = now - Math.max(0, this.velocity?.interval || 0, ...this.budgets.map(budget => budget.period))
+    const history = []
+
+    for (const [key, record] of await this.store.entries('spend:')) {
+      if (record.timestamp > horizon) {
+        history.push(record)
+      } else {
+        await this.store.delete(key)
+      }
+    }
+
+    return history
+  }
+
+  /**
+   * Record a violation in the audit log
+   * @param {Object} payment - Rejected payment
+   * @param {PolicyViolationError} error - Violation
+   * @returns {Promise<PolicyViolationError>} The same error, for throwing
+   */
+  async violation(payment, error) {
+    await this.auditLog?.append({
+      status: 'policy_violation',
+      rule: error.rule,
+      error: error.message,
+      details: error.details,
+      from: payment.from,
+      transfers: (payment.transfers || [payment]).map(({ to, amount, asset = 'USDC' }) => ({ to, amount: String(amount), asset })),
+      service: payment.metadata?.service ?? payment.metadata?.resource,
+      jobId: payment.metadata?.jobId
+    })
+    return error
+  }
+}
+
+/**
+ * Parse one or more "<amount> <asset>" limits into a map by asset
+ * @param {string|string[]} [limits] - Limits
+ * @returns {Map} Amount by asset
+ */
+function parseLimits(limits) {
+  const entries = [].concat(limits || []).map(limit => {
+    const [amount, asset = 'USDC'] = limit.split(' ')
+    return [asset, amount]
+  })
+  return new Map(entries)
+}
+
+/**
+ * Lower-cased set of list entries
+ * @param {string[]} [list] - List
+ * @returns {Set|null} Set, or null when no list is configured
+ */
+function toSet(list) {
+  return list ? new Set(list.map(entry => String(entry).toLowerCase())) : null
+}
+
+/**
+ * Sum transfers per asset in base units
+ * @param {Array} transfers - Transfers
+ * @returns {Map} Base units by asset
+ */
+function totalByAsset(transfers) {
+  const totals = new Map()
+  transfers.forEach(({ amount, asset }) => {
+    totals.set(asset, (totals.get(asset) || 0n) + toBaseUnits(amount, asset))
+  })
+  return totals
+}
+
+/**
+ * Sum spending in an asset since a point in time
+ * @param {Array} history - Spending records
+ * @param {string} asset - Asset type
+ * @param {number} since - Start of the window
+ * @returns {bigint} Base units spent
+ */
+function sumSpent(history, asset, since) {
+  return history
+    .filter(record => record.timestamp > since)
+    .flatMap(record => record.transfers)
+    .filter(transfer => transfer.asset === asset)
+    .reduce((sum, transfer) => sum + toBaseUnits(transfer.amount, asset), 0n)
+}
+
+/**
+ * Build the store key for a spending record
+ * @param {string} id - Reservation ID
+ * @returns {string} Store key
+ */
+function spendKey(id) {
+  return `spend:${id}`
+}
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpendingPolicy, PolicyViolationError } from './SpendingPolicy.js'
+import { AgentWallet } from './AgentWallet.js'
+import { InMemoryLedger } from '../utils/InMemoryLedger.js'
+import { AuditLog } from '../services/AuditLog.js'
+
+const ALICE = '0x' + 'a1'.repeat(20)
+const BOB = '0x' + 'b2'.repeat(20)
+const HOUR = 60 * 60 * 1000
+
+const payment = (amount, fields = {}) => ({ to: ALICE, amount, asset: 'USDC', ...fields })
+
+/**
+ * Assert that a promise rejects with a violation of the given rule
+ */
+const rejectsRule = (promise, rule) => assert.rejects(promise, error => {
+  assert.ok(error instanceof PolicyViolationError)
+  assert.equal(error.rule, rule)
+  return true
+})
+
+describe('SpendingPolicy', () => {
+  it('enforces the per-transaction maximum per asset', async () => {
+    const policy = new SpendingPolicy({ maxPerTransaction: ['5 USDC', '0.01 ETH'] })
+
+    await policy.authorize(payment('5'))
+    await rejectsRule(policy.authorize(payment('5.000001')), 'max_per_transaction')
+    await rejectsRule(policy.authorize(payment('0.02', { asset: 'ETH' })), 'max_per_transaction')
+    await rejectsRule(policy.authorize({ transfers: [payment('3'), payment('3')] }), 'max_per_transaction')
+  })
+
+  it('keeps a rolling budget and frees it as payments age out', async () => {
+    let now = 0
+    const policy = new SpendingPolicy({ budgets: [{ limit: '10 USDC', period: 'hour' }], clock: () => now })
+
+    await policy.authorize(payment('6'))
+    now += HOUR / 2
+    await policy.authorize(payment('4'))
+
+    await rejectsRule(policy.authorize(payment('0.000001')), 'budget')
+    assert.equal(await policy.getSpent('USDC', 'hour'), '10')
+
+    now += HOUR / 2
+    await policy.authorize(payment('6'))
+    assert.equal(await policy.getSpent('USDC', 'hour'), '10')
+  })
+
+  it('never lets concurrent payments overrun a budget together', async () => {
+    const policy = new SpendingPolicy({ budgets: [{ limit: '10 USDC', period: 'day' }] })
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => policy.authorize(payment('3'))))
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 3)
+    assert.equal(await policy.getSpent(), '9')
+  })
+
+  it('applies allow and deny lists to recipients and services, ignoring case', async () => {
+    const policy = new SpendingPolicy({
+      allowRecipients: [ALICE.toUpperCase().replace('0X', '0x')],
+      denyServices: ['Scraping']
+    })
+
+    await policy.authorize(payment('1', { metadata: { service: 'chat' } }))
+    await rejectsRule(policy.authorize(payment('1', { to: BOB })), 'allow_recipient')
+    await rejectsRule(policy.authorize(payment('1', { metadata: { service: 'scraping' } })), 'deny_service')
+
+    const services = new SpendingPolicy({ allowServices: ['chat'] })
+    await rejectsRule(services.authorize(payment('1')), 'allow_service')
+  })
+
+  it('limits how many payments go out per interval', async () => {
+    let now = 0
+    const policy = new SpendingPolicy({ velocity: { maxPayments: 2, interval: 1000 }, clock: () => now })
+
+    await policy.authorize(payment('1'))
+    await policy.authorize(payment('1'))
+    await rejectsRule(policy.authorize(payment('1')), 'velocity')
+
+    now = 1001
+    await policy.authorize(payment('1'))
+  })
+
+  it('asks for approval above the threshold and releases refused payments', async () => {
+    const asked = []
+    const auditLog = new AuditLog()
+    const policy = new SpendingPolicy({
+      approvalThreshold: '2 USDC',
+      approve: async request => {
+        asked.push(request.amount)
+        return request.to === ALICE
+      },
+      budgets: [{ limit: '100 USDC', period: 'day' }],
+      auditLog
+    })
+
+    await policy.authorize(payment('1'))
+    await policy.authorize(payment('3'))
+    await rejectsRule(policy.authorize(payment('4', { to: BOB })), 'approval')
+
+    assert.deepEqual(asked, ['3', '4'])
+    assert.equal(await policy.getSpent(), '4')
+    assert.deepEqual((await auditLog.query()).map(entry => entry.status), ['approved', 'policy_violation'])
+    await rejectsRule(new SpendingPolicy({ approvalThreshold: '2 USDC' }).authorize(payment('3')), 'approval')
+  })
+
+  it('guards wallet payments and releases the reservation of one never sent', async () => {
+    const chain = new InMemoryLedger()
+    const policy = new SpendingPolicy({ budgets: [{ limit: '5 USDC', period: 'day' }] })
+    const wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, policy })
+    chain.fund(wallet.address, '100')
+
+    await wallet.pay(payment('4'))
+    await rejectsRule(wallet.pay(payment('2')), 'budget')
+    assert.equal(await chain.getBalance(ALICE), '4')
+
+    chain.sendTransaction = async () => { throw new Error('RPC unavailable') }
+    await assert.rejects(wallet.pay(payment('1')), /RPC unavailable/)
+    assert.equal(await policy.getSpent(), '4')
+  })
+})
@@ -0,0 +1,522 @@
+/**
+ * Transaction Manager SDK
+ * Per-wallet nonces, serialized broadcasts and pending transaction tracking
+ *
+ * Every outgoing transaction gets the next nonce and fees from a
+ * GasOptimizer, and is signed and broadcast one at a time so concurrent
+ * payments never race for a nonce. Sent transactions are persisted until
+ * they confirm, so a restarted agent can resume its nonce, rebroadcast
+ * dropped transactions and speed up or cancel stuck ones.
+ */
+
+import { GasOptimizer } from '../utils/GasOptimizer.js'
+import { MemoryKeyValueStore, FileKeyValueStore } from '../utils/KeyValueStore.js'
+import { requireChain } from '../interfaces/ChainBackend.js'
+
+export class TransactionManager {
+  /**
+   * @param {Object} config - Manager configuration
+   * @param {AgentWallet} config.wallet - Wallet whose transactions are managed
+   * @param {GasOptimizer} [config.gasOptimizer] - Fee estimator (default: one reading the wallet's chain)
+   * @param {number} [config.bumpPercent] - Fee increase for speed-ups and cancels (default: 20)
+   * @param {number} [config.dropAfter] - Treat a transaction the chain no longer knows as dropped after this many ms (default: 60s)
+   * @param {number} [config.stuckAfter] - Speed up transactions pending this long during recover (default: never)
+   * @param {number} [config.interval] - How often start() runs recover, in ms (default: 15s)
+   * @param {Object} [config.store] - Key-value store (default: in memory, or a file store when path is set)
+   * @param {string} [config.path] - File path for a file-backed store
+   */
+  constructor(config = {}) {
+    if (!config.wallet) {
+      throw new Error('TransactionManager requires a wallet')
+    }
+
+    this.wallet = config.wallet
+    this.gasOptimizer = config.gasOptimizer || null
+    this.bumpPercent = config.bumpPercent || 20
+    this.dropAfter = config.dropAfter || 60000
+    this.stuckAfter = config.stuckAfter || null
+    this.interval = config.interval || 15000
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.clock = config.clock || (() => Date.now())
+    this.nextNonce = null
+    this.loaded = null
+    this.queue = Promise.resolve()
+    this.timer = null
+  }
+
+  /**
+   * Assign a nonce and fees, then sign, broadcast and track a transaction
+   *
+   * Fees already on the transaction (e.g., a settlement priced for its
+   * deadline) are kept.
+   * @param {Object} transaction - Unsigned transaction
+   * @param {Object} [options] - Send options
+   * @param {Function} [options.beforeBroadcast] - async (signedTx) => void; runs once the nonce is
+   *   assigned and before the transaction leaves, so callers can record the nonce (see lookupNonce)
+   * @returns {Promise<Object>} Transaction object with hash, nonce, fees, signature and wait()
+   */
+  send(transaction, options = {}) {
+    return this.serialize(async () => {
+      await this.load()
+      const fees = transaction.maxFeePerGas
+        ? { maxFeePerGas: transaction.maxFeePerGas, maxPriorityFeePerGas: transaction.maxPriorityFeePerGas }
+        : await this.estimateFees(transaction)
+
+      try {
+        return await this.broadcast({ ...transaction, nonce: this.nextNonce, ...fees }, options.beforeBroadcast)
+      } catch (error) {
+        if (!/nonce too low/i.test(error.message)) {
+          throw error
+        }
+
+        // Something else used our nonce (another process, or state lost in a
+        // restart): resync from the chain and try once more
+        await this.syncNonce()
+        return this.broadcast({ ...transaction, nonce: this.nextNonce, ...fees }, options.beforeBroadcast)
+      }
+    })
+  }
+
+  /**
+   * Replace a pending transaction with the same one at a higher fee
+   * @param {string} txHash - Pending transaction hash
+   * @param {Object} [options] - Options
+   * @param {number} [options.bumpPercent] - Fee increase (default: the manager's)
+   * @returns {Promise<Object>} Replacement transaction object
+   */
+  speedUp(txHash, options = {}) {
+    return this.serialize(async () => {
+      const record = await this.requirePending(txHash)
+      const { signature, ...transaction } = record.transaction
+      const fees = await this.bumpFees(record.transaction, options.bumpPercent)
+
+      return this.replace(record, { ...transaction, ...fees }, 'speedUp')
+    })
+  }
+
+  /**
+   * Cancel a pending transaction by replacing it with a zero-value transfer
+   * to the wallet itself at a higher fee
+   * @param {string} txHash - Pending transaction hash
+   * @param {Object} [options] - Options
+   * @param {number} [options.bumpPercent] - Fee increase (default: the manager's)
+   * @returns {Promise<Object>} Cancelling transaction object
+   */
+  cancel(txHash, options = {}) {
+    return this.serialize(async () => {
+      const record = await this.requirePending(txHash)
+      const fees = await this.bumpFees(record.transaction, options.bumpPercent)
+
+      return this.replace(record, {
+        from: this.wallet.address,
+        to: this.wallet.address,
+        amount: '0',
+        asset: record.transaction.asset || 'USDC',
+        memo: 'cancel',
+        metadata: { cancels: txHash },
+        timestamp: this.clock(),
+        nonce: record.nonce,
+        ...fees
+      }, 'cancel')
+    })
+  }
+
+  /**
+   * Wait for a transaction, following speed-ups to their replacement
+   * @param {string} txHash - Transaction hash
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.confirmations] - Number of confirmations required
+   * @param {number} [options.timeout] - Maximum time to wait in ms
+   * @returns {Promise<Object>} Transaction receipt (status 'confirmed' or 'failed')
+   */
+  async wait(txHash, options = {}) {
+    const confirmations = options.confirmations || 1
+    const maxWait = options.timeout || 120000
+    const startTime = Date.now()
+    let current = txHash
+
+    while (Date.now() - startTime < maxWait) {
+      const record = await this.getTransaction(current)
+
+      if (record?.replacedBy) {
+        const replacement = await this.getTransaction(record.replacedBy)
+
+        if (replacement?.replacement === 'cancel') {
+          return { status: 'failed', hash: current, reason: 'Transaction cancelled', replacedBy: record.replacedBy }
+        }
+
+        current = record.replacedBy
+        continue
+      }
+
+      const receipt = await this.wallet.getTransactionReceipt(current)
+
+      // A replaced receipt is followed once the replacement is recorded
+      if (receipt && receipt.status === 'failed' && !receipt.replacedBy) {
+        return receipt
+      }
+
+      if (receipt && receipt.status === 'confirmed' && receipt.confirmations >= confirmations) {
+        return {
+          ...receipt,
+          ...(current !== txHash && { replaces: txHash })
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.wallet.pollInterval))
+    }
+
+    throw new Error('Transaction confirmation timeout')
+  }
+
+  /**
+   * Bring tracked transactions up to date with the chain, rebroadcast
+   * dropped ones and, with stuckAfter set, speed up stuck ones
+   *
+   * Safe to call after a restart; the nonce is resumed from the store and
+   * the chain, whichever is further ahead.
+   * @returns {Promise<Array>} Transactions still pending
+   */
+  async recover() {
+    await this.serialize(() => this.load())
+    await this.refresh()
+
+    for (const record of await this.listTransactions('dropped')) {
+      await this.rebroadcast(record.hash)
+    }
+
+    if (this.stuckAfter) {
+      const now = this.clock()
+      for (const record of await this.listTransactions('pending')) {
+        if (now - record.sentAt >= this.stuckAfter) {
+          await this.speedUp(record.hash).catch(error => console.error('Speed-up failed:', error))
+        }
+      }
+    }
+
+    return this.listTransactions('pending')
+  }
+
+  /**
+   * Update pending transactions from their receipts
+   * @returns {Promise<Array>} Updated records
+   */
+  refresh() {
+    return this.serialize(() => this.refreshPending())
+  }
+
+  /**
+   * Check each pending transaction's receipt; must only run inside the queue
+   * @returns {Promise<Array>} Updated records
+   */
+  async refreshPending() {
+    const now = this.clock()
+    const updated = []
+
+    for (const record of await this.listTransactions('pending')) {
+      const receipt = await this.wallet.getTransactionReceipt(record.hash)
+      let changes = null
+
+      if (receipt && receipt.status !== 'pending') {
+        changes = receipt.replacedBy
+          ? { status: 'replaced', replacedBy: record.replacedBy || receipt.replacedBy }
+          : { status: receipt.status, blockNumber: receipt.blockNumber, ...(receipt.reason && { reason: receipt.reason }) }
+      } else if (!receipt && now - record.sentAt >= this.dropAfter) {
+        changes = { status: 'dropped' }
+      }
+
+      if (changes) {
+        updated.push(await this.saveTransaction({ ...record, ...changes }))
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * Send a dropped transaction again, unchanged
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object>} Updated record
+   */
+  rebroadcast(txHash) {
+    return this.serialize(async () => {
+      const record = await this.getTransaction(txHash)
+
+      if (!record) {
+        throw new Error(`Unknown transaction: ${txHash}`)
+      }
+
+      try {
+        await this.wallet.broadcastTransaction(record.transaction)
+      } catch (error) {
+        if (!/already known/i.test(error.message)) {
+          // The nonce was used by another transaction; this one can never land
+          return this.saveTransaction({ ...record, status: 'failed', reason: error.message })
+        }
+      }
+
+      return this.saveTransaction({ ...record, status: 'pending', sentAt: this.clock() })
+    })
+  }
+
+  /**
+   * Find out what became of a nonce recorded before a crash
+   *
+   * Runs recover first, so the answer reflects the chain.
+   * @param {number} nonce - Nonce reported by beforeBroadcast
+   * @returns {Promise<Object>} { record } for the tracked transaction first sent with it,
+   *   otherwise { used } telling whether an untracked transaction took it
+   */
+  async lookupNonce(nonce) {
+    await this.recover()
+
+    const record = (await this.listTransactions()).find(record => record.nonce === nonce)
+    if (record) {
+      return { record }
+    }
+
+    const chain = requireChain(this.wallet.chain)
+    const next = chain.getTransactionCount
+      ? await chain.getTransactionCount(this.wallet.address, 'pending')
+      : 0
+
+    return { used: next > nonce }
+  }
+
+  /**
+   * Get a tracked transaction
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} Record ({ hash, nonce, status, transaction, sentAt, replacedBy, ... })
+   */
+  async getTransaction(txHash) {
+    return (await this.store.get(txKey(this.wallet.address, txHash))) || null
+  }
+
+  /**
+   * List tracked transactions, optionally by status
+   * @param {string} [status] - Status (pending, confirmed, failed, replaced, dropped)
+   * @returns {Promise<Array>} Records ordered by nonce
+   */
+  async listTransactions(status) {
+    const records = (await this.store.entries(txKey(this.wallet.address, ''))).map(([, record]) => record)
+    return records
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => a.nonce - b.nonce || a.sentAt - b.sentAt)
+  }
+
+  /**
+   * Run recover periodically
+   */
+  start() {
+    if (this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.recover().catch(error => console.error('Transaction recovery failed:', error))
+    }, this.interval)
+    this.timer.unref?.()
+  }
+
+  /**
+   * Stop periodic recovery
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Sign, broadcast and record a transaction with its nonce assigned;
+   * must only run inside the queue
+   * @param {Object} transaction - Transaction with nonce and fees
+   * @param {Function} [beforeBroadcast] - async (signedTx) => void
+   * @returns {Promise<Object>} Transaction object
+   */
+  async broadcast(transaction, beforeBroadcast) {
+    const signedTx = await this.wallet.signTransaction(transaction)
+    await beforeBroadcast?.(signedTx)
+    const hash = await this.wallet.broadcastTransaction(signedTx)
+
+    this.nextNonce = transaction.nonce + 1
+    await this.store.setMany({
+      [nonceKey(this.wallet.address)]: this.nextNonce,
+      [txKey(this.wallet.address, hash)]: {
+        hash,
+        nonce: transaction.nonce,
+        status: 'pending',
+        transaction: signedTx,
+        sentAt: this.clock()
+      }
+    })
+
+    return this.toTransactionObject(hash, signedTx)
+  }
+
+  /**
+   * Broadcast a replacement for a pending transaction and link the two;
+   * must only run inside the queue
+   * @param {Object} record - Record being replaced
+   * @param {Object} transaction - Replacement with the same nonce
+   * @param {string} kind - 'speedUp' or 'cancel'
+   * @returns {Promise<Object>} Replacement transaction object
+   */
+  async replace(record, transaction, kind) {
+    const signedTx = await this.wallet.signTransaction(transaction)
+    const hash = await this.wallet.broadcastTransaction(signedTx)
+
+    await this.store.setMany({
+      [txKey(this.wallet.address, record.hash)]: { ...record, status: 'replaced', replacedBy: hash },
+      [txKey(this.wallet.address, hash)]: {
+        hash,
+        nonce: record.nonce,
+        status: 'pending',
+        transaction: signedTx,
+        sentAt: this.clock(),
+        replaces: record.hash,
+        replacement: kind
+      }
+    })
+
+    return this.toTransactionObject(hash, signedTx)
+  }
+
+  /**
+   * Get a record that can still be replaced
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object>} Pending record
+   */
+  async requirePending(txHash) {
+    const record = await this.getTransaction(txHash)
+
+    if (!record) {
+      throw new Error(`Unknown transaction: ${txHash}`)
+    }
+
+    const receipt = await this.wallet.getTransactionReceipt(txHash)
+
+    if (record.status !== 'pending' || (receipt && receipt.status !== 'pending')) {
+      throw new Error(`Transaction is no longer pending: ${txHash}`)
+    }
+
+    return record
+  }
+
+  /**
+   * Fees for a new transaction
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async estimateFees(transaction) {
+    if (!this.gasOptimizer) {
+      this.gasOptimizer = new GasOptimizer({ feeSource: this.wallet.chain })
+    }
+
+    const { maxFeePerGas, maxPriorityFeePerGas } = await this.gasOptimizer.estimate(transaction)
+    return { maxFeePerGas, maxPriorityFeePerGas }
+  }
+
+  /**
+   * Fees for a replacement: the old fees raised by bumpPercent, or the
+   * current estimate if that is higher
+   * @param {Object} transaction - Transaction being replaced
+   * @param {number} [bumpPercent] - Fee increase
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async bumpFees(transaction, bumpPercent = this.bumpPercent) {
+    const current = await this.estimateFees(transaction)
+    const bump = fee => BigInt(fee ?? 0) * BigInt(100 + bumpPercent) / 100n
+    const higher = (a, b) => (BigInt(a) > BigInt(b) ? a : b).toString()
+
+    return {
+      maxFeePerGas: higher(bump(transaction.maxFeePerGas), current.maxFeePerGas),
+      maxPriorityFeePerGas: higher(bump(transaction.maxPriorityFeePerGas), current.maxPriorityFeePerGas)
+    }
+  }
+
+  /**
+   * Resume the nonce once: the stored nonce or the chain's pending count,
+   * whichever is higher; must only run inside the queue
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.syncNonce().catch(error => {
+        this.loaded = null
+        throw error
+      })
+    }
+    return this.loaded
+  }
+
+  /**
+   * Read the nonce from the store and the chain
+   * @returns {Promise<number>} Next nonce
+   */
+  async syncNonce() {
+    const chain = requireChain(this.wallet.chain)
+    const stored = (await this.store.get(nonceKey(this.wallet.address))) || 0
+    const onChain = chain.getTransactionCount
+      ? await chain.getTransactionCount(this.wallet.address, 'pending')
+      : 0
+
+    this.nextNonce = Math.max(stored, onChain, this.nextNonce || 0)
+    return this.nextNonce
+  }
+
+  /**
+   * Persist a record
+   * @param {Object} record - Record
+   * @returns {Promise<Object>} The record
+   */
+  async saveTransaction(record) {
+    await this.store.set(txKey(this.wallet.address, record.hash), record)
+    return record
+  }
+
+  /**
+   * Build the object returned to callers for a sent transaction
+   * @param {string} hash - Transaction hash
+   * @param {Object} signedTx - Signed transaction
+   * @returns {Object} Transaction object with wait()
+   */
+  toTransactionObject(hash, signedTx) {
+    return {
+      hash,
+      ...signedTx,
+      wait: (options) => this.wait(hash, options)
+    }
+  }
+
+  /**
+   * Run a task after every earlier one
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  serialize(task) {
+    const run = this.queue.then(task)
+    this.queue = run.catch(() => {})
+    return run
+  }
+}
+
+/**
+ * Build the store key for a tracked transaction
+ * @param {string} address - Wallet address
+ * @param {string} hash - Transaction hash
+ * @returns {string} Store key
+ */
+function txKey(address, hash) {
+  return `tx:${address.toLowerCase()}:${hash}`
+}
+
+/**
+ * Build the store key for a wallet's next nonce
+ * @param {string} address - Wallet address
+ * @returns {string} Store key
+ */
+function nonceKey(address) {
+  return `nonce:${address.toLowerCase()}`
+}
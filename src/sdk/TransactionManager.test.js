@@ -0,0 +1,101 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { AgentWallet } from './AgentWallet.js'
+import { InMemoryLedger } from '../utils/InMemoryLedger.js'
+import { MemoryKeyValueStore } from '../utils/KeyValueStore.js'
+
+const PAYEE = '0x000000000000000000000000000000000000dEaD'
+const PRIVATE_KEY = '0x' + '11'.repeat(32)
+
+describe('TransactionManager', () => {
+  let now
+  let chain
+  let store
+  let wallet
+
+  const createWallet = () => new AgentWallet({
+    privateKey: PRIVATE_KEY,
+    chain,
+    pollInterval: 1,
+    transactionStore: store
+  })
+
+  beforeEach(() => {
+    now = 1700000000000
+    chain = new InMemoryLedger({ clock: () => now })
+    store = new MemoryKeyValueStore()
+    wallet = createWallet()
+    wallet.transactions.clock = () => now
+    chain.fund(wallet.address, '10')
+  })
+
+  const pay = (amount = '1') => wallet.pay({ to: PAYEE, amount })
+
+  it('gives concurrent payments consecutive nonces', async () => {
+    const txs = await Promise.all([1, 2, 3, 4].map(() => pay('0.5')))
+
+    assert.deepEqual(txs.map(tx => tx.nonce), [0, 1, 2, 3])
+    assert.ok(txs.every(tx => BigInt(tx.maxFeePerGas) > 0n))
+    await Promise.all(txs.map(tx => tx.wait()))
+    assert.equal(await chain.getBalance(PAYEE), '2')
+  })
+
+  it('speeds up a stuck payment and follows it to the replacement', async () => {
+    chain.automine = false
+    const tx = await pay()
+
+    const faster = await wallet.speedUp(tx.hash)
+    assert.equal(faster.nonce, tx.nonce)
+    assert.equal(BigInt(faster.maxFeePerGas), BigInt(tx.maxFeePerGas) * 120n / 100n)
+    await assert.rejects(wallet.speedUp(tx.hash), /no longer pending/)
+
+    chain.mineBlock()
+    const receipt = await tx.wait()
+
+    assert.equal(receipt.status, 'confirmed')
+    assert.equal(receipt.hash, faster.hash)
+    assert.equal(receipt.replaces, tx.hash)
+    assert.equal(await chain.getBalance(PAYEE), '1')
+  })
+
+  it('cancels a stuck payment', async () => {
+    chain.automine = false
+    const tx = await pay()
+
+    await wallet.cancelTransaction(tx.hash)
+    chain.mineBlock()
+
+    assert.equal((await tx.wait()).reason, 'Transaction cancelled')
+    assert.equal(await chain.getBalance(PAYEE), '0')
+  })
+
+  it('resumes its nonce and rebroadcasts dropped payments after a restart', async () => {
+    chain.automine = false
+    const tx = await pay()
+    chain.dropTransaction(tx.hash)
+
+    const restarted = createWallet()
+    restarted.transactions.clock = () => now
+    now += 60000
+
+    assert.equal((await restarted.transactions.recover()).length, 1)
+    chain.mineBlock()
+    assert.equal((await restarted.transactions.wait(tx.hash)).status, 'confirmed')
+
+    chain.automine = true
+    assert.equal((await restarted.pay({ to: PAYEE, amount: '1' })).nonce, 1)
+  })
+
+  it('tells what became of a nonce reported before a crash', async () => {
+    let reported
+    const tx = await wallet.transactions.send(
+      { from: wallet.address, to: PAYEE, amount: '1', asset: 'USDC', memo: '', metadata: {}, timestamp: now },
+      { beforeBroadcast: async signedTx => { reported = signedTx.nonce } }
+    )
+
+    const { record } = await createWallet().transactions.lookupNonce(reported)
+    assert.equal(record.hash, tx.hash)
+    assert.equal(record.status, 'confirmed')
+    assert.deepEqual(await createWallet().transactions.lookupNonce(reported + 1), { used: false })
+  })
+})
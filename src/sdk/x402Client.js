@@ -3,23 +3,40 @@
  * Main client for making payment-enabled API requests
  */
 
+import { compareAmounts, normalizeAmount } from '../utils/Amount.js'
+import { encodeQuoteHeader } from '../utils/PriceQuoter.js'
+import { encodeSignaturesHeader } from '../utils/MultiSig.js'
+
 export class x402Client {
   constructor(config = {}) {
     this.baseURL = config.baseURL
     this.wallet = config.wallet
     this.defaultTimeout = config.timeout || 30000
+    this.maxPayment = config.maxPayment
+    this.confirmations = config.confirmations || 1
+    this.auditLog = config.auditLog
+    this.channel = config.channel
   }
 
   /**
    * Make a payment-enabled fetch request
+   *
+   * If the server answers with 402 Payment Required, the payment requirements
+   * from the response are paid through the configured wallet and the request
+   * is retried once with proof of payment attached.
    * @param {string} url - Request URL
    * @param {Object} options - Fetch options
    * @param {string} [options.payment] - Payment amount and asset (e.g., "0.5 USDC")
    * @param {number} [options.deadline] - Payment deadline timestamp
+   * @param {string} [options.maxPayment] - Maximum amount to pay automatically (e.g., "1 USDC")
+   * @param {boolean} [options.autoPay] - Whether to pay 402 challenges automatically (default: true)
+   * @param {PaymentChannel} [options.channel] - Channel to pay through instead of on-chain (default: the client's)
+   * @param {Function} [options.cosign] - async (approval) => signatures; collects co-signer approvals
+   *   (see MultiSig.signApproval) when the server requires a multi-sig payment
    * @returns {Promise<Response>} Fetch response
    */
   async fetch(url, options = {}) {
-    const { payment, deadline, ...fetchOptions } = options
+    const { payment, deadline, maxPayment, autoPay = true, channel = this.channel, cosign, ...fetchOptions } = options
     
     // Build headers
     const headers = {
@@ -44,6 +61,62 @@ export class x402Client {
       headers['Authorization'] = `Bearer ${await this.getAuthToken()}`
     }
 
+    const response = await this.send(url, fetchOptions, headers)
+
+    if (response.status !== 402 || !autoPay || !this.wallet) {
+      return response
+    }
+
+    // Answer the payment challenge and retry once
+    const requirements = await this.parsePaymentRequirements(response)
+
+    if (requirements.multiSig && !cosign) {
+      const { threshold, signers } = requirements.multiSig
+      throw new Error(`Payment requires ${threshold} of ${signers.length} co-signer approvals; pass a cosign callback`)
+    }
+
+    if (channel && !requirements.multiSig && this.canPayThroughChannel(channel, requirements)) {
+      this.checkPaymentLimits(requirements, maxPayment || this.maxPayment)
+
+      return this.send(url, fetchOptions, {
+        ...headers,
+        ...(await channel.paymentHeaders(requirements.amount)),
+        ...this.quoteHeaders(requirements),
+        'X-402-Deadline': requirements.deadline.toString()
+      })
+    }
+
+    // Co-signers approve the payment before it is broadcast, so a refused
+    // approval costs nothing
+    let approval = null
+    if (requirements.multiSig) {
+      this.checkPaymentLimits(requirements, maxPayment || this.maxPayment)
+      approval = await this.collectApprovals(requirements, cosign)
+    }
+
+    const paymentTx = await this.payRequirements(requirements, {
+      maxPayment: maxPayment || this.maxPayment,
+      nonce: approval?.nonce
+    })
+
+    return this.send(url, fetchOptions, {
+      ...headers,
+      'X-402-Payment': `${paymentTx.amount} ${paymentTx.asset}`,
+      'X-402-Transaction': paymentTx.hash,
+      ...this.quoteHeaders(requirements),
+      ...(approval && { 'X-402-Signatures': encodeSignaturesHeader(approval.signatures) }),
+      'X-402-Deadline': requirements.deadline.toString()
+    })
+  }
+
+  /**
+   * Send a request with the client timeout applied
+   * @param {string} url - Request URL
+   * @param {Object} fetchOptions - Fetch options
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Response>} Fetch response
+   */
+  async send(url, fetchOptions, headers) {
     // Make request with timeout
     const controller = new AbortController()
     const timeoutId = setTimeout(() => controller.abort(), this.defaultTimeout)
@@ -68,6 +141,159 @@ export class x402Client {
     }
   }
 
+  /**
+   * Read payment requirements from a 402 response
+   * @param {Response} response - 402 Payment Required response
+   * @returns {Promise<Object>} Payment requirements
+   */
+  async parsePaymentRequirements(response) {
+    let body
+    try {
+      body = await response.json()
+    } catch (error) {
+      throw new Error('Invalid 402 response: body is not JSON')
+    }
+
+    const accepts = Array.isArray(body.accepts) ? body.accepts : [body]
+    const requirements = accepts.find(option =>
+      !option.network || !this.wallet.network || option.network === this.wallet.network
+    )
+
+    if (!requirements || !requirements.amount || !requirements.to) {
+      throw new Error('Invalid 402 response: no acceptable payment requirements')
+    }
+
+    const { quote } = requirements
+
+    if (quote && !isWellFormedQuote(quote)) {
+      throw new Error('Invalid 402 response: malformed quote')
+    }
+
+    // A quote is what the server will hold the payment to, so it must agree
+    // with the requirements it came with
+    if (quote && (
+      compareAmounts(quote.amount, String(requirements.amount), quote.asset) !== 0 ||
+      quote.asset !== (requirements.asset || 'USDC') ||
+      quote.payTo.toLowerCase() !== requirements.to.toLowerCase()
+    )) {
+      throw new Error('Invalid 402 response: quote does not match payment requirements')
+    }
+
+    return {
+      amount: String(requirements.amount),
+      asset: requirements.asset || 'USDC',
+      to: requirements.to,
+      network: requirements.network || this.wallet.network,
+      deadline: Number(quote?.expiresAt ?? requirements.deadline) || Date.now() + 30000,
+      resource: requirements.resource,
+      description: requirements.description,
+      quote: quote || null,
+      multiSig: requirements.multiSig || null
+    }
+  }
+
+  /**
+   * Pay a set of payment requirements through the wallet
+   * @param {Object} requirements - Payment requirements from a 402 response
+   * @param {Object} [options] - Payment options
+   * @param {string} [options.maxPayment] - Maximum amount to pay (e.g., "1 USDC")
+   * @param {string} [options.nonce] - Payment nonce (default: random; co-signer approvals name it)
+   * @returns {Promise<Object>} Payment transaction object
+   */
+  async payRequirements(requirements, options = {}) {
+    const { amount, asset, to, deadline, resource, quote } = requirements
+
+    this.checkPaymentLimits(requirements, options.maxPayment)
+
+    const paymentTx = await this.wallet.pay({
+      to,
+      amount,
+      asset,
+      memo: resource ? `x402 payment for ${resource}` : 'x402 payment',
+      metadata: {
+        resource,
+        deadline,
+        nonce: options.nonce || crypto.randomUUID(),
+        ...(quote && { quote: quote.nonce })
+      }
+    })
+
+    await paymentTx.wait({ confirmations: this.confirmations })
+
+    return paymentTx
+  }
+
+  /**
+   * Check payment requirements against the deadline and a maximum payment
+   * @param {Object} requirements - Payment requirements
+   * @param {string} [maxPayment] - Maximum amount to pay (e.g., "1 USDC")
+   */
+  checkPaymentLimits(requirements, maxPayment) {
+    const { amount, asset, deadline } = requirements
+
+    if (Date.now() > deadline) {
+      throw new Error('Payment requirements expired')
+    }
+
+    if (maxPayment) {
+      const [maxAmount, maxAsset = 'USDC'] = maxPayment.split(' ')
+
+      if (maxAsset !== asset) {
+        throw new Error(`Payment asset ${asset} does not match maximum ${maxPayment}`)
+      }
+
+      if (compareAmounts(amount, maxAmount, asset) > 0) {
+        throw new Error(`Payment of ${amount} ${asset} exceeds maximum ${maxPayment}`)
+      }
+    }
+  }
+
+  /**
+   * Headers echoing the quote a payment answers
+   * @param {Object} requirements - Payment requirements
+   * @returns {Object} X-402-Quote header, or no headers without a quote
+   */
+  quoteHeaders(requirements) {
+    return requirements.quote ? { 'X-402-Quote': encodeQuoteHeader(requirements.quote) } : {}
+  }
+
+  /**
+   * Collect co-signer approvals of a payment that has not been sent yet
+   * @param {Object} requirements - Payment requirements
+   * @param {Function} cosign - async (approval) => signatures
+   * @returns {Promise<Object>} { nonce, signatures }; the payment must carry the nonce
+   */
+  async collectApprovals(requirements, cosign) {
+    const nonce = crypto.randomUUID()
+    const signatures = await cosign({
+      payer: this.wallet.address,
+      nonce,
+      resource: requirements.resource || '',
+      payTo: requirements.to,
+      amount: normalizeAmount(requirements.amount, requirements.asset),
+      asset: requirements.asset
+    })
+
+    const { threshold, signers } = requirements.multiSig
+    if (!Array.isArray(signatures) || signatures.length < threshold) {
+      throw new Error(`Payment requires ${threshold} of ${signers.length} co-signer approvals`)
+    }
+
+    return { nonce, signatures }
+  }
+
+  /**
+   * Whether a channel can pay a set of payment requirements
+   * @param {PaymentChannel} channel - Payment channel
+   * @param {Object} requirements - Payment requirements
+   * @returns {boolean} Whether the channel pays the same payee in the same asset and has funds left
+   */
+  canPayThroughChannel(channel, requirements) {
+    return channel.to.toLowerCase() === requirements.to.toLowerCase() &&
+      channel.asset === requirements.asset &&
+      compareAmounts(requirements.amount, channel.remaining, channel.asset) <= 0
+  }
+
   /**
    * Get a job by ID
    * @param {string} jobId - Job identifier
@@ -103,10 +329,17 @@ export class x402Client {
 
   /**
    * Log an audit entry
+   *
+   * Appends to the local hash-chained audit log when one is configured,
+   * otherwise posts the entry to the API.
    * @param {Object} entry - Audit log entry
    * @returns {Promise<Object>} Audit log result
    */
   async logAudit(entry) {
+    if (this.auditLog) {
+      return this.auditLog.append(entry)
+    }
+
     const response = await this.fetch(`${this.baseURL}/audit`, {
       method: 'POST',
       body: JSON.stringify(entry)
@@ -130,3 +363,14 @@ export const x402 = new x402Client({
   baseURL: process.env.X402_API_URL || 'https://api.x402.org'
 })
 
+/**
+ * Whether a quote from a 402 response has the fields the client compares and echoes
+ * @param {Object} quote - Quote from the payment requirements
+ * @returns {boolean} True if every field has the expected type
+ */
+function isWellFormedQuote(quote) {
+  return typeof quote === 'object' &&
+    ['amount', 'asset', 'payTo', 'nonce', 'signature'].every(field => typeof quote[field] === 'string' && quote[field]) &&
+    (quote.resource === undefined || typeof quote.resource === 'string') &&
+    Number.isFinite(quote.expiresAt)
+}
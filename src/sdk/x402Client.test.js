@@ -0,0 +1,107 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { x402Client } from './x402Client.js'
+import { AgentWallet } from './AgentWallet.js'
+import { PaymentChannel } from './PaymentChannel.js'
+import { InMemoryLedger } from '../utils/InMemoryLedger.js'
+import { PriceQuoter, decodeQuoteHeader } from '../utils/PriceQuoter.js'
+import { signApproval, verifyApprovals, normalizeSignerSet, decodeSignaturesHeader } from '../utils/MultiSig.js'
+
+const PAY_TO = '0x000000000000000000000000000000000000dEaD'
+
+describe('x402Client', () => {
+  let server
+  let baseURL
+  let challenge
+  let requests
+  let chain
+  let wallet
+  let client
+
+  before(async () => {
+    // Answers 402 with the current challenge until a payment header arrives
+    server = createServer((req, res) => {
+      requests.push(req.headers)
+      const paid = req.headers['x-402-transaction'] || req.headers['x-402-voucher']
+
+      res.writeHead(paid ? 200 : 402, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(paid ? { ok: true } : challenge))
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseURL = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  beforeEach(() => {
+    requests = []
+    challenge = { amount: '0.5', asset: 'USDC', to: PAY_TO, resource: '/report' }
+    chain = new InMemoryLedger()
+    wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(wallet.address, '10')
+    client = new x402Client({ baseURL, wallet })
+  })
+
+  it('pays a 402 challenge on-chain and retries with the transaction', async () => {
+    const response = await client.fetch(`${baseURL}/report`)
+
+    assert.equal(response.status, 200)
+    assert.equal(requests.length, 2)
+    assert.equal(requests[1]['x-402-payment'], '0.5 USDC')
+
+    const receipt = await chain.getTransactionReceipt(requests[1]['x-402-transaction'])
+    assert.equal(receipt.metadata.resource, '/report')
+    assert.equal(await chain.getBalance(PAY_TO), '0.5')
+  })
+
+  it('pays nothing above the maximum or with autoPay off', async () => {
+    await assert.rejects(client.fetch(`${baseURL}/report`, { maxPayment: '0.1 USDC' }), /exceeds maximum 0.1 USDC/)
+    assert.equal((await client.fetch(`${baseURL}/report`, { autoPay: false })).status, 402)
+    assert.equal(await chain.getBalance(PAY_TO), '0')
+  })
+
+  it('echoes a matching quote and refuses one that disagrees with the challenge', async () => {
+    const quoter = new PriceQuoter({ privateKey: '0x' + '33'.repeat(32) })
+    const quote = quoter.issue({ amount: '0.5', resource: '/report', payTo: PAY_TO })
+
+    challenge.quote = quote
+    await client.fetch(`${baseURL}/report`)
+    assert.deepEqual(decodeQuoteHeader(requests[1]['x-402-quote']), quote)
+
+    challenge.quote = quoter.issue({ amount: '0.05', resource: '/report', payTo: PAY_TO })
+    await assert.rejects(client.fetch(`${baseURL}/report`), /quote does not match/)
+    assert.equal(await chain.getBalance(PAY_TO), '0.5')
+  })
+
+  it('collects co-signer approvals before paying a multi-sig challenge', async () => {
+    const cosigners = ['22', '33'].map(byte => new AgentWallet({ privateKey: '0x' + byte.repeat(32) }))
+    const signerSet = normalizeSignerSet({ signers: cosigners.map(cosigner => cosigner.address), threshold: 2 })
+    challenge.multiSig = signerSet
+
+    await assert.rejects(client.fetch(`${baseURL}/report`), /2 of 2 co-signer approvals; pass a cosign callback/)
+
+    let approved
+    await client.fetch(`${baseURL}/report`, {
+      cosign: async approval => {
+        approved = approval
+        return Promise.all(cosigners.map(cosigner => signApproval(cosigner, approval)))
+      }
+    })
+
+    const signatures = decodeSignaturesHeader(requests.at(-1)['x-402-signatures'])
+    const receipt = await chain.getTransactionReceipt(requests.at(-1)['x-402-transaction'])
+    assert.equal(verifyApprovals(approved, signatures, signerSet, 'mainnet').valid, true)
+    assert.equal(receipt.metadata.nonce, approved.nonce)
+  })
+
+  it('pays through a channel to the same payee instead of on-chain', async () => {
+    const channel = await PaymentChannel.open(wallet, { to: PAY_TO, deposit: '2' })
+    const response = await client.fetch(`${baseURL}/report`, { channel })
+
+    assert.equal(response.status, 200)
+    assert.ok(requests[1]['x-402-voucher'])
+    assert.equal(requests[1]['x-402-transaction'], undefined)
+    assert.equal(channel.remaining, '1.5')
+  })
+})
@@ -3,122 +3,285 @@
  * Enables P2P task routing, payment splitting, and autonomous coordination
  */
 
+import { splitAmount } from '../utils/Amount.js'
+import { ROUTING_STRATEGIES } from './RoutingStrategies.js'
+import { NodeRegistry } from './NodeRegistry.js'
+import { WorkflowEngine } from './WorkflowEngine.js'
+
 export class AgentMesh {
   constructor(config = {}) {
-    this.networkNodes = config.nodes || []
+    this.registry = config.registry || new NodeRegistry({ nodes: config.nodes })
+    this.maxRouteAttempts = config.maxRouteAttempts || 3
+    this.workflowEngine = new WorkflowEngine({ mesh: this })
     this.paymentSplitter = config.paymentSplitter
+    this.wallet = config.wallet
+    this.compensator = config.compensatePayment
     this.routingStrategy = config.routingStrategy || 'round-robin'
+    this.strategies = { ...ROUTING_STRATEGIES, ...config.strategies }
+    this.strategyState = {}
+    this.random = config.random
+  }
+
+  /**
+   * Current nodes with their effective availability
+   * @returns {Array} Agent nodes
+   */
+  get networkNodes() {
+    return this.registry.list()
   }
 
   /**
    * Route a task to the appropriate agent
+   *
+   * If the selected node fails, the task is retried on another qualifying node,
+   * up to maxRouteAttempts nodes in total.
    * @param {Object} task - Task to route
    * @returns {Promise<Object>} Routing result
    */
   async routeTask(task) {
-    const selectedNode = this.selectNode(task)
-    
-    if (!selectedNode) {
-      throw new Error('No available nodes for task routing')
+    const attempts = []
+
+    while (attempts.length < this.maxRouteAttempts) {
+      const selectedNode = this.selectNode(task, attempts.map(attempt => attempt.nodeId))
+
+      if (!selectedNode) {
+        break
+      }
+
+      console.log(`Routing task ${task.id} to node ${selectedNode.id}`)
+
+      const startTime = Date.now()
+
+      try {
+        const result = await this.sendTaskToNode(task, selectedNode)
+        this.registry.recordSuccess(selectedNode.id, Date.now() - startTime)
+
+        return {
+          nodeId: selectedNode.id,
+          taskId: task.id,
+          attempts: attempts.length + 1,
+          result
+        }
+      } catch (error) {
+        console.error(`Node ${selectedNode.id} failed task ${task.id}:`, error.message)
+        this.registry.recordFailure(selectedNode.id)
+        attempts.push({ nodeId: selectedNode.id, error: error.message })
+      }
     }
 
-    console.log(`Routing task ${task.id} to node ${selectedNode.id}`)
-    
-    const result = await this.sendTaskToNode(task, selectedNode)
-    
-    return {
-      nodeId: selectedNode.id,
-      taskId: task.id,
-      result
+    if (attempts.length === 0) {
+      throw new Error('No available nodes for task routing')
     }
+
+    const error = new Error(`Task ${task.id} failed on ${attempts.length} node(s): ${attempts.map(a => a.error).join('; ')}`)
+    error.attempts = attempts
+    throw error
   }
 
   /**
    * Split payment across multiple agents
+   *
+   * Each recipient gives exactly one of share (percent, fractions allowed),
+   * bps (integer basis points) or weight (any non-negative ratio). Amounts are
+   * split in base units; rounding dust goes to the recipients with the largest
+   * rounding remainder, earliest recipient first on ties, so the splits always
+   * sum to the original amount.
+   *
+   * Execution is all-or-nothing: a wallet that supports payBatch pays every
+   * leg in one transaction, otherwise legs are paid one by one and paid legs
+   * are compensated through config.compensatePayment when a later leg fails.
    * @param {Object} payment - Payment details
    * @param {Array} recipients - List of agent recipients with shares
-   * @returns {Promise<Object>} Split payment result
+   * @returns {Promise<Object>} Split payment result with per-leg status
    */
   async splitPayment(payment, recipients) {
-    const totalShares = recipients.reduce((sum, r) => sum + r.share, 0)
-    
-    if (totalShares !== 100) {
-      throw new Error('Payment shares must total 100%')
-    }
+    const asset = payment.asset || 'USDC'
+    const { weights, labels } = shareWeights(recipients)
+    const amounts = splitAmount(payment.amount, asset, weights)
 
-    const splits = recipients.map(recipient => ({
+    const legs = recipients.map((recipient, index) => ({
       to: recipient.address,
-      amount: (payment.amount * recipient.share / 100).toFixed(6),
-      asset: payment.asset,
-      memo: `Payment split: ${recipient.share}%`
+      amount: amounts[index],
+      asset,
+      share: labels[index],
+      memo: `Payment split: ${labels[index]}`,
+      status: 'pending'
     }))
 
     console.log(`Splitting payment across ${recipients.length} agents`)
-    
-    // Execute all payment splits
-    const results = await Promise.all(
-      splits.map(split => this.executePayment(split))
-    )
 
-    return {
+    const result = this.wallet && typeof this.wallet.payBatch === 'function'
+      ? await this.executeBatchSplit(payment, legs)
+      : await this.executeSequentialSplit(legs)
+
+    const splitResult = {
       originalAmount: payment.amount,
-      splits: results,
+      asset,
+      mode: result.mode,
+      status: result.success ? 'completed' : 'failed',
+      txHash: result.txHash,
+      splits: legs,
       timestamp: Date.now()
     }
+
+    if (!result.success) {
+      const error = new Error(`Payment split failed: ${result.reason}`)
+      error.result = splitResult
+      throw error
+    }
+
+    return splitResult
+  }
+
+  /**
+   * Pay every split leg in a single batched transaction
+   * @param {Object} payment - Original payment
+   * @param {Array} legs - Split legs (updated in place)
+   * @returns {Promise<Object>} Execution outcome
+   */
+  async executeBatchSplit(payment, legs) {
+    try {
+      const tx = await this.wallet.payBatch({
+        transfers: legs.map(({ to, amount, asset, memo }) => ({ to, amount, asset, memo })),
+        memo: payment.memo || 'Payment split',
+        metadata: payment.metadata
+      })
+      const receipt = await tx.wait()
+
+      if (receipt.status !== 'confirmed') {
+        legs.forEach(leg => { leg.status = 'failed' })
+        return { success: false, mode: 'batch', txHash: tx.hash, reason: receipt.reason || 'Transaction failed' }
+      }
+
+      legs.forEach(leg => {
+        leg.status = 'paid'
+        leg.txHash = tx.hash
+      })
+      return { success: true, mode: 'batch', txHash: tx.hash }
+    } catch (error) {
+      legs.forEach(leg => { leg.status = 'failed' })
+      return { success: false, mode: 'batch', reason: error.message }
+    }
+  }
+
+  /**
+   * Pay split legs one by one, compensating paid legs if any leg fails
+   * @param {Array} legs - Split legs (updated in place)
+   * @returns {Promise<Object>} Execution outcome
+   */
+  async executeSequentialSplit(legs) {
+    for (const leg of legs) {
+      try {
+        const { txHash } = await this.executePayment(leg)
+        leg.status = 'paid'
+        leg.txHash = txHash
+      } catch (error) {
+        leg.status = 'failed'
+        leg.error = error.message
+
+        legs.filter(other => other.status === 'pending').forEach(other => {
+          other.status = 'skipped'
+        })
+
+        for (const paid of legs.filter(other => other.status === 'paid')) {
+          try {
+            paid.compensationTxHash = (await this.compensatePayment(paid))?.txHash
+            paid.status = 'compensated'
+          } catch (compensationError) {
+            paid.status = 'uncompensated'
+            paid.error = compensationError.message
+          }
+        }
+
+        return { success: false, mode: 'sequential', reason: error.message }
+      }
+    }
+
+    return { success: true, mode: 'sequential' }
   }
 
   /**
    * Coordinate multiple agents for a complex task
+   *
+   * Runs task.workflow through the workflow engine. Without a workflow, every
+   * agent in task.agents becomes an independent step with an equal budget
+   * share, all running in parallel.
    * @param {Object} task - Complex task requiring coordination
-   * @returns {Promise<Object>} Coordination result
+   * @returns {Promise<Object>} Coordination result with per-step outcomes and trace
    */
   async coordinateTask(task) {
-    const { agents, workflow, budget } = task
-    
-    // Split budget across agents
-    const agentBudget = budget / agents.length
-    
-    const coordinationResults = await Promise.all(
-      agents.map(async (agent, index) => {
-        const subtask = {
-          ...task,
-          agentId: agent.id,
-          step: index + 1,
-          budget: agentBudget
+    const workflow = task.workflow?.steps
+      ? task.workflow
+      : {
+          steps: (task.agents || []).map((agent, index) => ({
+            id: agent.id || `agent-${index + 1}`,
+            agentId: agent.id
+          }))
         }
-        
-        return await this.routeTask(subtask)
-      })
-    )
 
-    return {
-      taskId: task.id,
-      workflow,
-      agents: coordinationResults,
-      completed: true
+    return this.workflowEngine.run({ ...task, workflow })
+  }
+
+  /**
+   * Register a custom routing strategy
+   * @param {string} name - Strategy name (usable as routingStrategy)
+   * @param {Function} strategy - Function (nodes, task, state) => node
+   */
+  registerStrategy(name, strategy) {
+    if (typeof strategy !== 'function') {
+      throw new Error(`Routing strategy ${name} must be a function`)
     }
+
+    this.strategies[name] = strategy
+    delete this.strategyState[name]
   }
 
   /**
    * Select a node based on routing strategy
+   *
+   * Only available nodes that have every capability in
+   * task.requiredCapabilities (and, when task.agentId is set, only that
+   * node) are considered. task.routingStrategy overrides
+   * the mesh default for a single task.
    * @param {Object} task - Task to route
+   * @param {string[]} [excludedIds] - Nodes that must not be selected
    * @returns {Object|null} Selected node
    */
-  selectNode(task) {
-    if (this.networkNodes.length === 0) {
+  selectNode(task, excludedIds = []) {
+    const candidates = this.findCandidateNodes(task)
+      .filter(node => !excludedIds.includes(node.id))
+
+    if (candidates.length === 0) {
       return null
     }
 
-    switch (this.routingStrategy) {
-      case 'round-robin':
-        return this.networkNodes[Math.floor(Math.random() * this.networkNodes.length)]
-      case 'load-based':
-        return this.networkNodes.reduce((prev, curr) => 
-          curr.load < prev.load ? curr : prev
-        )
-      default:
-        return this.networkNodes[0]
+    const name = task.routingStrategy || this.routingStrategy
+    const strategy = this.strategies[name]
+
+    if (!strategy) {
+      throw new Error(`Unknown routing strategy: ${name}`)
     }
+
+    if (!this.strategyState[name]) {
+      this.strategyState[name] = { random: this.random }
+    }
+
+    return strategy(candidates, task, this.strategyState[name]) || null
+  }
+
+  /**
+   * Find nodes able to take a task
+   * @param {Object} task - Task to route
+   * @returns {Array} Available nodes with the required capabilities (only the assigned agent's node if task.agentId is set)
+   */
+  findCandidateNodes(task) {
+    const required = task.requiredCapabilities || []
+
+    return this.networkNodes.filter(node =>
+      node.available !== false &&
+      (!task.agentId || node.id === task.agentId) &&
+      required.every(capability => (node.capabilities || []).includes(capability))
+    )
   }
 
   /**
@@ -133,6 +296,10 @@ export class AgentMesh {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(task)
     })
+
+    if (!response.ok) {
+      throw new Error(`Node ${node.id} responded with ${response.status} ${response.statusText}`)
+    }
     
     return response.json()
   }
@@ -140,12 +307,84 @@ export class AgentMesh {
   /**
    * Execute a payment split
    * @param {Object} payment - Payment details
-   * @returns {Promise<Object>} Payment result
+   * @returns {Promise<Object>} Payment result ({ txHash, receipt })
    */
   async executePayment(payment) {
-    // Implementation would use wallet service
-    console.log('Executing payment:', payment)
-    return { success: true, ...payment }
+    if (!this.wallet) {
+      throw new Error('AgentMesh requires a wallet to execute payments')
+    }
+
+    const { to, amount, asset, memo } = payment
+    const tx = await this.wallet.pay({ to, amount, asset, memo })
+    const receipt = await tx.wait()
+
+    if (receipt.status !== 'confirmed') {
+      throw new Error(receipt.reason || 'Payment confirmation failed')
+    }
+
+    return { txHash: tx.hash, receipt }
+  }
+
+  /**
+   * Undo a paid split leg after another leg failed
+   * @param {Object} leg - Paid split leg
+   * @returns {Promise<Object>} Compensation result ({ txHash })
+   */
+  async compensatePayment(leg) {
+    if (!this.compensator) {
+      throw new Error('No compensation handler configured')
+    }
+
+    return this.compensator(leg)
   }
 }
 
+
+/**
+ * Convert recipient shares into integer split weights
+ * @param {Array} recipients - Recipients with share, bps or weight
+ * @returns {Object} { weights: bigint[], labels: string[] }
+ */
+function shareWeights(recipients) {
+  if (recipients.length === 0) {
+    throw new Error('Payment split requires at least one recipient')
+  }
+
+  const kinds = ['share', 'bps', 'weight']
+  const kind = kinds.find(key => recipients[0][key] !== undefined)
+
+  if (!kind || recipients.some(recipient => recipient[kind] === undefined)) {
+    throw new Error('Every recipient must use the same share, bps or weight field')
+  }
+
+  const values = recipients.map(recipient => String(recipient[kind]))
+
+  if (values.some(value => !/^\d+(\.\d+)?$/.test(value))) {
+    throw new Error(`Invalid ${kind} value in payment split`)
+  }
+
+  if (kind === 'bps' && values.some(value => value.includes('.'))) {
+    throw new Error('Basis point shares must be integers')
+  }
+
+  // Scale decimal shares to integers so '33.33' + '66.67' totals exactly 100
+  const scale = Math.max(...values.map(value => (value.split('.')[1] || '').length))
+  const weights = values.map(value => {
+    const [whole, fraction = ''] = value.split('.')
+    return BigInt(whole + fraction.padEnd(scale, '0'))
+  })
+  const total = weights.reduce((sum, weight) => sum + weight, 0n)
+
+  if (kind === 'share' && total !== 100n * 10n ** BigInt(scale)) {
+    throw new Error('Payment shares must total 100%')
+  }
+
+  if (kind === 'bps' && total !== 10000n) {
+    throw new Error('Payment shares must total 10000 bps')
+  }
+
+  const suffix = { share: '%', bps: ' bps', weight: '' }[kind]
+  const labels = values.map(value => kind === 'weight' ? `weight ${value}` : `${value}${suffix}`)
+
+  return { weights, labels }
+}
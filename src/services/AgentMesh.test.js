@@ -0,0 +1,176 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { AgentMesh } from './AgentMesh.js'
+import { InMemoryLedger } from '../utils/InMemoryLedger.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+
+const ALICE = '0x' + 'a1'.repeat(20)
+const BOB = '0x' + 'b2'.repeat(20)
+const CAROL = '0x' + 'c3'.repeat(20)
+
+const NODES = [
+  { id: 'a', endpoint: 'http://a', capabilities: ['text'], load: 50 },
+  { id: 'b', endpoint: 'http://b', capabilities: ['text', 'vision'], load: 10 },
+  { id: 'c', endpoint: 'http://c', capabilities: ['text'], load: 30 }
+]
+
+/**
+ * Mesh whose nodes answer in process; failing node IDs throw
+ */
+function createMesh(config = {}, failing = []) {
+  const mesh = new AgentMesh({ nodes: NODES, ...config })
+  mesh.sent = []
+  mesh.sendTaskToNode = async (task, node) => {
+    mesh.sent.push({ taskId: task.id, nodeId: node.id })
+    if (failing.includes(node.id)) {
+      throw new Error(`${node.id} is down`)
+    }
+    return { handledBy: node.id, input: task.input }
+  }
+  return mesh
+}
+
+describe('AgentMesh', () => {
+  describe('splitPayment', () => {
+    let chain
+    let wallet
+
+    beforeEach(() => {
+      chain = new InMemoryLedger()
+      wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    })
+
+    it('pays every leg in one batch and leaves no dust behind', async () => {
+      chain.fund(wallet.address, '10')
+      const mesh = new AgentMesh({ wallet })
+
+      const result = await mesh.splitPayment({ amount: '1', asset: 'USDC' }, [
+        { address: ALICE, share: '33.33' },
+        { address: BOB, share: '33.33' },
+        { address: CAROL, share: '33.34' }
+      ])
+
+      assert.equal(result.status, 'completed')
+      assert.equal(result.mode, 'batch')
+      assert.deepEqual(result.splits.map(leg => leg.amount), ['0.3333', '0.3333', '0.3334'])
+      assert.equal(await chain.getBalance(CAROL), '0.3334')
+      assert.equal(await chain.getBalance(wallet.address), '9')
+    })
+
+    it('moves nothing when the batch cannot be paid in full', async () => {
+      chain.fund(wallet.address, '0.5')
+      const mesh = new AgentMesh({ wallet })
+
+      await assert.rejects(
+        mesh.splitPayment({ amount: '1' }, [{ address: ALICE, bps: 5000 }, { address: BOB, bps: 5000 }]),
+        error => error.result.splits.every(leg => leg.status === 'failed')
+      )
+      assert.equal(await chain.getBalance(ALICE), '0')
+      assert.equal(await chain.getBalance(wallet.address), '0.5')
+    })
+
+    it('compensates paid legs when a sequential leg fails', async () => {
+      const compensated = []
+      const mesh = new AgentMesh({
+        wallet: {
+          pay: async ({ to }) => {
+            if (to === BOB) throw new Error('rejected')
+            return { hash: `0x${to.slice(2, 6)}`, wait: async () => ({ status: 'confirmed' }) }
+          }
+        },
+        compensatePayment: async leg => {
+          compensated.push(leg.to)
+          return { txHash: '0xrefund' }
+        }
+      })
+
+      await assert.rejects(
+        mesh.splitPayment({ amount: '3' }, [{ address: ALICE, weight: 1 }, { address: BOB, weight: 1 }, { address: CAROL, weight: 1 }]),
+        error => {
+          assert.deepEqual(error.result.splits.map(leg => leg.status), ['compensated', 'failed', 'skipped'])
+          return true
+        }
+      )
+      assert.deepEqual(compensated, [ALICE])
+    })
+
+    it('rejects shares that do not total 100%', async () => {
+      const mesh = new AgentMesh({ wallet })
+
+      await assert.rejects(
+        mesh.splitPayment({ amount: '1' }, [{ address: ALICE, share: 50 }, { address: BOB, share: 40 }]),
+        /total 100%/
+      )
+    })
+  })
+
+  describe('routing', () => {
+    it('only considers available nodes with every required capability', () => {
+      const mesh = createMesh({ routingStrategy: 'least-load' })
+
+      assert.equal(mesh.selectNode({ requiredCapabilities: ['text'] }).id, 'b')
+      assert.equal(mesh.selectNode({ requiredCapabilities: ['vision'] }).id, 'b')
+      assert.equal(mesh.selectNode({ requiredCapabilities: ['audio'] }), null)
+
+      mesh.registry.heartbeat('b', { available: false })
+      assert.equal(mesh.selectNode({ requiredCapabilities: ['text'] }).id, 'c')
+    })
+
+    it('routes a task assigned to an agent only to that node', () => {
+      const mesh = createMesh({ routingStrategy: 'least-load' })
+
+      assert.equal(mesh.selectNode({ agentId: 'a' }).id, 'a')
+      assert.equal(mesh.selectNode({ agentId: 'a', requiredCapabilities: ['vision'] }), null)
+      assert.equal(mesh.selectNode({ agentId: 'unknown' }), null)
+    })
+
+    it('keeps a key on the same node with consistent hashing', () => {
+      const mesh = createMesh({ routingStrategy: 'consistent-hash' })
+      const first = mesh.selectNode({ key: 'user-42' }).id
+
+      for (let i = 0; i < 5; i++) {
+        assert.equal(mesh.selectNode({ key: 'user-42' }).id, first)
+      }
+    })
+
+    it('accepts custom strategies and rejects unknown ones', () => {
+      const mesh = createMesh()
+      mesh.registerStrategy('last', nodes => nodes[nodes.length - 1])
+
+      assert.equal(mesh.selectNode({ routingStrategy: 'last' }).id, 'c')
+      assert.throws(() => mesh.selectNode({ routingStrategy: 'nope' }), /Unknown routing strategy/)
+    })
+
+    it('fails over to another qualifying node', async () => {
+      const mesh = createMesh({ routingStrategy: 'least-load' }, ['b'])
+      const result = await mesh.routeTask({ id: 't1', requiredCapabilities: ['text'] })
+
+      assert.equal(result.nodeId, 'c')
+      assert.equal(result.attempts, 2)
+      assert.deepEqual(mesh.sent.map(call => call.nodeId), ['b', 'c'])
+    })
+
+    it('reports every failed attempt once nodes run out', async () => {
+      const mesh = createMesh({}, ['a', 'b', 'c'])
+
+      await assert.rejects(mesh.routeTask({ id: 't1' }), error => error.attempts.length === 3)
+      await assert.rejects(createMesh().routeTask({ id: 't2', requiredCapabilities: ['audio'] }), /No available nodes/)
+    })
+  })
+
+  describe('coordinateTask', () => {
+    it('runs each agent as its own step on that agent\'s node', async () => {
+      const mesh = createMesh()
+      const result = await mesh.coordinateTask({
+        id: 'job',
+        agents: [{ id: 'c' }, { id: 'a' }],
+        budget: '1'
+      })
+
+      assert.equal(result.status, 'completed')
+      assert.equal(result.steps.c.nodeId, 'c')
+      assert.equal(result.steps.a.nodeId, 'a')
+      assert.equal(result.steps.c.budget, '0.5')
+    })
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * Audit Log Service
+ * Tamper-evident, hash-chained log of AuditLogEntry records
+ *
+ * Every entry carries a sequence number and the hash of the entry before it,
+ * and its own hash covers both, so editing, removing or reordering an entry
+ * breaks the chain from that point on. Cutting entries off the end can only
+ * be detected against a head recorded elsewhere (see getHead / verify).
+ */
+
+import { sha256 } from '@noble/hashes/sha2'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+import { canonicalize } from '../utils/CanonicalJson.js'
+import { MemoryAuditLogStore, FileAuditLogStore } from '../utils/AuditLogStore.js'
+
+export const GENESIS_HASH = '0'.repeat(64)
+
+export class AuditLog {
+  constructor(config = {}) {
+    this.store = config.store || (config.path
+      ? new FileAuditLogStore({ path: config.path })
+      : new MemoryAuditLogStore())
+    this.clock = config.clock || (() => Date.now())
+    this.head = null
+    this.loaded = null
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} entry - Audit log entry (see AuditLogEntry)
+   * @returns {Promise<Object>} Stored entry with sequence, prevHash and hash
+   */
+  append(entry) {
+    const run = this.queue.then(() => this.write(entry))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Chain and store an entry; must only run inside the append queue
+   * @param {Object} entry - Audit log entry
+   * @returns {Promise<Object>} Stored entry
+   */
+  async write(entry) {
+    const head = await this.getHead()
+    const { sequence, prevHash, hash, ...fields } = entry
+    const chained = JSON.parse(JSON.stringify({
+      ...fields,
+      timestamp: entry.timestamp ?? this.clock(),
+      sequence: head ? head.sequence + 1 : 0,
+      prevHash: head ? head.hash : GENESIS_HASH
+    }))
+    const stored = { ...chained, hash: hashEntry(chained) }
+
+    await this.store.append(stored)
+    this.head = { sequence: stored.sequence, hash: stored.hash }
+    return stored
+  }
+
+  /**
+   * Latest entry's position in the chain; publish or sign it to make
+   * truncation detectable
+   *
+   * Malformed entries (a line torn by a crash mid-append) are skipped, so
+   * the chain continues from the last intact entry.
+   * @returns {Promise<Object|null>} { sequence, hash }, or null for an empty log
+   */
+  async getHead() {
+    if (!this.loaded) {
+      this.loaded = this.store.readAll().then(entries => {
+        const last = entries.findLast(entry => !entry.malformed)
+        if (!this.head && last) {
+          this.head = { sequence: last.sequence, hash: last.hash }
+        }
+      })
+    }
+
+    await this.loaded
+    return this.head
+  }
+
+  /**
+   * Verify the whole chain
+   * @param {Object} [options] - Verification options
+   * @param {Object} [options.expectedHead] - Head recorded earlier ({ sequence, hash }); the chain must still contain it
+   * @returns {Promise<Object>} { valid, length, head, errors: [{ sequence, reason }] }
+   */
+  async verify(options = {}) {
+    const entries = await this.store.readAll()
+    const errors = []
+    let prevHash = GENESIS_HASH
+    let sequence = 0
+
+    // A malformed entry is reported but takes no sequence number, since
+    // appends after a torn line chain from the last intact entry
+    entries.forEach(entry => {
+      if (entry.malformed) {
+        errors.push({ sequence, reason: 'Malformed entry' })
+        return
+      }
+
+      if (entry.sequence !== sequence) {
+        errors.push({ sequence, reason: `Sequence gap: expected ${sequence}, found ${entry.sequence}` })
+      }
+
+      if (entry.prevHash !== prevHash) {
+        errors.push({ sequence, reason: 'Previous hash mismatch' })
+      }
+
+      const { hash, ...fields } = entry
+      if (hashEntry(fields) !== hash) {
+        errors.push({ sequence, reason: 'Entry hash mismatch' })
+      }
+
+      prevHash = hash
+      sequence += 1
+    })
+
+    const intact = entries.filter(entry => !entry.malformed)
+
+    const { expectedHead } = options
+    if (expectedHead) {
+      const anchored = intact[expectedHead.sequence]
+      if (!anchored || anchored.hash !== expectedHead.hash) {
+        errors.push({ sequence: expectedHead.sequence, reason: 'Expected head missing or changed' })
+      }
+    }
+
+    const last = intact[intact.length - 1]
+
+    return {
+      valid: errors.length === 0,
+      length: intact.length,
+      head: last ? { sequence: last.sequence, hash: last.hash } : null,
+      errors
+    }
+  }
+
+  /**
+   * Query entries
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.jobId] - Job identifier
+   * @param {string} [filter.txHash] - Transaction hash (also matches refundTxHash and refundOf)
+   * @param {string} [filter.service] - Service name
+   * @param {string} [filter.status] - Entry status
+   * @param {number} [filter.from] - Earliest timestamp (inclusive)
+   * @param {number} [filter.to] - Latest timestamp (inclusive)
+   * @returns {Promise<Array>} Matching entries in append order
+   */
+  async query(filter = {}) {
+    const entries = await this.store.readAll()
+    const txHash = filter.txHash?.toLowerCase()
+
+    return entries
+      .filter(entry => !entry.malformed)
+      .filter(entry => !filter.jobId || entry.jobId === filter.jobId)
+      .filter(entry => !txHash || [entry.txHash, entry.refundTxHash, entry.refundOf]
+        .some(hash => hash?.toLowerCase() === txHash))
+      .filter(entry => !filter.service || entry.service === filter.service)
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .filter(entry => filter.from === undefined || entry.timestamp >= filter.from)
+      .filter(entry => filter.to === undefined || entry.timestamp <= filter.to)
+  }
+}
+
+/**
+ * Hash an entry (without its own hash) over its canonical encoding
+ * @param {Object} entry - Entry fields
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashEntry(entry) {
+  return bytesToHex(sha256(utf8ToBytes(canonicalize(entry))))
+}
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { appendFile, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { AuditLog, GENESIS_HASH } from './AuditLog.js'
+
+/**
+ * Log over a memory store with three entries
+ */
+async function createLog() {
+  const log = new AuditLog({ clock: () => 1000 })
+  for (const jobId of ['j1', 'j2', 'j3']) {
+    await log.append({ jobId, txHash: `0x${jobId}`, status: 'completed' })
+  }
+  return log
+}
+
+describe('AuditLog', () => {
+  it('chains entries from the genesis hash', async () => {
+    const log = await createLog()
+    const entries = await log.query()
+
+    assert.deepEqual(entries.map(entry => entry.sequence), [0, 1, 2])
+    assert.equal(entries[0].prevHash, GENESIS_HASH)
+    assert.equal(entries[2].prevHash, entries[1].hash)
+    assert.deepEqual(await log.verify(), {
+      valid: true,
+      length: 3,
+      head: { sequence: 2, hash: entries[2].hash },
+      errors: []
+    })
+  })
+
+  it('keeps the chain ordered under concurrent appends', async () => {
+    const log = new AuditLog()
+    await Promise.all(Array.from({ length: 10 }, (_, i) => log.append({ jobId: `j${i}` })))
+
+    assert.equal((await log.verify()).valid, true)
+    assert.equal((await log.getHead()).sequence, 9)
+  })
+
+  it('detects edited, removed and reordered entries', async () => {
+    const edited = await createLog()
+    edited.store.entries[1].status = 'failed'
+    assert.deepEqual((await edited.verify()).errors, [{ sequence: 1, reason: 'Entry hash mismatch' }])
+
+    const removed = await createLog()
+    removed.store.entries.splice(1, 1)
+    assert.deepEqual((await removed.verify()).errors.map(error => error.reason), [
+      'Sequence gap: expected 1, found 2',
+      'Previous hash mismatch'
+    ])
+
+    const reordered = await createLog()
+    reordered.store.entries.reverse()
+    assert.equal((await reordered.verify()).valid, false)
+  })
+
+  it('detects truncation only against a recorded head', async () => {
+    const log = await createLog()
+    const expectedHead = await log.getHead()
+
+    log.store.entries.pop()
+
+    assert.equal((await log.verify()).valid, true)
+    assert.deepEqual((await log.verify({ expectedHead })).errors, [
+      { sequence: 2, reason: 'Expected head missing or changed' }
+    ])
+  })
+
+  it('queries by transaction hash, including refunds, and by time', async () => {
+    let now = 0
+    const log = new AuditLog({ clock: () => ++now })
+    await log.append({ txHash: '0xAA', status: 'failed' })
+    await log.append({ txHash: '0xbb', refundOf: '0xaa', status: 'refunded' })
+    await log.append({ txHash: '0xcc', status: 'completed' })
+
+    assert.deepEqual((await log.query({ txHash: '0xaa' })).map(entry => entry.status), ['failed', 'refunded'])
+    assert.deepEqual((await log.query({ from: 2, to: 3 })).map(entry => entry.txHash), ['0xbb', '0xcc'])
+  })
+
+  it('persists to JSONL and continues the chain after a torn line', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'x402-audit-'))
+
+    try {
+      const path = join(dir, 'audit.jsonl')
+      await new AuditLog({ path }).append({ jobId: 'j1' })
+      await appendFile(path, '{"jobId":"j2","seq')
+
+      const restarted = new AuditLog({ path })
+      const entry = await restarted.append({ jobId: 'j3' })
+      const lines = (await readFile(path, 'utf8')).trimEnd().split('\n')
+
+      assert.equal(lines.length, 3)
+      assert.equal(entry.sequence, 1)
+      assert.deepEqual((await restarted.verify()).errors, [{ sequence: 1, reason: 'Malformed entry' }])
+      assert.deepEqual((await restarted.query()).map(logged => logged.jobId), ['j1', 'j3'])
+
+      await writeFile(path, lines.filter((_, i) => i !== 1).join('\n') + '\n')
+      assert.equal((await new AuditLog({ path }).verify()).valid, true)
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+})
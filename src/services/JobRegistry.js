@@ -0,0 +1,200 @@
+/**
+ * Job Registry Service
+ * Stores jobs, dispatches them to handlers by type and moves them through their lifecycle
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from '../utils/KeyValueStore.js'
+
+// Allowed status transitions (see Job typedef)
+const TRANSITIONS = {
+  pending: ['running', 'failed'],
+  running: ['completed', 'failed'],
+  completed: [],
+  failed: []
+}
+
+export class JobRegistry {
+  constructor(config = {}) {
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.handlers = new Map()
+  }
+
+  /**
+   * Register the handler that executes jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - Async function (job, context) => result
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.resumable] - Re-run interrupted jobs on recovery instead of failing them
+   */
+  registerHandler(type, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for job type ${type} must be a function`)
+    }
+
+    this.handlers.set(type, { handler, resumable: Boolean(options.resumable) })
+  }
+
+  /**
+   * Create a pending job
+   * @param {Object} job - Job details
+   * @param {string} job.id - Unique job identifier
+   * @param {string} job.type - Job type
+   * @param {Object} [job.config] - Job configuration
+   * @returns {Promise<Object>} Created job
+   */
+  async create({ id, type, config = {} }) {
+    if (await this.getJob(id)) {
+      throw new Error(`Job ${id} already exists`)
+    }
+
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`)
+    }
+
+    const job = {
+      id,
+      type,
+      config,
+      status: 'pending',
+      createdAt: Date.now()
+    }
+
+    await this.store.set(jobKey(id), job)
+    return job
+  }
+
+  /**
+   * Retrieve a job by ID
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job
+   */
+  async getJob(jobId) {
+    return (await this.store.get(jobKey(jobId))) || null
+  }
+
+  /**
+   * List jobs, optionally filtered
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - Job status
+   * @param {string} [filter.type] - Job type
+   * @returns {Promise<Array>} Jobs
+   */
+  async list(filter = {}) {
+    const entries = await this.store.entries('job:')
+
+    return entries
+      .map(([, job]) => job)
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.type || job.type === filter.type)
+  }
+
+  /**
+   * Move a job to a new status
+   * @param {string} jobId - Job identifier
+   * @param {string} status - New status
+   * @param {Object} [updates] - Fields to record with the transition
+   * @returns {Promise<Object>} Updated job
+   */
+  async transition(jobId, status, updates = {}) {
+    const job = await this.getJob(jobId)
+
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`)
+    }
+
+    if (!(TRANSITIONS[job.status] || []).includes(status)) {
+      throw new Error(`Invalid job transition for ${jobId}: ${job.status} -> ${status}`)
+    }
+
+    const updated = { ...job, ...updates, status }
+    await this.store.set(jobKey(jobId), updated)
+    return updated
+  }
+
+  /**
+   * Execute a pending job with its registered handler
+   * @param {string} jobId - Job identifier
+   * @param {Object} [context] - Execution context passed to the handler (persisted with the job)
+   * @returns {Promise<*>} Handler result
+   */
+  async run(jobId, context) {
+    const existing = await this.getJob(jobId)
+    const job = await this.transition(jobId, 'running', {
+      startTime: Date.now(),
+      context: context ?? existing?.context ?? {}
+    })
+    const entry = this.handlers.get(job.type)
+
+    try {
+      if (!entry) {
+        throw new Error(`No handler registered for job type: ${job.type}`)
+      }
+
+      const result = await entry.handler(job, job.context)
+      await this.transition(jobId, 'completed', { result, endTime: Date.now() })
+      return result
+    } catch (error) {
+      await this.fail(jobId, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Mark a job as failed if it has not finished yet
+   * @param {string} jobId - Job identifier
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object|null>} Updated job, or null if it already finished
+   */
+  async fail(jobId, reason) {
+    const job = await this.getJob(jobId)
+
+    if (!job || !TRANSITIONS[job.status].includes('failed')) {
+      return null
+    }
+
+    return this.transition(jobId, 'failed', { error: reason, endTime: Date.now() })
+  }
+
+  /**
+   * Recover jobs that were running when the process stopped
+   *
+   * Jobs whose handler is resumable go back to pending and run again; all
+   * others are failed, since their handler may have been cut off midway.
+   * @returns {Promise<Object>} { resumed: string[], failed: string[] }
+   */
+  async recover() {
+    const interrupted = await this.list({ status: 'running' })
+    const resumed = []
+    const failed = []
+
+    for (const job of interrupted) {
+      if (this.handlers.get(job.type)?.resumable) {
+        await this.store.set(jobKey(job.id), { ...job, status: 'pending', resumedAt: Date.now() })
+        resumed.push(job.id)
+      } else {
+        await this.transition(job.id, 'failed', {
+          error: 'Interrupted by process restart',
+          endTime: Date.now()
+        })
+        failed.push(job.id)
+      }
+    }
+
+    await Promise.all(resumed.map(jobId =>
+      this.run(jobId).catch(error => console.error(`Resumed job ${jobId} failed:`, error.message))
+    ))
+
+    return { resumed, failed }
+  }
+}
+
+/**
+ * Build the store key for a job
+ * @param {string} jobId - Job identifier
+ * @returns {string} Store key
+ */
+function jobKey(jobId) {
+  return `job:${jobId}`
+}
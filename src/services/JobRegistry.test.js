@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { JobRegistry } from './JobRegistry.js'
+import { MemoryKeyValueStore } from '../utils/KeyValueStore.js'
+
+describe('JobRegistry', () => {
+  it('runs a job through its handler to completion', async () => {
+    const registry = new JobRegistry()
+    registry.registerHandler('echo', async (job, context) => ({ echoed: job.config.text, by: context.caller }))
+
+    await registry.create({ id: 'j1', type: 'echo', config: { text: 'hi' } })
+    const result = await registry.run('j1', { caller: 'test' })
+    const job = await registry.getJob('j1')
+
+    assert.deepEqual(result, { echoed: 'hi', by: 'test' })
+    assert.equal(job.status, 'completed')
+    assert.deepEqual(job.result, result)
+  })
+
+  it('records a handler failure and rethrows it', async () => {
+    const registry = new JobRegistry()
+    registry.registerHandler('broken', async () => { throw new Error('boom') })
+
+    await registry.create({ id: 'j1', type: 'broken' })
+    await assert.rejects(registry.run('j1'), /boom/)
+
+    const job = await registry.getJob('j1')
+    assert.equal(job.status, 'failed')
+    assert.equal(job.error, 'boom')
+  })
+
+  it('rejects duplicate IDs, unknown types and invalid transitions', async () => {
+    const registry = new JobRegistry()
+    registry.registerHandler('echo', async () => null)
+    await registry.create({ id: 'j1', type: 'echo' })
+
+    await assert.rejects(registry.create({ id: 'j1', type: 'echo' }), /already exists/)
+    await assert.rejects(registry.create({ id: 'j2', type: 'nope' }), /No handler/)
+
+    await registry.run('j1')
+    await assert.rejects(registry.run('j1'), /completed -> running/)
+    assert.equal(await registry.fail('j1', 'late'), null)
+  })
+
+  it('resumes or fails jobs interrupted by a restart', async () => {
+    const store = new MemoryKeyValueStore()
+    await store.set('job:resumable', { id: 'resumable', type: 'retry', status: 'running', context: { n: 1 } })
+    await store.set('job:fragile', { id: 'fragile', type: 'once', status: 'running' })
+
+    const registry = new JobRegistry({ store })
+    registry.registerHandler('retry', async (job, context) => context.n + 1, { resumable: true })
+    registry.registerHandler('once', async () => 'never')
+
+    assert.deepEqual(await registry.recover(), { resumed: ['resumable'], failed: ['fragile'] })
+    assert.equal((await registry.getJob('resumable')).result, 2)
+    assert.equal((await registry.getJob('fragile')).error, 'Interrupted by process restart')
+    assert.deepEqual((await registry.list({ status: 'completed' })).map(job => job.id), ['resumable'])
+  })
+})
@@ -0,0 +1,229 @@
+/**
+ * Node Registry Service
+ * Tracks mesh nodes at runtime: membership, heartbeats, health probes and circuit breaking
+ */
+
+export class NodeRegistry {
+  constructor(config = {}) {
+    this.heartbeatTtl = config.heartbeatTtl || null // null: nodes never expire
+    this.probeInterval = config.probeInterval || 10000
+    this.probeTimeout = config.probeTimeout || 5000
+    this.failureThreshold = config.failureThreshold || 3
+    this.circuitResetTime = config.circuitResetTime || 30000
+    this.probe = config.probe || ((node) => this.probeEndpoint(node))
+    this.clock = config.clock || (() => Date.now())
+    this.nodes = new Map()
+    this.timer = null
+
+    ;(config.nodes || []).forEach(node => this.join(node))
+  }
+
+  /**
+   * Add a node to the registry, or refresh it if already known
+   * @param {Object} node - Agent node ({ id, endpoint, capabilities, load })
+   * @returns {Object} Registered node
+   */
+  join(node) {
+    if (!node.id || !node.endpoint) {
+      throw new Error('Node requires an id and endpoint')
+    }
+
+    const existing = this.nodes.get(node.id)
+    const entry = {
+      capabilities: [],
+      load: 0,
+      ...existing,
+      ...node,
+      available: node.available !== false,
+      lastHeartbeat: this.clock(),
+      failures: existing?.failures || 0,
+      circuitOpenUntil: existing?.circuitOpenUntil || null
+    }
+
+    this.nodes.set(node.id, entry)
+    return entry
+  }
+
+  /**
+   * Remove a node from the registry
+   * @param {string} id - Node identifier
+   * @returns {boolean} Whether the node was registered
+   */
+  leave(id) {
+    return this.nodes.delete(id)
+  }
+
+  /**
+   * Record a heartbeat from a node, with optional live status
+   * @param {string} id - Node identifier
+   * @param {Object} [report] - Status report
+   * @param {number} [report.load] - Current load (0-100)
+   * @param {boolean} [report.available] - Whether the node accepts tasks
+   * @param {number} [report.latency] - Observed latency in ms
+   * @returns {Object} Updated node
+   */
+  heartbeat(id, report = {}) {
+    const node = this.nodes.get(id)
+
+    if (!node) {
+      throw new Error(`Unknown node: ${id}`)
+    }
+
+    node.lastHeartbeat = this.clock()
+    if (report.load !== undefined) node.load = report.load
+    if (report.available !== undefined) node.available = report.available
+    if (report.latency !== undefined) node.latency = report.latency
+
+    return node
+  }
+
+  /**
+   * Get a node by ID
+   * @param {string} id - Node identifier
+   * @returns {Object|null} Node
+   */
+  getNode(id) {
+    return this.nodes.get(id) || null
+  }
+
+  /**
+   * List nodes with their effective availability
+   *
+   * A node is unavailable if it reported so, its heartbeat expired, or its
+   * circuit breaker is open.
+   * @returns {Array} Nodes
+   */
+  list() {
+    const now = this.clock()
+
+    return [...this.nodes.values()].map(node => ({
+      ...node,
+      available: node.available &&
+        !this.isExpired(node, now) &&
+        !this.isCircuitOpen(node, now)
+    }))
+  }
+
+  /**
+   * Record a successful call to a node; closes its circuit
+   * @param {string} id - Node identifier
+   * @param {number} [latency] - Call latency in ms
+   */
+  recordSuccess(id, latency) {
+    const node = this.nodes.get(id)
+    if (!node) return
+
+    node.failures = 0
+    node.circuitOpenUntil = null
+
+    if (latency !== undefined) {
+      // Exponential moving average keeps one slow call from dominating
+      node.latency = node.latency === undefined ? latency : node.latency * 0.8 + latency * 0.2
+    }
+  }
+
+  /**
+   * Record a failed call to a node; opens its circuit after repeated failures
+   * @param {string} id - Node identifier
+   */
+  recordFailure(id) {
+    const node = this.nodes.get(id)
+    if (!node) return
+
+    node.failures += 1
+
+    if (node.failures >= this.failureThreshold) {
+      node.circuitOpenUntil = this.clock() + this.circuitResetTime
+    }
+  }
+
+  /**
+   * Probe every node once and update its health
+   * @returns {Promise<Object>} Map of node ID to probe success
+   */
+  async checkHealth() {
+    const results = {}
+
+    await Promise.all([...this.nodes.values()].map(async (node) => {
+      const startTime = this.clock()
+
+      try {
+        const report = await this.probe(node)
+        this.heartbeat(node.id, report || {})
+        this.recordSuccess(node.id, this.clock() - startTime)
+        results[node.id] = true
+      } catch (error) {
+        this.recordFailure(node.id)
+        results[node.id] = false
+      }
+    }))
+
+    return results
+  }
+
+  /**
+   * Start periodic health probes
+   */
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => {
+      this.checkHealth().catch(error => console.error('Health check failed:', error))
+    }, this.probeInterval)
+    this.timer.unref?.()
+  }
+
+  /**
+   * Stop periodic health probes
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Default probe: GET {endpoint}/health, which may report { load, available }
+   * @param {Object} node - Node to probe
+   * @returns {Promise<Object>} Status report
+   */
+  async probeEndpoint(node) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.probeTimeout)
+
+    try {
+      const response = await fetch(`${node.endpoint}/health`, { signal: controller.signal })
+
+      if (!response.ok) {
+        throw new Error(`Health check returned ${response.status}`)
+      }
+
+      const body = await response.json().catch(() => ({}))
+      return { load: body.load, available: body.available }
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  /**
+   * Check whether a node's heartbeat has expired
+   * @param {Object} node - Node
+   * @param {number} now - Current time
+   * @returns {boolean} Whether the heartbeat expired
+   */
+  isExpired(node, now) {
+    return this.heartbeatTtl !== null && now - node.lastHeartbeat > this.heartbeatTtl
+  }
+
+  /**
+   * Check whether a node's circuit breaker is open
+   *
+   * Once the reset time passes the circuit is half-open: the node is offered
+   * again and a single further failure reopens it.
+   * @param {Object} node - Node
+   * @param {number} now - Current time
+   * @returns {boolean} Whether calls to the node are blocked
+   */
+  isCircuitOpen(node, now) {
+    return node.circuitOpenUntil !== null && now < node.circuitOpenUntil
+  }
+}
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { NodeRegistry } from './NodeRegistry.js'
+
+const available = (registry, id) => registry.list().find(node => node.id === id).available
+
+describe('NodeRegistry', () => {
+  it('requires an id and endpoint to join', () => {
+    const registry = new NodeRegistry()
+
+    assert.throws(() => registry.join({ id: 'a' }), /id and endpoint/)
+    assert.equal(registry.join({ id: 'a', endpoint: 'http://a' }).available, true)
+    assert.equal(registry.leave('a'), true)
+    assert.equal(registry.getNode('a'), null)
+  })
+
+  it('marks nodes unavailable once their heartbeat expires', () => {
+    let now = 0
+    const registry = new NodeRegistry({ heartbeatTtl: 1000, clock: () => now, nodes: [{ id: 'a', endpoint: 'http://a' }] })
+
+    now = 1001
+    assert.equal(available(registry, 'a'), false)
+
+    registry.heartbeat('a', { load: 10 })
+    assert.equal(available(registry, 'a'), true)
+    assert.equal(registry.getNode('a').load, 10)
+  })
+
+  it('opens the circuit after repeated failures and half-opens it after the reset time', () => {
+    let now = 0
+    const registry = new NodeRegistry({
+      failureThreshold: 2,
+      circuitResetTime: 500,
+      clock: () => now,
+      nodes: [{ id: 'a', endpoint: 'http://a' }]
+    })
+
+    registry.recordFailure('a')
+    assert.equal(available(registry, 'a'), true)
+
+    registry.recordFailure('a')
+    assert.equal(available(registry, 'a'), false)
+
+    now = 500
+    assert.equal(available(registry, 'a'), true)
+
+    // Half-open: one more failure closes it again
+    registry.recordFailure('a')
+    assert.equal(available(registry, 'a'), false)
+
+    registry.recordSuccess('a', 20)
+    assert.equal(available(registry, 'a'), true)
+  })
+
+  it('updates nodes from health probes', async () => {
+    const registry = new NodeRegistry({
+      failureThreshold: 1,
+      probe: async node => {
+        if (node.id === 'down') throw new Error('unreachable')
+        return { load: 42 }
+      },
+      nodes: [{ id: 'up', endpoint: 'http://up' }, { id: 'down', endpoint: 'http://down' }]
+    })
+
+    assert.deepEqual(await registry.checkHealth(), { up: true, down: false })
+    assert.equal(registry.getNode('up').load, 42)
+    assert.equal(available(registry, 'down'), false)
+  })
+})
@@ -3,71 +3,266 @@
  * Handles payment verification and job execution
  */
 
+import { JobRegistry } from './JobRegistry.js'
+import { AuditLog } from './AuditLog.js'
+import { MemoryKeyValueStore } from '../utils/KeyValueStore.js'
+import { toBaseUnits, fromBaseUnits, addAmounts } from '../utils/Amount.js'
+
 export class PaymentProcessor {
   constructor(config = {}) {
     this.verifier = config.verifier
     this.network = config.network || process.env.X402_NETWORK || 'mainnet'
     this.rpcUrl = config.rpcUrl || process.env.RPC_URL
     this.timeout = config.timeout || 60000
+    this.jobs = config.jobs || new JobRegistry()
+    this.jobTimeout = config.jobTimeout || this.timeout
+    this.wallet = config.wallet
+    this.refundPolicy = config.refundPolicy || { mode: 'full' } // full, partial, credit, none
+    this.outcomes = config.outcomeStore || new MemoryKeyValueStore()
+    this.credits = config.creditStore || new MemoryKeyValueStore()
+    // In memory unless a JSONL file is configured for the audit trail
+    this.auditLog = config.auditLog || new AuditLog({
+      path: config.auditLogPath || process.env.X402_AUDIT_LOG
+    })
+    this.inFlight = new Map()
   }
 
   /**
    * Process a payment request and execute the associated job
+   *
+   * Idempotent per txHash: once a verified payment has an outcome, repeated
+   * calls (including concurrent ones) return that outcome instead of running
+   * the job again. If the paid job fails or times out, the refund policy runs;
+   * a refund that fails leaves the outcome refund_pending, and the next call
+   * retries it.
    * @param {string} txHash - Transaction hash of the payment
    * @param {Object} jobConfig - Configuration for the job
+   * @param {string} [jobConfig.type] - Job type (default: the service named in the payment)
    * @returns {Promise<Object>} Result of payment processing and job execution
    */
   async processPaymentRequest(txHash, jobConfig) {
+    const recorded = await this.outcomes.get(outcomeKey(txHash))
+
+    if (recorded && !isUnfinished(recorded)) {
+      return { ...recorded, replayed: true }
+    }
+
+    if (!this.inFlight.has(txHash)) {
+      const run = this.runPaymentRequest(txHash, jobConfig, recorded)
+        .finally(() => this.inFlight.delete(txHash))
+      this.inFlight.set(txHash, run)
+      return run
+    }
+
+    const outcome = await this.inFlight.get(txHash)
+    return { ...outcome, replayed: true }
+  }
+
+  /**
+   * Verify a payment, run its job and record the outcome
+   *
+   * A processing outcome is written before the payment is consumed, so a
+   * crash in between leaves a record to resume from instead of a consumed
+   * payment with no job and no refund.
+   * @param {string} txHash - Transaction hash of the payment
+   * @param {Object} jobConfig - Configuration for the job
+   * @param {Object} [recorded] - Unfinished outcome to resume (processing or refund_pending)
+   * @returns {Promise<Object>} Processing outcome
+   */
+  async runPaymentRequest(txHash, jobConfig, recorded) {
+    if (recorded?.status === 'refund_pending') {
+      return this.retryRefund(txHash, recorded)
+    }
+
+    if (recorded?.status === 'processing') {
+      // The crash may have come before or after consumption; either way the
+      // payment is ours, since the processing record was written first
+      await this.verifier.consume(recorded.receipt, jobConfig.resource)
+      return this.completePayment(txHash, recorded.receipt, jobConfig, { resume: true })
+    }
+
+    let receipt
+
     try {
       // Verify payment on-chain
-      const receipt = await this.verifier.verify({
+      receipt = await this.verifier.verify({
         txHash,
         expectedAmount: jobConfig.amount,
         expectedAsset: jobConfig.asset || 'USDC',
+        resource: jobConfig.resource,
+        consume: false,
         timeout: this.timeout
       })
+    } catch (error) {
+      console.error('Payment processing failed:', error)
+      await this.logAudit({
+        txHash,
+        status: 'failed',
+        error: error.message
+      })
+      throw error
+    }
 
-      if (!receipt.valid) {
-        console.error('❌ Payment invalid or expired:', receipt.reason)
-        return { success: false, error: receipt.reason }
-      }
+    // Unverified payments are not recorded, so a retry can succeed once the
+    // payment confirms
+    if (!receipt.valid) {
+      console.error('❌ Payment invalid or expired:', receipt.reason)
+      return { success: false, error: receipt.reason }
+    }
+
+    await this.outcomes.set(outcomeKey(txHash), { status: 'processing', txHash, receipt })
+
+    const consumed = await this.verifier.consume(receipt, jobConfig.resource)
+
+    if (!consumed.valid) {
+      await this.outcomes.delete(outcomeKey(txHash))
+      console.error('❌ Payment invalid or expired:', consumed.reason)
+      return { success: false, error: consumed.reason }
+    }
+
+    return this.completePayment(txHash, receipt, jobConfig)
+  }
+
+  /**
+   * Run the job a consumed payment paid for, refunding it if the job fails
+   * @param {string} txHash - Transaction hash of the payment
+   * @param {Object} receipt - Verified payment receipt
+   * @param {Object} jobConfig - Configuration for the job
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.resume] - Resuming after a crash; reuse the job's state if it got that far
+   * @returns {Promise<Object>} Processing outcome
+   */
+  async completePayment(txHash, receipt, jobConfig, options = {}) {
+    console.log('✅ Verified payment for', receipt.service)
+    console.log('Amount:', receipt.amount, receipt.asset)
+    console.log('From:', receipt.from)
+    console.log('Block:', receipt.blockNumber)
 
-      console.log('✅ Verified payment for', receipt.service)
-      console.log('Amount:', receipt.amount, receipt.asset)
-      console.log('From:', receipt.from)
-      console.log('Block:', receipt.blockNumber)
+    // Extract job metadata from payment memo
+    const jobId = receipt.metadata?.jobId || receipt.jobId
 
-      // Extract job metadata from payment memo
-      const jobId = receipt.metadata?.jobId || receipt.jobId
-      
+    try {
       if (!jobId) {
         throw new Error('No job ID found in payment metadata')
       }
 
-      // Execute the job
-      const result = await this.executeJob(jobId, jobConfig)
-      
+      const result = await this.runJob(jobId, receipt, {
+        ...jobConfig,
+        payment: { txHash, from: receipt.from, amount: receipt.amount, asset: receipt.asset }
+      }, options.resume)
+
+      const outcome = { success: true, jobId, result }
+
       // Log audit trail
       await this.logAudit({
         jobId,
         txHash,
+        service: receipt.service,
         status: 'completed',
         timestamp: Date.now(),
         result
       })
 
-      return { success: true, jobId, result }
+      await this.outcomes.set(outcomeKey(txHash), outcome)
+      return outcome
     } catch (error) {
-      console.error('Payment processing failed:', error)
+      console.error('Paid job failed:', error)
+
+      const refund = await this.refundPayment(receipt, jobId, error.message)
+
       await this.logAudit({
+        jobId,
         txHash,
+        service: receipt.service,
         status: 'failed',
-        error: error.message
+        timestamp: Date.now(),
+        error: error.message,
+        refund,
+        refundTxHash: refund.txHash
       })
-      throw error
+
+      return this.recordRefund(txHash, { success: false, jobId, error: error.message, refund }, receipt)
     }
   }
 
+  /**
+   * Run a paid job; when resuming, pick up where the crashed run left it
+   * @param {string} jobId - Job identifier
+   * @param {Object} receipt - Verified payment receipt
+   * @param {Object} config - Job configuration
+   * @param {boolean} [resume] - Resuming after a crash
+   * @returns {Promise<*>} Job result
+   */
+  async runJob(jobId, receipt, config, resume = false) {
+    const job = await this.getJob(jobId)
+
+    if (resume && job?.status === 'completed') {
+      return job.result
+    }
+
+    if (resume && job?.status === 'failed') {
+      throw new Error(job.error || `Job ${jobId} failed`)
+    }
+
+    if (resume && job?.status === 'running') {
+      await this.jobs.fail(jobId, 'Interrupted by process restart')
+      throw new Error('Interrupted by process restart')
+    }
+
+    // Register the paid job so it can be tracked through its lifecycle
+    if (!job) {
+      await this.jobs.create({
+        id: jobId,
+        type: config.type || receipt.service,
+        config
+      })
+    }
+
+    // Execute the job
+    return this.executeJob(jobId, config)
+  }
+
+  /**
+   * Retry the refund of a failed job whose earlier refund failed
+   * @param {string} txHash - Transaction hash of the payment
+   * @param {Object} recorded - refund_pending outcome
+   * @returns {Promise<Object>} Processing outcome
+   */
+  async retryRefund(txHash, recorded) {
+    const { receipt, status, ...outcome } = recorded
+    const refund = await this.refundPayment(receipt, outcome.jobId, outcome.error)
+
+    await this.logAudit({
+      jobId: outcome.jobId,
+      txHash,
+      service: receipt.service,
+      status: refund.status === 'failed' ? 'refund_failed' : 'refund_retried',
+      timestamp: Date.now(),
+      refund,
+      refundTxHash: refund.txHash
+    })
+
+    return this.recordRefund(txHash, { ...outcome, refund }, receipt)
+  }
+
+  /**
+   * Record the outcome of a failed job; while its refund is still failed the
+   * outcome stays refund_pending so the refund can be retried
+   * @param {string} txHash - Transaction hash of the payment
+   * @param {Object} outcome - Outcome ({ success: false, jobId, error, refund })
+   * @param {Object} receipt - Verified payment receipt (kept for the retry)
+   * @returns {Promise<Object>} Outcome
+   */
+  async recordRefund(txHash, outcome, receipt) {
+    if (outcome.refund.status !== 'failed') {
+      await this.outcomes.set(outcomeKey(txHash), outcome)
+      return outcome
+    }
+
+    await this.outcomes.set(outcomeKey(txHash), { ...outcome, status: 'refund_pending', receipt })
+    return { ...outcome, status: 'refund_pending' }
+  }
+
   /**
    * Execute a job by ID
    * @param {string} jobId - Unique job identifier
@@ -81,41 +276,144 @@ export class PaymentProcessor {
       throw new Error(`Job ${jobId} not found`)
     }
 
-    // Set job context
-    job.setContext({
-      config,
-      startTime: Date.now()
+    const run = this.jobs.run(jobId, { config })
+    // A job that times out keeps running; its late result is discarded
+    run.catch(() => {})
+
+    let timeoutId
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('Job timeout')), this.jobTimeout)
     })
 
-    // Execute with timeout
-    const result = await Promise.race([
-      job.run(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Job timeout')), 300000)
-      )
-    ])
+    try {
+      // Execute with timeout
+      const result = await Promise.race([run, timeout])
+      console.log('Job completed successfully:', jobId)
+      return result
+    } catch (error) {
+      await this.jobs.fail(jobId, error.message)
+      throw error
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  /**
+   * Refund a verified payment according to the refund policy
+   * @param {Object} receipt - Verified payment receipt
+   * @param {string} [jobId] - Job that failed
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object>} Refund record ({ mode, status, amount, txHash })
+   */
+  async refundPayment(receipt, jobId, reason) {
+    const { mode = 'full', percent = 100 } = this.refundPolicy
+    const { txHash, from, asset } = receipt
+
+    if (mode === 'none') {
+      return { mode, status: 'skipped' }
+    }
+
+    const units = toBaseUnits(receipt.amount, asset)
+    const amount = mode === 'partial'
+      ? fromBaseUnits(units * BigInt(Math.round(percent * 100)) / 10000n, asset)
+      : receipt.amount
 
-    console.log('Job completed successfully:', jobId)
-    return result
+    try {
+      if (mode === 'credit') {
+        const key = creditKey(from, asset)
+        const balance = (await this.credits.get(key)) || '0'
+        await this.credits.set(key, addAmounts([balance, amount], asset))
+        return { mode, status: 'credited', amount, asset, to: from }
+      }
+
+      if (!this.wallet) {
+        throw new Error('No wallet configured for refunds')
+      }
+
+      const refundTx = await this.wallet.pay({
+        to: from,
+        amount,
+        asset,
+        memo: `Refund for ${txHash}`,
+        metadata: { refundOf: txHash, jobId, reason }
+      })
+      const refundReceipt = await refundTx.wait()
+
+      if (refundReceipt.status !== 'confirmed') {
+        throw new Error(refundReceipt.reason || 'Refund transaction failed')
+      }
+
+      await this.logAudit({
+        jobId,
+        txHash: refundTx.hash,
+        service: receipt.service,
+        status: 'refunded',
+        timestamp: Date.now(),
+        refundOf: txHash,
+        amount,
+        asset
+      })
+
+      return { mode, status: 'refunded', amount, asset, to: from, txHash: refundTx.hash }
+    } catch (error) {
+      console.error('Refund failed:', error)
+      return { mode, status: 'failed', amount, asset, to: from, error: error.message }
+    }
+  }
+
+  /**
+   * Get the store credit a payer has accumulated from credit refunds
+   * @param {string} payer - Payer address
+   * @param {string} [asset] - Asset type (default: USDC)
+   * @returns {Promise<string>} Credit balance
+   */
+  async getCredit(payer, asset = 'USDC') {
+    return (await this.credits.get(creditKey(payer, asset))) || '0'
   }
 
   /**
    * Retrieve a job by ID
    * @param {string} jobId - Job identifier
-   * @returns {Promise<Object>} Job object
+   * @returns {Promise<Object|null>} Job object
    */
   async getJob(jobId) {
-    // Implementation would fetch from job registry
-    throw new Error('getJob not implemented')
+    return this.jobs.getJob(jobId)
   }
 
   /**
    * Log audit trail entry
    * @param {Object} entry - Audit log entry
+   * @returns {Promise<Object>} Chained entry
    */
   async logAudit(entry) {
-    // Implementation would send to audit service
-    console.log('Audit log:', entry)
+    return this.auditLog.append(entry)
   }
 }
 
+/**
+ * Whether a recorded outcome still has work to do
+ * @param {Object} outcome - Recorded outcome
+ * @returns {boolean} True for processing and refund_pending outcomes
+ */
+function isUnfinished(outcome) {
+  return outcome.status === 'processing' || outcome.status === 'refund_pending'
+}
+
+/**
+ * Build the store key for a payment outcome
+ * @param {string} txHash - Transaction hash
+ * @returns {string} Store key
+ */
+function outcomeKey(txHash) {
+  return `outcome:${txHash.toLowerCase()}`
+}
+
+/**
+ * Build the store key for a payer's credit balance
+ * @param {string} payer - Payer address
+ * @param {string} asset - Asset type
+ * @returns {string} Store key
+ */
+function creditKey(payer, asset) {
+  return `credit:${payer.toLowerCase()}:${asset}`
+}
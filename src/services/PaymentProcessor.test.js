@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PaymentProcessor } from './PaymentProcessor.js'
+import { MemoryAuditLogStore } from '../utils/AuditLogStore.js'
+
+const PAYER = '0x' + 'a1'.repeat(20)
+const TX = '0x' + 'ab'.repeat(32)
+
+/**
+ * Verifier that accepts TX once; the receipt names job j1 of service "echo"
+ */
+function createVerifier() {
+  const verifier = { consumed: 0, verified: 0 }
+  verifier.verify = async ({ txHash }) => {
+    verifier.verified += 1
+    return {
+      valid: txHash === TX,
+      reason: txHash === TX ? undefined : 'Transaction not found',
+      txHash,
+      from: PAYER,
+      amount: '1.5',
+      asset: 'USDC',
+      service: 'echo',
+      metadata: { jobId: 'j1' }
+    }
+  }
+  verifier.consume = async () => {
+    verifier.consumed += 1
+    return { valid: true }
+  }
+  return verifier
+}
+
+/**
+ * Processor with an "echo" job handler; handler overrides it
+ */
+function createProcessor(config = {}, handler = async job => job.config.input) {
+  const verifier = createVerifier()
+  const processor = new PaymentProcessor({ verifier, jobTimeout: 1000, ...config })
+  processor.jobs.registerHandler('echo', handler)
+  return { processor, verifier }
+}
+
+/**
+ * Wallet whose refund payments confirm, or fail while failing is set
+ */
+function createWallet() {
+  const wallet = { payments: [], failing: false }
+  wallet.pay = async payment => {
+    if (wallet.failing) throw new Error('insufficient funds')
+    wallet.payments.push(payment)
+    return { hash: `0xrefund${wallet.payments.length}`, wait: async () => ({ status: 'confirmed' }) }
+  }
+  return wallet
+}
+
+describe('PaymentProcessor', () => {
+  it('runs the paid job once and replays its outcome', async () => {
+    let runs = 0
+    const { processor, verifier } = createProcessor({}, async job => {
+      runs += 1
+      return `ran ${job.config.input}`
+    })
+
+    const [first, concurrent] = await Promise.all([
+      processor.processPaymentRequest(TX, { amount: '1.5', input: 'a' }),
+      processor.processPaymentRequest(TX, { amount: '1.5', input: 'a' })
+    ])
+    const later = await processor.processPaymentRequest(TX.toUpperCase().replace('0X', '0x'), { amount: '1.5' })
+
+    assert.deepEqual(first, { success: true, jobId: 'j1', result: 'ran a' })
+    assert.equal(concurrent.replayed, true)
+    assert.equal(later.replayed, true)
+    assert.equal(runs, 1)
+    assert.equal(verifier.consumed, 1)
+  })
+
+  it('does not record unverified payments', async () => {
+    const { processor, verifier } = createProcessor()
+
+    assert.deepEqual(await processor.processPaymentRequest('0xdead', { amount: '1.5' }), {
+      success: false,
+      error: 'Transaction not found'
+    })
+    await processor.processPaymentRequest('0xdead', { amount: '1.5' })
+    assert.equal(verifier.verified, 2)
+    assert.equal(verifier.consumed, 0)
+  })
+
+  it('refunds a failed job in full to the payer', async () => {
+    const wallet = createWallet()
+    const { processor } = createProcessor({ wallet }, async () => { throw new Error('model crashed') })
+
+    const outcome = await processor.processPaymentRequest(TX, { amount: '1.5' })
+
+    assert.equal(outcome.success, false)
+    assert.equal(outcome.error, 'model crashed')
+    assert.equal(outcome.refund.status, 'refunded')
+    assert.deepEqual(wallet.payments.map(payment => [payment.to, payment.amount]), [[PAYER, '1.5']])
+    assert.equal((await processor.getJob('j1')).status, 'failed')
+  })
+
+  it('applies partial and credit refund policies exactly', async () => {
+    const wallet = createWallet()
+    const failing = async () => { throw new Error('boom') }
+
+    const partial = createProcessor({ wallet, refundPolicy: { mode: 'partial', percent: 33.33 } }, failing)
+    assert.equal((await partial.processor.processPaymentRequest(TX, {})).refund.amount, '0.49995')
+
+    const credit = createProcessor({ refundPolicy: { mode: 'credit' } }, failing)
+    await credit.processor.processPaymentRequest(TX, {})
+    assert.equal(await credit.processor.getCredit(PAYER.toUpperCase().replace('0X', '0x')), '1.5')
+  })
+
+  it('keeps a failed refund pending and retries it on the next call', async () => {
+    const wallet = createWallet()
+    wallet.failing = true
+    const { processor } = createProcessor({ wallet }, async () => { throw new Error('boom') })
+
+    const pending = await processor.processPaymentRequest(TX, {})
+    assert.equal(pending.status, 'refund_pending')
+
+    wallet.failing = false
+    const retried = await processor.processPaymentRequest(TX, {})
+    assert.equal(retried.refund.status, 'refunded')
+    assert.equal((await processor.processPaymentRequest(TX, {})).replayed, true)
+    assert.equal(wallet.payments.length, 1)
+  })
+
+  it('resumes a payment consumed before a crash without running its job twice', async () => {
+    const first = createProcessor()
+    await first.processor.processPaymentRequest(TX, { input: 'a' })
+    const job = await first.processor.getJob('j1')
+
+    const { processor, verifier } = createProcessor({ jobs: first.processor.jobs })
+    const receipt = await verifier.verify({ txHash: TX })
+    await processor.outcomes.set(`outcome:${TX}`, { status: 'processing', txHash: TX, receipt })
+
+    const outcome = await processor.processPaymentRequest(TX, {})
+    assert.deepEqual(outcome, { success: true, jobId: 'j1', result: job.result })
+  })
+
+  it('writes a verifiable audit trail, in memory by default', async () => {
+    const wallet = createWallet()
+    const { processor } = createProcessor({ wallet }, async () => { throw new Error('boom') })
+    await processor.processPaymentRequest(TX, {})
+
+    assert.ok(processor.auditLog.store instanceof MemoryAuditLogStore)
+    assert.deepEqual((await processor.auditLog.query({ txHash: TX })).map(entry => entry.status), ['refunded', 'failed'])
+    assert.equal((await processor.auditLog.verify()).valid, true)
+  })
+})
@@ -0,0 +1,245 @@
+/**
+ * Revenue Reporter Service
+ * Revenue and usage reports over payment proofs and audit log entries
+ *
+ * Proofs supply the money (payer, payee, asset, amount, payment time);
+ * audit entries add the service, when the paid job settled and any refunds.
+ * Amounts of different assets are never added, so asset is always one of
+ * the grouping dimensions.
+ */
+
+import { toBaseUnits, fromBaseUnits } from '../utils/Amount.js'
+
+export const REPORT_DIMENSIONS = ['payer', 'payee', 'service', 'asset', 'hour', 'day', 'month']
+
+const TIME_BUCKETS = {
+  hour: date => date.toISOString().slice(0, 13) + ':00Z',
+  day: date => date.toISOString().slice(0, 10),
+  month: date => date.toISOString().slice(0, 7)
+}
+
+const PERCENTILES = [50, 90, 99]
+
+const METRIC_COLUMNS = [
+  'count', 'revenue', 'refunded', 'netRevenue', 'averageTicket',
+  ...PERCENTILES.map(p => `latencyP${p}`)
+]
+
+export class RevenueReporter {
+  constructor(config = {}) {
+    this.clock = config.clock || (() => Date.now())
+  }
+
+  /**
+   * Build a report
+   * @param {Object} options - Report options
+   * @param {Array} options.proofs - Payment proofs (from ProofEngine)
+   * @param {Array} [options.auditEntries] - Audit log entries (from AuditLog)
+   * @param {string[]} [options.groupBy] - Dimensions: payer, payee, service, asset, hour, day, month (default: ['asset'])
+   * @param {number} [options.from] - Earliest payment time (inclusive)
+   * @param {number} [options.to] - Latest payment time (exclusive)
+   * @returns {Object} Report ({ generatedAt, groupBy, from, to, rows })
+   */
+  build({ proofs, auditEntries = [], groupBy = ['asset'], from, to }) {
+    const unknown = groupBy.filter(dimension => !REPORT_DIMENSIONS.includes(dimension))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown report dimensions: ${unknown.join(', ')}`)
+    }
+
+    const dimensions = groupBy.includes('asset') ? groupBy : [...groupBy, 'asset']
+    const payments = this.collectPayments(proofs, auditEntries)
+      .filter(payment => from === undefined || payment.paidAt >= from)
+      .filter(payment => to === undefined || payment.paidAt < to)
+
+    const groups = new Map()
+
+    payments.forEach(payment => {
+      const keys = Object.fromEntries(dimensions.map(dimension => [dimension, dimensionValue(payment, dimension)]))
+      const groupKey = JSON.stringify(dimensions.map(dimension => keys[dimension]))
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { keys, count: 0, revenue: 0n, refunded: 0n, latencies: [] })
+      }
+
+      const group = groups.get(groupKey)
+      group.count += 1
+      group.revenue += payment.units
+      group.refunded += payment.refundedUnits
+
+      if (payment.settledAt !== undefined) {
+        group.latencies.push(Math.max(0, payment.settledAt - payment.paidAt))
+      }
+    })
+
+    const rows = [...groups.values()].map(group => {
+      const { asset } = group.keys
+      const latencies = group.latencies.sort((a, b) => a - b)
+
+      return {
+        ...group.keys,
+        count: group.count,
+        revenue: fromBaseUnits(group.revenue, asset),
+        refunded: fromBaseUnits(group.refunded, asset),
+        netRevenue: fromBaseUnits(group.revenue - group.refunded, asset),
+        averageTicket: fromBaseUnits(group.revenue / BigInt(group.count), asset),
+        ...Object.fromEntries(PERCENTILES.map(p => [`latencyP${p}`, percentile(latencies, p)]))
+      }
+    })
+
+    rows.sort((a, b) => dimensions
+      .map(dimension => String(a[dimension]).localeCompare(String(b[dimension])))
+      .find(order => order !== 0) || 0)
+
+    return {
+      generatedAt: this.clock(),
+      groupBy: dimensions,
+      from: from ?? null,
+      to: to ?? null,
+      rows
+    }
+  }
+
+  /**
+   * Join proofs with audit entries into one record per payment
+   * @param {Array} proofs - Payment proofs
+   * @param {Array} auditEntries - Audit log entries
+   * @returns {Array} Payments ({ txHash, payer, payee, service, asset, units, refundedUnits, paidAt, settledAt })
+   */
+  collectPayments(proofs, auditEntries) {
+    // Keyed by lower-case hash, so a refund seen in both the audit log and
+    // a proof counts once whatever its casing
+    const audits = new Map()
+    const refunds = new Map()
+
+    auditEntries.forEach(entry => {
+      if (entry.status === 'refunded' && entry.refundOf) {
+        refunds.set(entry.txHash.toLowerCase(), { refundOf: entry.refundOf, amount: entry.amount, asset: entry.asset })
+      } else if (entry.txHash) {
+        const hash = entry.txHash.toLowerCase()
+        audits.set(hash, [...(audits.get(hash) || []), entry])
+      }
+    })
+
+    const payments = new Map()
+
+    proofs.forEach(proof => {
+      const data = proof.data
+      const refundOf = data.metadata?.refundOf
+
+      if (refundOf) {
+        const refundHash = data.txHash.toLowerCase()
+        if (!refunds.has(refundHash)) {
+          refunds.set(refundHash, { refundOf, amount: data.amount, asset: data.asset })
+        }
+        return
+      }
+
+      const hash = data.txHash.toLowerCase()
+      if (payments.has(hash)) {
+        return
+      }
+
+      const entries = audits.get(hash) || []
+      const settled = entries.find(entry => entry.status === 'completed')
+
+      payments.set(hash, {
+        txHash: data.txHash,
+        payer: data.from,
+        payee: data.to,
+        service: data.service || data.metadata?.service || entries.find(entry => entry.service)?.service || null,
+        asset: data.asset,
+        units: toBaseUnits(data.amount, data.asset),
+        refundedUnits: 0n,
+        paidAt: data.timestamp ?? proof.timestamp,
+        settledAt: settled?.timestamp
+      })
+    })
+
+    refunds.forEach(refund => {
+      const payment = payments.get(refund.refundOf.toLowerCase())
+
+      if (payment && refund.amount !== undefined && (refund.asset || payment.asset) === payment.asset) {
+        payment.refundedUnits += toBaseUnits(refund.amount, payment.asset)
+      }
+    })
+
+    return [...payments.values()]
+  }
+
+  /**
+   * Export a report as CSV
+   * @param {Object} report - Report from build
+   * @returns {string} CSV with a header row
+   */
+  toCSV(report) {
+    const columns = [...report.groupBy, ...METRIC_COLUMNS]
+    const lines = [
+      columns.join(','),
+      ...report.rows.map(row => columns
+        .map(column => csvField(row[column], report.groupBy.includes(column)))
+        .join(','))
+    ]
+
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Export a report as JSON
+   * @param {Object} report - Report from build
+   * @returns {string} JSON document
+   */
+  toJSON(report) {
+    return JSON.stringify(report, null, 2)
+  }
+}
+
+/**
+ * Value of a grouping dimension for a payment
+ * @param {Object} payment - Payment record
+ * @param {string} dimension - Dimension
+ * @returns {string|null} Dimension value
+ */
+function dimensionValue(payment, dimension) {
+  if (TIME_BUCKETS[dimension]) {
+    return TIME_BUCKETS[dimension](new Date(payment.paidAt))
+  }
+
+  return payment[dimension] ?? null
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null without values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null
+  }
+
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)]
+}
+
+/**
+ * Format a CSV field
+ *
+ * Text fields that a spreadsheet would read as a formula are prefixed with
+ * a quote; fields with separators, quotes or line breaks are quoted.
+ * @param {*} value - Field value
+ * @param {boolean} isText - Whether the field is free text (a dimension)
+ * @returns {string} CSV field
+ */
+function csvField(value, isText) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  let field = String(value)
+
+  if (isText && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { RevenueReporter } from './RevenueReporter.js'
+
+const ALICE = '0x' + 'a1'.repeat(20)
+const BOB = '0x' + 'b2'.repeat(20)
+const PAYEE = '0x' + 'e5'.repeat(20)
+const DAY = 24 * 60 * 60 * 1000
+
+const proof = (txHash, from, amount, timestamp, extra = {}) => ({
+  data: { txHash, from, to: PAYEE, amount, asset: 'USDC', timestamp, ...extra }
+})
+
+describe('RevenueReporter', () => {
+  it('groups revenue exactly and always by asset', () => {
+    const reporter = new RevenueReporter({ clock: () => 0 })
+    const report = reporter.build({
+      proofs: [
+        proof('0x01', ALICE, '0.1', 0, { service: 'chat' }),
+        proof('0x02', ALICE, '0.2', DAY, { service: 'chat' }),
+        proof('0x03', BOB, '1', DAY, { service: 'vision' }),
+        proof('0x04', BOB, '0.5', DAY, { service: 'vision', asset: 'ETH' })
+      ],
+      groupBy: ['service']
+    })
+
+    assert.deepEqual(report.groupBy, ['service', 'asset'])
+    assert.deepEqual(report.rows.map(row => [row.service, row.asset, row.revenue, row.averageTicket]), [
+      ['chat', 'USDC', '0.3', '0.15'],
+      ['vision', 'ETH', '0.5', '0.5'],
+      ['vision', 'USDC', '1', '1']
+    ])
+  })
+
+  it('filters by payment time and buckets by day', () => {
+    const reporter = new RevenueReporter()
+    const report = reporter.build({
+      proofs: [proof('0x01', ALICE, '1', 0), proof('0x02', ALICE, '2', DAY), proof('0x03', ALICE, '4', 2 * DAY)],
+      groupBy: ['day'],
+      from: DAY,
+      to: 3 * DAY
+    })
+
+    assert.deepEqual(report.rows.map(row => [row.day, row.revenue]), [['1970-01-02', '2'], ['1970-01-03', '4']])
+  })
+
+  it('counts a refund once whatever the casing of its hashes', () => {
+    const reporter = new RevenueReporter()
+    const report = reporter.build({
+      proofs: [
+        proof('0xAbC1', ALICE, '1', 0),
+        proof('0xDEF2', PAYEE, '0.4', 10, { metadata: { refundOf: '0xabc1' } })
+      ],
+      auditEntries: [
+        { txHash: '0xabc1', status: 'completed', timestamp: 250 },
+        { txHash: '0xdef2', status: 'refunded', refundOf: '0xABC1', amount: '0.4', asset: 'USDC' }
+      ]
+    })
+
+    assert.equal(report.rows.length, 1)
+    assert.deepEqual(
+      [report.rows[0].count, report.rows[0].refunded, report.rows[0].netRevenue, report.rows[0].latencyP50],
+      [1, '0.4', '0.6', 250]
+    )
+  })
+
+  it('rejects unknown dimensions', () => {
+    assert.throws(() => new RevenueReporter().build({ proofs: [], groupBy: ['country'] }), /Unknown report dimensions: country/)
+  })
+
+  it('exports CSV with quoting and formula escaping', () => {
+    const reporter = new RevenueReporter()
+    const report = reporter.build({
+      proofs: [proof('0x01', ALICE, '1', 0, { service: '=HYPERLINK("x")' })],
+      groupBy: ['service']
+    })
+    const [header, row] = reporter.toCSV(report).trimEnd().split('\n')
+
+    assert.equal(header, 'service,asset,count,revenue,refunded,netRevenue,averageTicket,latencyP50,latencyP90,latencyP99')
+    assert.equal(row, '"\'=HYPERLINK(""x"")",USDC,1,1,0,1,1,,,')
+    assert.deepEqual(JSON.parse(reporter.toJSON(report)).rows[0].revenue, '1')
+  })
+})
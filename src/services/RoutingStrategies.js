@@ -0,0 +1,134 @@
+/**
+ * Routing Strategies
+ * Built-in node selection strategies for AgentMesh
+ *
+ * A strategy is a function (nodes, task, state) => node. It receives only the
+ * nodes that are available and have the task's required capabilities, and a
+ * state object that AgentMesh keeps per strategy between calls.
+ */
+
+// Points per node on the consistent hash ring
+const VIRTUAL_NODES = 64
+
+/**
+ * Cycle through nodes in order
+ * @param {Array} nodes - Candidate nodes
+ * @param {Object} task - Task being routed
+ * @param {Object} state - Strategy state
+ * @returns {Object} Selected node
+ */
+export function roundRobin(nodes, task, state) {
+  state.cursor = (state.cursor ?? -1) + 1
+  return nodes[state.cursor % nodes.length]
+}
+
+/**
+ * Pick the node with the lowest reported load
+ * @param {Array} nodes - Candidate nodes
+ * @returns {Object} Selected node
+ */
+export function leastLoad(nodes) {
+  return nodes.reduce((prev, curr) =>
+    (curr.load ?? 0) < (prev.load ?? 0) ? curr : prev
+  )
+}
+
+/**
+ * Pick a node at random, proportionally to node.weight (default 1)
+ * @param {Array} nodes - Candidate nodes
+ * @param {Object} task - Task being routed
+ * @param {Object} state - Strategy state (state.random overrides Math.random)
+ * @returns {Object} Selected node
+ */
+export function weighted(nodes, task, state) {
+  const weights = nodes.map(node => Math.max(node.weight ?? 1, 0))
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+
+  if (total === 0) {
+    return nodes[0]
+  }
+
+  let point = (state.random || Math.random)() * total
+  for (let i = 0; i < nodes.length; i++) {
+    point -= weights[i]
+    if (point < 0) {
+      return nodes[i]
+    }
+  }
+
+  return nodes[nodes.length - 1]
+}
+
+/**
+ * Pick the node with the lowest observed latency, then the lowest load
+ * @param {Array} nodes - Candidate nodes
+ * @returns {Object} Selected node
+ */
+export function latencyAware(nodes) {
+  return nodes.reduce((prev, curr) => {
+    const prevLatency = prev.latency ?? Infinity
+    const currLatency = curr.latency ?? Infinity
+
+    if (currLatency !== prevLatency) {
+      return currLatency < prevLatency ? curr : prev
+    }
+
+    return (curr.load ?? 0) < (prev.load ?? 0) ? curr : prev
+  })
+}
+
+/**
+ * Map the task key onto a hash ring so the same key keeps hitting the same
+ * node (cache affinity) and only ~1/n of keys move when a node joins or leaves
+ * @param {Array} nodes - Candidate nodes
+ * @param {Object} task - Task being routed (task.key, falling back to task.id)
+ * @param {Object} state - Strategy state (caches the ring)
+ * @returns {Object} Selected node
+ */
+export function consistentHash(nodes, task, state) {
+  const ringId = nodes.map(node => node.id).join('|')
+
+  if (state.ringId !== ringId) {
+    state.ringId = ringId
+    state.ring = nodes
+      .flatMap(node => Array.from({ length: VIRTUAL_NODES }, (_, i) => ({
+        point: fnv1a(`${node.id}#${i}`),
+        node
+      })))
+      .sort((a, b) => a.point - b.point)
+  }
+
+  const point = fnv1a(String(task.key ?? task.id))
+  const entry = state.ring.find(item => item.point >= point) || state.ring[0]
+  return entry.node
+}
+
+/**
+ * 32-bit FNV-1a hash with a murmur3 finalizer, so keys that differ in one
+ * character still land far apart on the ring
+ * @param {string} value - Value to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+
+  hash ^= hash >>> 16
+  hash = Math.imul(hash, 0x85ebca6b)
+  hash ^= hash >>> 13
+  hash = Math.imul(hash, 0xc2b2ae35)
+  hash ^= hash >>> 16
+  return hash >>> 0
+}
+
+export const ROUTING_STRATEGIES = {
+  'round-robin': roundRobin,
+  'least-load': leastLoad,
+  'load-based': leastLoad,
+  weighted,
+  latency: latencyAware,
+  'consistent-hash': consistentHash
+}
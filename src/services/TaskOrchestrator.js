@@ -3,12 +3,39 @@
  * Coordinates agent-to-agent payments and service calls
  */
 
+// Upfront price per service; 'metered' bills usage after the fact (see UsageMeter)
+const DEFAULT_PRICES = {
+  render: '3.5 USDC',
+  process: '2.0 USDC'
+}
+
 export class TaskOrchestrator {
   constructor(config = {}) {
     this.wallet = config.wallet
     this.network = config.network || process.env.X402_NETWORK || 'mainnet'
     this.rpcUrl = config.rpcUrl || process.env.RPC_URL
     this.defaultConfirmations = config.confirmations || 2
+    this.prices = { ...DEFAULT_PRICES, ...config.prices }
+  }
+
+  /**
+   * Look up the upfront price of a service
+   * @param {string} service - Service name
+   * @returns {Object|null} { amount, asset }, or null for metered services
+   */
+  getPrice(service) {
+    const price = this.prices[service]
+
+    if (!price) {
+      throw new Error(`No price configured for service: ${service}`)
+    }
+
+    if (price === 'metered') {
+      return null
+    }
+
+    const [amount, asset = 'USDC'] = price.split(' ')
+    return { amount, asset }
   }
 
   /**
@@ -23,11 +50,28 @@ export class TaskOrchestrator {
     const { chartType, data, format } = config
     
     try {
+      const price = this.getPrice('render')
+
+      // Metered rendering is billed for its actual usage after the job runs
+      if (!price) {
+        const jobId = crypto.randomUUID()
+
+        await this.notifyRenderAgent({
+          jobId,
+          billing: 'metered',
+          payer: this.wallet.address,
+          data,
+          config: { chartType, format }
+        })
+
+        return { success: true, jobId, billing: 'metered' }
+      }
+
       // Create payment transaction
       const paymentTx = await this.wallet.pay({
         to: 'forge.network/render',
-        amount: '3.5', // USDC
-        asset: 'USDC',
+        amount: price.amount,
+        asset: price.asset,
         memo: `Render ${chartType} chart for analytics v3`,
         metadata: {
           jobId: crypto.randomUUID(),
@@ -67,12 +111,13 @@ export class TaskOrchestrator {
   }
 
   /**
-   * Notify an agent about a payment and job request
+   * Notify a service agent about a payment and job request
+   * @param {string} service - Service name (render, process)
    * @param {Object} payload - Notification payload
    * @returns {Promise<Object>} Agent response
    */
-  async notifyRenderAgent(payload) {
-    const response = await fetch('https://forge.network/render/notify', {
+  async notifyAgent(service, payload) {
+    const response = await fetch(`https://forge.network/${service}/notify`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
@@ -85,6 +130,15 @@ export class TaskOrchestrator {
     return response.json()
   }
 
+  /**
+   * Notify the render agent about a payment and job request
+   * @param {Object} payload - Notification payload
+   * @returns {Promise<Object>} Agent response
+   */
+  async notifyRenderAgent(payload) {
+    return this.notifyAgent('render', payload)
+  }
+
   /**
    * Request data processing service
    * @param {Object} config - Processing configuration
@@ -92,11 +146,32 @@ export class TaskOrchestrator {
    */
   async requestDataProcessing(config) {
     const { dataSource, operation, outputFormat } = config
+    const price = this.getPrice('process')
+
+    // Metered processing is billed for its actual usage after the job runs;
+    // the agent meters it against the payer and job ID it is handed
+    if (!price) {
+      const jobId = crypto.randomUUID()
+
+      await this.notifyAgent('process', {
+        jobId,
+        billing: 'metered',
+        payer: this.wallet.address,
+        config: { dataSource, operation, outputFormat }
+      })
+
+      return {
+        success: true,
+        jobId,
+        billing: 'metered',
+        payer: this.wallet.address
+      }
+    }
     
     const paymentTx = await this.wallet.pay({
       to: 'forge.network/process',
-      amount: '2.0',
-      asset: 'USDC',
+      amount: price.amount,
+      asset: price.asset,
       memo: `Process ${operation} on ${dataSource}`,
       metadata: {
         jobId: crypto.randomUUID(),
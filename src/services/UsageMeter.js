@@ -0,0 +1,565 @@
+/**
+ * Usage Meter Service
+ * Metered, post-paid billing: usage events priced by a rate card accumulate
+ * into per-payer invoices that settle through BridgeLayer
+ *
+ * Settling closes an invoice and makes it due; it stays due, and counts
+ * against the payer's credit limit, until the payer pays it with a payment
+ * the bridge verifies: an on-chain payment to payTo or a voucher on a
+ * channel the payer funded (see payInvoice and the collect hook).
+ *
+ * Each invoice line keeps its exact total quantity and is priced from that
+ * total, rounded up to the asset's base unit, so rounding happens once per
+ * line rather than once per event.
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from '../utils/KeyValueStore.js'
+import { toBaseUnits, fromBaseUnits } from '../utils/Amount.js'
+import { isSameAddress } from '../utils/EthCrypto.js'
+
+const QUANTITY_DECIMALS = 9
+const QUANTITY_SCALE = 10n ** BigInt(QUANTITY_DECIMALS)
+
+// Invoices that still count against a payer's credit limit
+const OUTSTANDING_STATUSES = ['open', 'due']
+
+export class UsageMeter {
+  /**
+   * @param {Object} config - Meter configuration
+   * @param {Object} config.rateCard - Rates by service: { [service]: { asset, rates: { [metric]: price | { price, per } } } }
+   * @param {string} config.payTo - Address invoices are settled to
+   * @param {BridgeLayer} [config.bridge] - Bridge layer that verifies invoice payments
+   * @param {Function} [config.collect] - async (invoice) => ({ txHash } | { voucher }); obtains the payer's
+   *   payment for a due invoice (e.g., invoice => channel.pay(invoice.total).then(voucher => ({ voucher })))
+   * @param {Object} [config.creditLimits] - Credit limit by payer address ("50 USDC")
+   * @param {string} [config.defaultCreditLimit] - Credit limit for other payers (default: unlimited)
+   * @param {Object} [config.settlement] - Settlement triggers
+   * @param {number} [config.settlement.interval] - Settle open invoices every interval ms (see start)
+   * @param {string} [config.settlement.threshold] - Settle an invoice as soon as its total reaches this amount
+   * @param {Object} [config.store] - Key-value store (default: in memory, or a file store when path is set)
+   * @param {string} [config.path] - File path for a file-backed store
+   */
+  constructor(config = {}) {
+    this.rateCard = config.rateCard || {}
+    this.payTo = config.payTo
+    this.bridge = config.bridge
+    this.collect = config.collect || null
+    this.creditLimits = Object.fromEntries(
+      Object.entries(config.creditLimits || {}).map(([payer, limit]) => [payer.toLowerCase(), limit])
+    )
+    this.defaultCreditLimit = config.defaultCreditLimit || null
+    this.settlementInterval = config.settlement?.interval || 60000
+    this.settlementThreshold = config.settlement?.threshold || null
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.clock = config.clock || (() => Date.now())
+    this.queue = Promise.resolve()
+    this.timer = null
+  }
+
+  /**
+   * Record a usage event against a payer's open invoice
+   * @param {Object} event - Usage event
+   * @param {string} event.payer - Payer address
+   * @param {string} event.service - Service name (rate card key)
+   * @param {string} event.metric - Metric (e.g., tokens, bytes, cpu-seconds)
+   * @param {string|number} event.quantity - Quantity used
+   * @param {string} [event.id] - Event ID; an event is only counted once per ID
+   * @param {number} [event.timestamp] - Event time
+   * @returns {Promise<Object>} { event, invoice, duplicate }
+   */
+  record(event) {
+    const run = this.serialize(() => this.applyEvent(event))
+
+    run.then(({ invoice }) => {
+      if (this.isOverThreshold(invoice)) {
+        this.settle(invoice.payer, invoice.asset)
+          .catch(error => console.error('Threshold settlement failed:', error))
+      }
+    }, () => {})
+
+    return run
+  }
+
+  /**
+   * Price an event and add it to the payer's open invoice; must only run
+   * inside the meter queue
+   * @param {Object} event - Usage event
+   * @returns {Promise<Object>} { event, invoice, duplicate }
+   */
+  async applyEvent(event) {
+    const { payer, service, metric } = event
+
+    if (!payer) {
+      throw new Error('Usage event requires a payer')
+    }
+
+    if (event.id && await this.store.get(eventKey(event.id))) {
+      const recorded = await this.store.get(eventKey(event.id))
+      return { event: recorded, invoice: await this.getInvoice(recorded.invoiceId), duplicate: true }
+    }
+
+    const { asset, price, per } = this.getRate(service, metric)
+    const quantity = parseQuantity(event.quantity)
+    const invoice = await this.getOpenInvoice(payer, asset)
+    const lineKey = `${service}:${metric}`
+    const line = invoice.lines[lineKey] || { service, metric, quantity: '0', price, per, amount: '0' }
+    const lineQuantity = parseQuantity(line.quantity) + quantity
+    const lineAmount = priceQuantity(lineQuantity, price, per, asset)
+    const total = toBaseUnits(invoice.total, asset) - toBaseUnits(line.amount, asset) + lineAmount
+
+    await this.checkCreditLimit(payer, asset, total - toBaseUnits(invoice.total, asset))
+
+    const updated = {
+      ...invoice,
+      lines: {
+        ...invoice.lines,
+        [lineKey]: {
+          ...line,
+          quantity: formatQuantity(lineQuantity),
+          amount: fromBaseUnits(lineAmount, asset)
+        }
+      },
+      total: fromBaseUnits(total, asset),
+      eventCount: invoice.eventCount + 1,
+      updatedAt: this.clock()
+    }
+    const recorded = {
+      id: event.id || null,
+      payer,
+      service,
+      metric,
+      quantity: formatQuantity(quantity),
+      timestamp: event.timestamp ?? this.clock(),
+      invoiceId: invoice.id
+    }
+
+    const writes = {
+      [invoiceKey(invoice.id)]: updated,
+      [openInvoiceKey(payer, asset)]: invoice.id
+    }
+    if (event.id) {
+      writes[eventKey(event.id)] = recorded
+    }
+    await this.store.setMany(writes)
+
+    return { event: recorded, invoice: updated, duplicate: false }
+  }
+
+  /**
+   * Look up the rate for a service metric
+   * @param {string} service - Service name
+   * @param {string} metric - Metric
+   * @returns {Object} { asset, price, per }
+   */
+  getRate(service, metric) {
+    const card = this.rateCard[service]
+    const rate = card?.rates?.[metric]
+
+    if (rate === undefined) {
+      throw new Error(`No rate for ${service} ${metric}`)
+    }
+
+    const { price, per = 1 } = typeof rate === 'object' ? rate : { price: rate }
+
+    if (!Number.isInteger(Number(per)) || Number(per) <= 0) {
+      throw new Error(`Invalid rate unit for ${service} ${metric}: ${per}`)
+    }
+
+    return { asset: card.asset || 'USDC', price: String(price), per: Number(per) }
+  }
+
+  /**
+   * Check that a charge keeps a payer within its credit limit
+   * @param {string} payer - Payer address
+   * @param {string} asset - Asset type
+   * @param {bigint} [charge] - Additional charge in base units
+   */
+  async checkCreditLimit(payer, asset, charge = 0n) {
+    const limit = this.creditLimits[payer.toLowerCase()] || this.defaultCreditLimit
+
+    if (!limit) {
+      return
+    }
+
+    const [limitAmount, limitAsset = 'USDC'] = limit.split(' ')
+
+    if (limitAsset !== asset) {
+      throw new Error(`Credit limit for ${payer} is in ${limitAsset}, not ${asset}`)
+    }
+
+    const outstanding = toBaseUnits(await this.getOutstanding(payer, asset), asset)
+
+    if (outstanding + charge > toBaseUnits(limitAmount, asset)) {
+      throw new Error(`Credit limit exceeded for ${payer}: ${limit}`)
+    }
+  }
+
+  /**
+   * Amount a payer owes that has not settled yet
+   * @param {string} payer - Payer address
+   * @param {string} [asset] - Asset type (default: USDC)
+   * @returns {Promise<string>} Outstanding amount
+   */
+  async getOutstanding(payer, asset = 'USDC') {
+    const invoices = await this.listInvoices({ payer, asset })
+    const units = invoices
+      .filter(invoice => OUTSTANDING_STATUSES.includes(invoice.status))
+      .reduce((sum, invoice) => sum + toBaseUnits(invoice.total, asset), 0n)
+
+    return fromBaseUnits(units, asset)
+  }
+
+  /**
+   * Close a payer's open invoice so it becomes due, and collect it if a
+   * collect hook is configured
+   * @param {string} payer - Payer address
+   * @param {string} [asset] - Asset type (default: USDC)
+   * @returns {Promise<Object|null>} Settled (or still due) invoice, or null if nothing is due
+   */
+  async settle(payer, asset = 'USDC') {
+    const invoice = await this.serialize(async () => {
+      const invoiceId = await this.store.get(openInvoiceKey(payer, asset))
+      const open = invoiceId && await this.getInvoice(invoiceId)
+
+      if (!open || toBaseUnits(open.total, asset) === 0n) {
+        return null
+      }
+
+      // Later events go to a new invoice while this one is paid
+      const due = { ...open, status: 'due', closedAt: this.clock() }
+      await this.store.set(invoiceKey(open.id), due)
+      await this.store.delete(openInvoiceKey(payer, asset))
+      return due
+    })
+
+    return invoice && this.settleInvoice(invoice)
+  }
+
+  /**
+   * Settle every invoice that is due: close open invoices with a balance,
+   * and collect due ones when a collect hook is configured
+   * @returns {Promise<Array>} Settlement outcomes
+   */
+  async settleDue() {
+    const invoices = await this.listInvoices()
+    const open = invoices.filter(invoice => invoice.status === 'open')
+    const due = invoices.filter(invoice => invoice.status === 'due')
+
+    const outcomes = []
+    for (const invoice of open) {
+      outcomes.push(await this.settle(invoice.payer, invoice.asset))
+    }
+    for (const invoice of due) {
+      outcomes.push(await this.settleInvoice(invoice))
+    }
+
+    return outcomes.filter(Boolean)
+  }
+
+  /**
+   * Collect a due invoice through the collect hook; without one, or if
+   * collection fails, the invoice stays due until payInvoice is called
+   * @param {Object} invoice - Invoice in due status
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async settleInvoice(invoice) {
+    if (!this.collect) {
+      return invoice
+    }
+
+    try {
+      const result = await this.payInvoice(invoice.id, await this.collect(invoice))
+
+      if (!result.valid) {
+        throw new Error(result.reason)
+      }
+
+      return result.invoice
+    } catch (error) {
+      return this.serialize(async () => {
+        const current = await this.getInvoice(invoice.id)
+
+        if (current?.status !== 'due') {
+          return current
+        }
+
+        const updated = { ...current, attempts: (current.attempts || 0) + 1, error: error.message }
+        await this.store.set(invoiceKey(invoice.id), updated)
+        return updated
+      })
+    }
+  }
+
+  /**
+   * Pay a due invoice with a payment the payer made
+   *
+   * The payment is verified by the bridge layer and must come from the
+   * invoiced payer: an on-chain payment must send the invoice total to payTo
+   * with metadata.resource set to "invoice:<id>", and is consumed for the
+   * invoice; a voucher must pay at least the total on a channel to payTo.
+   * @param {string} invoiceId - Invoice identifier
+   * @param {Object} payment - { txHash } of an on-chain payment, or { voucher } on a payment channel
+   * @returns {Promise<Object>} { valid, invoice } or { valid: false, reason }
+   */
+  async payInvoice(invoiceId, payment = {}) {
+    if (!this.bridge) {
+      throw new Error('No bridge layer configured for settlement')
+    }
+
+    return this.serialize(async () => {
+      const invoice = await this.getInvoice(invoiceId)
+
+      if (!invoice) {
+        return { valid: false, reason: 'Unknown invoice' }
+      }
+
+      if (invoice.status !== 'due') {
+        return { valid: false, reason: `Invoice is ${invoice.status}` }
+      }
+
+      const verification = await this.verifyInvoicePayment(invoice, payment)
+
+      if (!verification.valid) {
+        return verification
+      }
+
+      const { error, ...fields } = invoice
+      const settled = {
+        ...fields,
+        status: 'settled',
+        txHash: verification.txHash || null,
+        channelId: verification.channelId || null,
+        paidBy: verification.from,
+        settledAt: this.clock()
+      }
+
+      await this.store.set(invoiceKey(invoice.id), settled)
+      return { valid: true, invoice: settled }
+    })
+  }
+
+  /**
+   * Verify a payment against a due invoice through the bridge layer
+   * @param {Object} invoice - Due invoice
+   * @param {Object} payment - { txHash } or { voucher }
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyInvoicePayment(invoice, payment) {
+    if (payment.voucher) {
+      return this.bridge.channels.verify({
+        voucher: payment.voucher,
+        expectedAmount: invoice.total,
+        expectedAsset: invoice.asset,
+        expectedRecipient: this.payTo,
+        expectedPayer: invoice.payer
+      })
+    }
+
+    if (!payment.txHash) {
+      return { valid: false, reason: 'Invoice payment requires a txHash or a voucher' }
+    }
+
+    const resource = invoiceResource(invoice.id)
+    const verification = await this.bridge.verifier.verify({
+      txHash: payment.txHash,
+      expectedAmount: invoice.total,
+      expectedAsset: invoice.asset,
+      expectedRecipient: this.payTo,
+      resource,
+      consume: false
+    })
+
+    if (!verification.valid) {
+      return verification
+    }
+
+    // The verifier accepts payments that name no resource; one settling an
+    // invoice must name it, or any payment of the same amount would do
+    if (verification.metadata?.resource !== resource) {
+      return { valid: false, reason: 'Payment is not bound to the invoice', txHash: payment.txHash }
+    }
+
+    if (!isSameAddress(verification.from, invoice.payer)) {
+      return { valid: false, reason: 'Payment is not from the invoiced payer', txHash: payment.txHash }
+    }
+
+    return this.bridge.verifier.consume(verification, resource)
+  }
+
+  /**
+   * Get a payer's open invoice, creating it if needed
+   * @param {string} payer - Payer address
+   * @param {string} asset - Asset type
+   * @returns {Promise<Object>} Open invoice
+   */
+  async getOpenInvoice(payer, asset) {
+    const invoiceId = await this.store.get(openInvoiceKey(payer, asset))
+
+    if (invoiceId) {
+      return this.getInvoice(invoiceId)
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      payer,
+      payTo: this.payTo,
+      asset,
+      status: 'open',
+      lines: {},
+      total: '0',
+      eventCount: 0,
+      openedAt: this.clock()
+    }
+  }
+
+  /**
+   * Retrieve an invoice by ID
+   * @param {string} invoiceId - Invoice identifier
+   * @returns {Promise<Object|null>} Invoice
+   */
+  async getInvoice(invoiceId) {
+    return (await this.store.get(invoiceKey(invoiceId))) || null
+  }
+
+  /**
+   * List invoices, optionally filtered
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.payer] - Payer address
+   * @param {string} [filter.asset] - Asset type
+   * @param {string} [filter.status] - Invoice status (open, due, settled)
+   * @returns {Promise<Array>} Invoices
+   */
+  async listInvoices(filter = {}) {
+    const entries = await this.store.entries('invoice:id:')
+
+    return entries
+      .map(([, invoice]) => invoice)
+      .filter(invoice => !filter.payer || invoice.payer.toLowerCase() === filter.payer.toLowerCase())
+      .filter(invoice => !filter.asset || invoice.asset === filter.asset)
+      .filter(invoice => !filter.status || invoice.status === filter.status)
+  }
+
+  /**
+   * Whether an invoice has reached the settlement threshold
+   * @param {Object} invoice - Invoice
+   * @returns {boolean} Whether it should settle now
+   */
+  isOverThreshold(invoice) {
+    if (!this.settlementThreshold || invoice.status !== 'open') {
+      return false
+    }
+
+    const [amount, asset = 'USDC'] = this.settlementThreshold.split(' ')
+    return asset === invoice.asset && toBaseUnits(invoice.total, asset) >= toBaseUnits(amount, asset)
+  }
+
+  /**
+   * Start settling due invoices on the settlement interval
+   */
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => {
+      this.settleDue().catch(error => console.error('Scheduled settlement failed:', error))
+    }, this.settlementInterval)
+    this.timer.unref?.()
+  }
+
+  /**
+   * Stop scheduled settlement
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Run a task after every earlier queued task
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  serialize(task) {
+    const run = this.queue.then(task)
+    this.queue = run.catch(() => {})
+    return run
+  }
+}
+
+/**
+ * Parse a usage quantity into fixed-point units
+ * @param {string|number} quantity - Non-negative decimal quantity
+ * @returns {bigint} Quantity scaled by 10^QUANTITY_DECIMALS
+ */
+function parseQuantity(quantity) {
+  const match = String(quantity).trim().match(/^(\d+)(?:\.(\d+))?$/)
+
+  if (!match || (match[2] && match[2].length > QUANTITY_DECIMALS)) {
+    throw new Error(`Invalid usage quantity: ${quantity}`)
+  }
+
+  return BigInt(match[1]) * QUANTITY_SCALE + BigInt((match[2] || '').padEnd(QUANTITY_DECIMALS, '0'))
+}
+
+/**
+ * Format fixed-point quantity units as a decimal string
+ * @param {bigint} units - Scaled quantity
+ * @returns {string} Decimal quantity
+ */
+function formatQuantity(units) {
+  const whole = units / QUANTITY_SCALE
+  const fraction = (units % QUANTITY_SCALE).toString().padStart(QUANTITY_DECIMALS, '0').replace(/0+$/, '')
+  return fraction ? `${whole}.${fraction}` : whole.toString()
+}
+
+/**
+ * Price a quantity, rounding up to the asset's base unit
+ * @param {bigint} quantity - Scaled quantity
+ * @param {string} price - Price per `per` units
+ * @param {number} per - Units the price covers
+ * @param {string} asset - Asset type
+ * @returns {bigint} Amount in base units
+ */
+function priceQuantity(quantity, price, per, asset) {
+  const numerator = toBaseUnits(price, asset) * quantity
+  const denominator = BigInt(per) * QUANTITY_SCALE
+  return (numerator + denominator - 1n) / denominator
+}
+
+/**
+ * Resource an on-chain invoice payment is consumed for
+ * @param {string} invoiceId - Invoice identifier
+ * @returns {string} Resource
+ */
+function invoiceResource(invoiceId) {
+  return `invoice:${invoiceId}`
+}
+
+/**
+ * Build the store key for an invoice
+ * @param {string} invoiceId - Invoice identifier
+ * @returns {string} Store key
+ */
+function invoiceKey(invoiceId) {
+  return `invoice:id:${invoiceId}`
+}
+
+/**
+ * Build the store key pointing at a payer's open invoice
+ * @param {string} payer - Payer address
+ * @param {string} asset - Asset type
+ * @returns {string} Store key
+ */
+function openInvoiceKey(payer, asset) {
+  return `invoice:open:${payer.toLowerCase()}:${asset}`
+}
+
+/**
+ * Build the store key for a recorded event
+ * @param {string} eventId - Event identifier
+ * @returns {string} Store key
+ */
+function eventKey(eventId) {
+  return `event:${eventId}`
+}
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { UsageMeter } from './UsageMeter.js'
+import { PaymentVerifier } from '../utils/PaymentVerifier.js'
+import { ChannelVerifier } from '../utils/ChannelVerifier.js'
+import { InMemoryLedger } from '../utils/InMemoryLedger.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+import { PaymentChannel } from '../sdk/PaymentChannel.js'
+
+const PAY_TO = '0x000000000000000000000000000000000000dEaD'
+
+const RATE_CARD = {
+  chat: { asset: 'USDC', rates: { tokens: { price: '0.002', per: 1000 }, requests: '0.01' } }
+}
+
+describe('UsageMeter', () => {
+  let chain
+  let payer
+  let other
+  let meter
+
+  beforeEach(() => {
+    chain = new InMemoryLedger()
+    payer = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    other = new AgentWallet({ privateKey: '0x' + '22'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(payer.address, '10')
+    chain.fund(other.address, '10')
+
+    const bridge = { verifier: new PaymentVerifier({ chain }), channels: new ChannelVerifier({ chain }) }
+    meter = new UsageMeter({ rateCard: RATE_CARD, payTo: PAY_TO, bridge })
+  })
+
+  const record = (quantity, fields = {}) => meter.record({
+    payer: payer.address,
+    service: 'chat',
+    metric: 'tokens',
+    quantity,
+    ...fields
+  })
+
+  it('prices each line once from its total quantity, rounding up', async () => {
+    // Per event, each 0.3 tokens would round up to 0.000001
+    await record('0.3')
+    await record('0.3')
+    await record('0.3')
+    const { invoice } = await record('0.5', { metric: 'requests' })
+
+    assert.deepEqual(invoice.lines['chat:tokens'], {
+      service: 'chat', metric: 'tokens', quantity: '0.9', price: '0.002', per: 1000, amount: '0.000002'
+    })
+    assert.equal(invoice.total, '0.005002')
+    await assert.rejects(record(1, { metric: 'images' }), /No rate for chat images/)
+  })
+
+  it('counts an event ID once', async () => {
+    await record(1000, { id: 'e1' })
+    const { duplicate, invoice } = await record(1000, { id: 'e1' })
+
+    assert.equal(duplicate, true)
+    assert.equal(invoice.total, '0.002')
+  })
+
+  it('enforces credit limits on unpaid usage until it is paid', async () => {
+    meter.creditLimits[payer.address.toLowerCase()] = '0.003 USDC'
+    await record(1000)
+    await assert.rejects(record(1000), /Credit limit exceeded/)
+
+    const due = await meter.settle(payer.address)
+    assert.equal(due.status, 'due')
+    await assert.rejects(record(1000), /Credit limit exceeded/)
+
+    const tx = await payer.pay({ to: PAY_TO, amount: due.total, metadata: { resource: `invoice:${due.id}` } })
+    assert.equal((await meter.payInvoice(due.id, { txHash: tx.hash })).valid, true)
+    assert.equal((await record(1000)).invoice.total, '0.002')
+  })
+
+  it('only accepts an on-chain payment bound to the invoice and from its payer', async () => {
+    await record(1000)
+    const due = await meter.settle(payer.address)
+    const resource = `invoice:${due.id}`
+
+    const unbound = await payer.pay({ to: PAY_TO, amount: due.total })
+    assert.equal((await meter.payInvoice(due.id, { txHash: unbound.hash })).reason, 'Payment is not bound to the invoice')
+
+    const stranger = await other.pay({ to: PAY_TO, amount: due.total, metadata: { resource } })
+    assert.equal((await meter.payInvoice(due.id, { txHash: stranger.hash })).reason, 'Payment is not from the invoiced payer')
+
+    const paid = await payer.pay({ to: PAY_TO, amount: due.total, metadata: { resource } })
+    const settled = await meter.payInvoice(due.id, { txHash: paid.hash })
+    assert.equal(settled.invoice.status, 'settled')
+    assert.equal(settled.invoice.paidBy, payer.address)
+    assert.equal((await meter.payInvoice(due.id, { txHash: paid.hash })).reason, 'Invoice is settled')
+  })
+
+  it('settles through a payment channel the payer funded', async () => {
+    const channel = await PaymentChannel.open(payer, { to: PAY_TO, deposit: '1' })
+    meter.collect = async invoice => ({ voucher: await channel.pay(invoice.total) })
+    await record(1000)
+
+    const settled = await meter.settle(payer.address)
+
+    assert.equal(settled.status, 'settled')
+    assert.equal(settled.channelId, channel.channelId)
+    assert.equal(await meter.getOutstanding(payer.address), '0')
+  })
+
+  it('keeps an invoice due when collection fails', async () => {
+    const strangers = await PaymentChannel.open(other, { to: PAY_TO, deposit: '1' })
+    meter.collect = async invoice => ({ voucher: await strangers.pay(invoice.total) })
+    await record(1000)
+
+    const due = await meter.settle(payer.address)
+
+    assert.equal(due.status, 'due')
+    assert.equal(due.attempts, 1)
+    assert.equal(due.error, 'Payer mismatch')
+  })
+})
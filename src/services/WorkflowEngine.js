@@ -0,0 +1,255 @@
+/**
+ * Workflow Engine Service
+ * Executes multi-agent workflows as dependency graphs over AgentMesh
+ */
+
+import { toBaseUnits, fromBaseUnits, splitBaseUnits } from '../utils/Amount.js'
+
+const FAILURE_POLICIES = ['retry', 'skip', 'abort']
+
+export class WorkflowEngine {
+  constructor(config = {}) {
+    this.mesh = config.mesh
+    this.defaultRetries = config.defaultRetries ?? 2
+  }
+
+  /**
+   * Run a workflow
+   *
+   * Steps run as soon as every step they depend on has finished, so
+   * independent steps fan out in parallel and a step with several
+   * dependencies fans them back in.
+   * @param {Object} task - Coordinated task
+   * @param {string} task.id - Task identifier
+   * @param {Object} task.workflow - Workflow ({ steps })
+   * @param {string} [task.budget] - Total budget shared by the steps
+   * @param {string} [task.asset] - Budget asset (default: USDC)
+   * @returns {Promise<Object>} Workflow result with per-step outcomes and a trace
+   */
+  async run(task) {
+    const steps = this.validate(task.workflow)
+    const budgets = this.allocateBudgets(steps, task.budget, task.asset || 'USDC')
+    const trace = []
+    const states = Object.fromEntries(steps.map(step => [step.id, {
+      status: 'pending',
+      budget: budgets[step.id],
+      attempts: 0
+    }]))
+    const outputs = {}
+    let aborted = false
+
+    const record = (stepId, event, details = {}) => {
+      trace.push({ stepId, event, timestamp: Date.now(), ...details })
+    }
+
+    const isDone = (status) => ['completed', 'skipped', 'failed', 'cancelled'].includes(status)
+
+    const running = new Map()
+
+    const schedule = () => {
+      steps
+        .filter(step => states[step.id].status === 'pending')
+        .filter(step => step.dependsOn.every(dep => ['completed', 'skipped'].includes(states[dep].status)))
+        .forEach(step => {
+          states[step.id].status = 'running'
+          const promise = this.runStep(task, step, states[step.id], outputs, record)
+            .then(outcome => {
+              running.delete(step.id)
+
+              if (outcome === 'abort') {
+                aborted = true
+              }
+
+              if (!aborted) {
+                schedule()
+              }
+            })
+          running.set(step.id, promise)
+        })
+    }
+
+    schedule()
+
+    while (running.size > 0) {
+      await Promise.race(running.values())
+    }
+
+    steps
+      .filter(step => !isDone(states[step.id].status))
+      .forEach(step => {
+        states[step.id].status = 'cancelled'
+        record(step.id, 'cancelled')
+      })
+
+    const completed = steps.every(step => ['completed', 'skipped'].includes(states[step.id].status))
+
+    return {
+      taskId: task.id,
+      workflow: task.workflow,
+      status: completed ? 'completed' : 'failed',
+      completed,
+      steps: states,
+      outputs,
+      trace
+    }
+  }
+
+  /**
+   * Run one step with its failure policy
+   * @param {Object} task - Coordinated task
+   * @param {Object} step - Workflow step
+   * @param {Object} state - Mutable step state
+   * @param {Object} outputs - Outputs of finished steps
+   * @param {Function} record - Trace recorder
+   * @returns {Promise<string>} 'continue' or 'abort'
+   */
+  async runStep(task, step, state, outputs, record) {
+    const maxAttempts = step.onFailure === 'retry' ? 1 + (step.retries ?? this.defaultRetries) : 1
+    state.startTime = Date.now()
+
+    while (state.attempts < maxAttempts) {
+      state.attempts += 1
+      record(step.id, 'started', { attempt: state.attempts })
+
+      try {
+        const input = typeof step.input === 'function'
+          ? await step.input({ outputs, task })
+          : step.input ?? Object.fromEntries(step.dependsOn.map(dep => [dep, outputs[dep] ?? null]))
+
+        const routing = await this.mesh.routeTask({
+          id: `${task.id}:${step.id}`,
+          workflowId: task.id,
+          stepId: step.id,
+          agentId: step.agentId,
+          requiredCapabilities: step.requiredCapabilities,
+          routingStrategy: step.routingStrategy,
+          key: step.key,
+          input,
+          budget: state.budget,
+          asset: task.asset || 'USDC'
+        })
+
+        outputs[step.id] = routing.result
+        Object.assign(state, {
+          status: 'completed',
+          output: routing.result,
+          nodeId: routing.nodeId,
+          endTime: Date.now()
+        })
+        record(step.id, 'completed', { attempt: state.attempts, nodeId: routing.nodeId })
+        return 'continue'
+      } catch (error) {
+        state.error = error.message
+
+        if (state.attempts < maxAttempts) {
+          record(step.id, 'retrying', { attempt: state.attempts, error: error.message })
+        } else {
+          record(step.id, 'failed', { attempt: state.attempts, error: error.message })
+        }
+      }
+    }
+
+    state.endTime = Date.now()
+
+    if (step.onFailure === 'skip') {
+      state.status = 'skipped'
+      outputs[step.id] = null
+      record(step.id, 'skipped', { error: state.error })
+      return 'continue'
+    }
+
+    state.status = 'failed'
+    return 'abort'
+  }
+
+  /**
+   * Validate a workflow and normalize its steps
+   * @param {Object} workflow - Workflow ({ steps })
+   * @returns {Array} Normalized steps
+   */
+  validate(workflow) {
+    if (!workflow || !Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+      throw new Error('Workflow requires at least one step')
+    }
+
+    const steps = workflow.steps.map(step => ({
+      onFailure: 'abort',
+      ...step,
+      dependsOn: step.dependsOn || []
+    }))
+    const ids = new Set()
+
+    steps.forEach(step => {
+      if (!step.id || ids.has(step.id)) {
+        throw new Error(`Workflow step IDs must be unique and non-empty: ${step.id}`)
+      }
+      if (!FAILURE_POLICIES.includes(step.onFailure)) {
+        throw new Error(`Unknown failure policy for step ${step.id}: ${step.onFailure}`)
+      }
+      ids.add(step.id)
+    })
+
+    steps.forEach(step => step.dependsOn.forEach(dep => {
+      if (!ids.has(dep)) {
+        throw new Error(`Step ${step.id} depends on unknown step ${dep}`)
+      }
+    }))
+
+    // Kahn's algorithm: if steps remain unordered there is a cycle
+    const remaining = new Map(steps.map(step => [step.id, step.dependsOn.length]))
+    const queue = steps.filter(step => step.dependsOn.length === 0).map(step => step.id)
+    let ordered = 0
+
+    while (queue.length > 0) {
+      const id = queue.shift()
+      ordered += 1
+      steps.filter(step => step.dependsOn.includes(id)).forEach(step => {
+        remaining.set(step.id, remaining.get(step.id) - 1)
+        if (remaining.get(step.id) === 0) queue.push(step.id)
+      })
+    }
+
+    if (ordered !== steps.length) {
+      throw new Error('Workflow contains a dependency cycle')
+    }
+
+    return steps
+  }
+
+  /**
+   * Allocate the task budget across steps
+   *
+   * Steps with a fixed budget ("1.5") get exactly that; the rest of the
+   * budget is split across the remaining steps by budget.weight (default 1).
+   * @param {Array} steps - Normalized steps
+   * @param {string} [budget] - Total budget
+   * @param {string} asset - Budget asset
+   * @returns {Object} Map of step ID to budget (null when there is no budget)
+   */
+  allocateBudgets(steps, budget, asset) {
+    if (budget === undefined || budget === null) {
+      return Object.fromEntries(steps.map(step => [step.id, null]))
+    }
+
+    const total = toBaseUnits(String(budget), asset)
+    const fixed = steps.filter(step => typeof step.budget === 'string' || typeof step.budget === 'number')
+    const weighted = steps.filter(step => !fixed.includes(step))
+    const fixedTotal = fixed.reduce((sum, step) => sum + toBaseUnits(String(step.budget), asset), 0n)
+
+    if (fixedTotal > total) {
+      throw new Error('Fixed step budgets exceed the task budget')
+    }
+
+    const budgets = Object.fromEntries(fixed.map(step => [step.id, fromBaseUnits(toBaseUnits(String(step.budget), asset), asset)]))
+
+    if (weighted.length > 0) {
+      const weights = weighted.map(step => BigInt(step.budget?.weight ?? 1))
+      const parts = splitBaseUnits(total - fixedTotal, weights)
+      weighted.forEach((step, index) => {
+        budgets[step.id] = fromBaseUnits(parts[index], asset)
+      })
+    }
+
+    return budgets
+  }
+}
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { WorkflowEngine } from './WorkflowEngine.js'
+
+/**
+ * Engine over a fake mesh; handlers keyed by step ID return or throw
+ */
+function createEngine(handlers = {}, config = {}) {
+  const routed = []
+  const mesh = {
+    routeTask: async task => {
+      routed.push(task)
+      const result = await (handlers[task.stepId] || (() => task.stepId))(task)
+      return { nodeId: `node-${task.stepId}`, result }
+    }
+  }
+  return { engine: new WorkflowEngine({ mesh, ...config }), routed }
+}
+
+describe('WorkflowEngine', () => {
+  it('runs steps after their dependencies and passes outputs along', async () => {
+    const { engine, routed } = createEngine({
+      merge: task => `${task.input.left}+${task.input.right}`
+    })
+
+    const result = await engine.run({
+      id: 'wf',
+      workflow: {
+        steps: [
+          { id: 'merge', dependsOn: ['left', 'right'] },
+          { id: 'left' },
+          { id: 'right', agentId: 'agent-r' }
+        ]
+      }
+    })
+
+    assert.equal(result.status, 'completed')
+    assert.equal(result.outputs.merge, 'left+right')
+    assert.equal(routed.at(-1).stepId, 'merge')
+    assert.equal(routed.find(task => task.stepId === 'right').agentId, 'agent-r')
+  })
+
+  it('retries, skips or aborts failed steps as configured', async () => {
+    let flaky = 0
+    const { engine } = createEngine({
+      flaky: () => {
+        if (++flaky < 3) throw new Error('try again')
+        return 'ok'
+      },
+      optional: () => { throw new Error('nope') },
+      fatal: () => { throw new Error('boom') }
+    }, { defaultRetries: 2 })
+
+    const result = await engine.run({
+      id: 'wf',
+      workflow: {
+        steps: [
+          { id: 'flaky', onFailure: 'retry' },
+          { id: 'optional', onFailure: 'skip' },
+          { id: 'fatal', dependsOn: ['flaky', 'optional'] },
+          { id: 'after', dependsOn: ['fatal'] }
+        ]
+      }
+    })
+
+    assert.equal(result.status, 'failed')
+    assert.equal(result.steps.flaky.attempts, 3)
+    assert.equal(result.steps.optional.status, 'skipped')
+    assert.equal(result.steps.fatal.status, 'failed')
+    assert.equal(result.steps.after.status, 'cancelled')
+  })
+
+  it('rejects cycles, unknown dependencies and duplicate IDs', async () => {
+    const { engine } = createEngine()
+
+    await assert.rejects(engine.run({ workflow: { steps: [{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }] } }), /cycle/)
+    await assert.rejects(engine.run({ workflow: { steps: [{ id: 'a', dependsOn: ['x'] }] } }), /unknown step x/)
+    await assert.rejects(engine.run({ workflow: { steps: [{ id: 'a' }, { id: 'a' }] } }), /unique/)
+  })
+
+  it('splits the budget exactly across fixed and weighted steps', () => {
+    const { engine } = createEngine()
+    const steps = engine.validate({
+      steps: [
+        { id: 'fixed', budget: '0.4' },
+        { id: 'heavy', budget: { weight: 2 } },
+        { id: 'light' }
+      ]
+    })
+
+    assert.deepEqual(engine.allocateBudgets(steps, '1', 'USDC'), { fixed: '0.4', heavy: '0.4', light: '0.2' })
+    assert.throws(() => engine.allocateBudgets(steps, '0.3', 'USDC'), /exceed the task budget/)
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * Amount Utility
+ * Exact decimal money arithmetic in integer base units
+ *
+ * Amounts travel as decimal strings ("0.5") and are converted to BigInt base
+ * units using the asset's decimals, so no float rounding ever touches money.
+ */
+
+import { assetRegistry } from './AssetRegistry.js'
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/
+
+/**
+ * Convert a decimal amount to integer base units
+ * @param {string|number|bigint} amount - Decimal amount (e.g., "0.5")
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {bigint} Amount in base units
+ */
+export function toBaseUnits(amount, asset, registry = assetRegistry) {
+  const decimals = registry.getDecimals(asset)
+  const match = String(amount).trim().match(DECIMAL_PATTERN)
+
+  if (!match) {
+    throw new Error(`Invalid amount: ${amount}`)
+  }
+
+  const [, whole, fraction = ''] = match
+  const significant = fraction.replace(/0+$/, '')
+
+  if (significant.length > decimals) {
+    throw new Error(`Amount ${amount} exceeds ${decimals} decimals for ${asset}`)
+  }
+
+  return BigInt(whole + significant.padEnd(decimals, '0'))
+}
+
+/**
+ * Convert integer base units to a normalized decimal amount
+ * @param {bigint|string|number} units - Amount in base units
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {string} Decimal amount without trailing zeros (e.g., "0.5")
+ */
+export function fromBaseUnits(units, asset, registry = assetRegistry) {
+  const decimals = registry.getDecimals(asset)
+  const value = BigInt(units)
+  const sign = value < 0n ? '-' : ''
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0')
+
+  const whole = digits.slice(0, digits.length - decimals)
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+
+  return sign + (fraction ? `${whole}.${fraction}` : whole)
+}
+
+/**
+ * Normalize a decimal amount ("0.50" -> "0.5")
+ * @param {string|number} amount - Decimal amount
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {string} Normalized amount
+ */
+export function normalizeAmount(amount, asset, registry = assetRegistry) {
+  return fromBaseUnits(toBaseUnits(amount, asset, registry), asset, registry)
+}
+
+/**
+ * Compare two amounts of the same asset
+ * @param {string} a - First amount
+ * @param {string} b - Second amount
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+export function compareAmounts(a, b, asset, registry = assetRegistry) {
+  const left = toBaseUnits(a, asset, registry)
+  const right = toBaseUnits(b, asset, registry)
+  return left === right ? 0 : left < right ? -1 : 1
+}
+
+/**
+ * Add amounts of the same asset
+ * @param {string[]} amounts - Amounts to add
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {string} Sum
+ */
+export function addAmounts(amounts, asset, registry = assetRegistry) {
+  const total = amounts.reduce((sum, amount) => sum + toBaseUnits(amount, asset, registry), 0n)
+  return fromBaseUnits(total, asset, registry)
+}
+
+/**
+ * Subtract one amount from another
+ * @param {string} a - Amount to subtract from
+ * @param {string} b - Amount to subtract
+ * @param {string} asset - Asset symbol
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {string} Difference (may be negative)
+ */
+export function subtractAmounts(a, b, asset, registry = assetRegistry) {
+  return fromBaseUnits(
+    toBaseUnits(a, asset, registry) - toBaseUnits(b, asset, registry),
+    asset,
+    registry
+  )
+}
+
+/**
+ * Split base units proportionally to integer weights
+ *
+ * Every part is rounded down, then the leftover base units (dust) go one at a
+ * time to the parts with the largest rounding remainder, earliest part first
+ * on ties. The parts always sum to the original amount.
+ * @param {bigint} units - Amount in base units
+ * @param {bigint[]} weights - Non-negative integer weights
+ * @returns {bigint[]} Parts in base units
+ */
+export function splitBaseUnits(units, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n)
+
+  if (totalWeight <= 0n || weights.some(weight => weight < 0n)) {
+    throw new Error('Split weights must be non-negative and not all zero')
+  }
+
+  const parts = weights.map(weight => (units * weight) / totalWeight)
+  const remainders = weights.map((weight, index) => ({
+    index,
+    remainder: (units * weight) % totalWeight
+  }))
+
+  let dust = units - parts.reduce((sum, part) => sum + part, 0n)
+
+  remainders
+    .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : a.remainder > b.remainder ? -1 : 1))
+    .forEach(({ index }) => {
+      if (dust > 0n) {
+        parts[index] += 1n
+        dust -= 1n
+      }
+    })
+
+  return parts
+}
+
+/**
+ * Split an amount proportionally to weights
+ * @param {string} amount - Amount to split
+ * @param {string} asset - Asset symbol
+ * @param {Array<number|bigint>} weights - Non-negative integer weights
+ * @param {AssetRegistry} [registry] - Asset registry
+ * @returns {string[]} Parts that sum exactly to amount
+ */
+export function splitAmount(amount, asset, weights, registry = assetRegistry) {
+  const parts = splitBaseUnits(toBaseUnits(amount, asset, registry), weights.map(BigInt))
+  return parts.map(part => fromBaseUnits(part, asset, registry))
+}
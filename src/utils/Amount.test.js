@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  toBaseUnits,
+  fromBaseUnits,
+  normalizeAmount,
+  compareAmounts,
+  addAmounts,
+  subtractAmounts,
+  splitBaseUnits,
+  splitAmount
+} from './Amount.js'
+import { AssetRegistry } from './AssetRegistry.js'
+
+describe('Amount', () => {
+  it('converts decimal strings to base units exactly', () => {
+    assert.equal(toBaseUnits('0.5', 'USDC'), 500000n)
+    assert.equal(toBaseUnits('1.000000', 'USDC'), 1000000n)
+    assert.equal(toBaseUnits('0.1', 'ETH'), 100000000000000000n)
+    assert.equal(fromBaseUnits(500000n, 'USDC'), '0.5')
+    assert.equal(fromBaseUnits(-1n, 'USDC'), '-0.000001')
+  })
+
+  it('rejects malformed amounts, excess precision and unknown assets', () => {
+    assert.throws(() => toBaseUnits('abc', 'USDC'), /Invalid amount/)
+    assert.throws(() => toBaseUnits('-1', 'USDC'), /Invalid amount/)
+    assert.throws(() => toBaseUnits('0.0000001', 'USDC'), /exceeds 6 decimals/)
+    assert.throws(() => toBaseUnits('1', 'NOPE'), /Unknown asset/)
+  })
+
+  it('compares and adds without float rounding', () => {
+    assert.equal(normalizeAmount('0.50', 'USDC'), '0.5')
+    assert.equal(compareAmounts('0.50', '0.5', 'USDC'), 0)
+    assert.equal(compareAmounts('0.3', addAmounts(['0.1', '0.2'], 'USDC'), 'USDC'), 0)
+    assert.equal(subtractAmounts('1', '1.5', 'USDC'), '-0.5')
+  })
+
+  it('splits with the dust going to the largest remainders', () => {
+    assert.deepEqual(splitBaseUnits(100n, [1n, 1n, 1n]), [34n, 33n, 33n])
+    assert.deepEqual(splitAmount('1', 'USDC', [1, 1, 1]), ['0.333334', '0.333333', '0.333333'])
+    assert.deepEqual(splitAmount('0.000001', 'USDC', [1, 3]), ['0', '0.000001'])
+    assert.throws(() => splitBaseUnits(10n, [0n, 0n]), /weights/)
+  })
+
+  it('uses the decimals of a custom registry', () => {
+    const registry = new AssetRegistry({ assets: { GOLD: { decimals: 2 } } })
+
+    assert.equal(toBaseUnits('1.25', 'GOLD', registry), 125n)
+    assert.throws(() => registry.register('BAD', { decimals: -1 }), /Invalid decimals/)
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Asset Registry
+ * Decimal precision of every asset amounts can be expressed in
+ */
+
+export const DEFAULT_ASSETS = {
+  USDC: { decimals: 6 },
+  USDT: { decimals: 6 },
+  DAI: { decimals: 18 },
+  ETH: { decimals: 18 },
+  WETH: { decimals: 18 },
+  MATIC: { decimals: 18 },
+  WBTC: { decimals: 8 }
+}
+
+export class AssetRegistry {
+  constructor(config = {}) {
+    this.assets = new Map()
+
+    Object.entries({ ...DEFAULT_ASSETS, ...config.assets }).forEach(
+      ([symbol, asset]) => this.register(symbol, asset)
+    )
+  }
+
+  /**
+   * Register an asset or override its definition
+   * @param {string} symbol - Asset symbol (USDC, ETH, etc.)
+   * @param {Object} asset - Asset definition
+   * @param {number} asset.decimals - Number of decimals in one whole unit
+   */
+  register(symbol, asset) {
+    if (!Number.isInteger(asset.decimals) || asset.decimals < 0) {
+      throw new Error(`Invalid decimals for asset ${symbol}`)
+    }
+
+    this.assets.set(symbol, { symbol, ...asset })
+  }
+
+  /**
+   * Check whether an asset is registered
+   * @param {string} symbol - Asset symbol
+   * @returns {boolean} Whether the asset is known
+   */
+  has(symbol) {
+    return this.assets.has(symbol)
+  }
+
+  /**
+   * Get the decimals of an asset
+   * @param {string} symbol - Asset symbol
+   * @returns {number} Decimals
+   */
+  getDecimals(symbol) {
+    const asset = this.assets.get(symbol)
+
+    if (!asset) {
+      throw new Error(`Unknown asset: ${symbol}`)
+    }
+
+    return asset.decimals
+  }
+}
+
+// Shared registry used by default across the SDK
+export const assetRegistry = new AssetRegistry()
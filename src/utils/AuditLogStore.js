@@ -0,0 +1,133 @@
+/**
+ * Audit Log Store Utility
+ * Append-only storage adapters for the hash-chained audit log
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * In-memory store; entries are lost when the process exits
+ */
+export class MemoryAuditLogStore {
+  constructor() {
+    this.entries = []
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Chained audit entry
+   */
+  async append(entry) {
+    this.entries.push(entry)
+  }
+
+  /**
+   * Read every entry in append order
+   * @returns {Promise<Array>} Entries
+   */
+  async readAll() {
+    return [...this.entries]
+  }
+}
+
+/**
+ * JSONL file store; each entry is appended as one line and existing lines
+ * are never rewritten
+ */
+export class FileAuditLogStore {
+  constructor(config = {}) {
+    if (!config.path) {
+      throw new Error('FileAuditLogStore requires a path')
+    }
+    this.path = config.path
+    this.writes = Promise.resolve()
+    this.tailChecked = false
+  }
+
+  /**
+   * Append an entry, serialized behind earlier appends
+   *
+   * If a crash left the file ending in a torn line, the first append starts
+   * on a new line so the entry is not glued onto the torn one.
+   * @param {Object} entry - Chained audit entry
+   * @returns {Promise<void>}
+   */
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n'
+
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.path), { recursive: true })
+      const torn = !this.tailChecked && await endsWithTornLine(this.path)
+      try {
+        await fs.appendFile(this.path, torn ? '\n' + line : line)
+        this.tailChecked = true
+      } catch (error) {
+        // A failed write may itself have left a torn line
+        this.tailChecked = false
+        throw error
+      }
+    })
+
+    return this.writes
+  }
+
+  /**
+   * Read every entry in append order
+   *
+   * A line that does not parse is returned as { malformed: true, line } so
+   * the verifier can report it instead of the read failing.
+   * @returns {Promise<Array>} Entries
+   */
+  async readAll() {
+    await this.writes.catch(() => {})
+
+    let contents
+    try {
+      contents = await fs.readFile(this.path, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+
+    return contents
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line)
+        } catch (error) {
+          return { malformed: true, line }
+        }
+      })
+  }
+}
+
+/**
+ * Check whether a file ends without a trailing newline
+ * @param {string} file - File path
+ * @returns {Promise<boolean>} True if the last line is unterminated
+ */
+async function endsWithTornLine(file) {
+  let handle
+  try {
+    handle = await fs.open(file, 'r')
+    const { size } = await handle.stat()
+    if (size === 0) {
+      return false
+    }
+
+    const buffer = Buffer.alloc(1)
+    await handle.read(buffer, 0, 1, size - 1)
+    return buffer[0] !== 0x0a
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false
+    }
+    throw error
+  } finally {
+    await handle?.close()
+  }
+}
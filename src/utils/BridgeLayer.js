@@ -3,20 +3,94 @@
  * Verifies paid HTTP requests and automates on-chain settlement
  */
 
+import { PaymentVerifier } from './PaymentVerifier.js'
+import { ChannelVerifier } from './ChannelVerifier.js'
+import { decodeVoucherHeader } from './ChannelVoucher.js'
+import { decodeQuoteHeader } from './PriceQuoter.js'
+import { normalizeSignerSet, verifyApprovals, decodeSignaturesHeader } from './MultiSig.js'
+import { SettlementQueue } from './SettlementQueue.js'
+import { GasOptimizer } from './GasOptimizer.js'
+import { SpentPaymentStore } from './SpentPaymentStore.js'
+import { MemoryKeyValueStore } from './KeyValueStore.js'
+import { normalizeAmount, compareAmounts } from './Amount.js'
+
 export class BridgeLayer {
+  /**
+   * @param {Object} config - Bridge configuration
+   * @param {SpentPaymentStore|false} [config.spentPayments] - Consumed payment store (default: in memory);
+   *   pass false to disable replay protection
+   * @param {Object} [config.multiSig] - Co-signer sets ({ signers, threshold }) for m-of-n payments
+   * @param {Object} [config.multiSig.routes] - Signer sets by resource path (a trailing "*" matches a prefix)
+   * @param {Object} [config.multiSig.payees] - Signer sets by payee address
+   * @param {number} [config.settlementDelay] - Longest a payment waits to be batched for settlement, in ms
+   * @param {number} [config.settlementTimeout] - Longest to wait for a settlement transaction to confirm, in ms (default: 2 min)
+   * @param {number} [config.settlementBatchSize] - Settle a payee's batch once it holds this many payments
+   * @param {Object} [config.settlementStore] - Store for queued settlements (default: in memory)
+   * @param {Function} [config.onSettled] - Called with each payment's settlement result (including latency)
+   * @param {Object} [config.gasOptimizer] - Prices settlement transactions (default: a GasOptimizer)
+   * @param {Object} [config.gas] - Configuration for the default GasOptimizer
+   * @param {Object} [config.feeSource] - Fee history source for the default GasOptimizer (default: the chain backend)
+   * @param {number} [config.channelStaleAfter] - Re-read a channel's status after this many ms (default: half its dispute window)
+   */
   constructor(config = {}) {
     this.network = config.network || 'mainnet'
     this.settlementDelay = config.settlementDelay || 3000 // 3s default
-    this.gasOptimizer = config.gasOptimizer
+    this.settlementTimeout = config.settlementTimeout || 120000
+    this.chain = config.chain
+    this.gasOptimizer = config.gasOptimizer || new GasOptimizer({
+      feeSource: config.feeSource || this.chain,
+      ...config.gas
+    })
+    this.verifier = config.verifier || new PaymentVerifier({
+      network: this.network,
+      chain: this.chain,
+      spentPayments: config.spentPayments ?? new SpentPaymentStore({ store: new MemoryKeyValueStore() })
+    })
+    this.channels = config.channelVerifier || new ChannelVerifier({
+      network: this.network,
+      chain: this.chain,
+      store: config.channelStore,
+      staleAfter: config.channelStaleAfter
+    })
+    this.channelWatcher = null
+    this.wallet = config.wallet
+    this.quoter = config.quoter
+    this.settlements = config.settlementQueue || new SettlementQueue({
+      delay: this.settlementDelay,
+      maxBatchSize: config.settlementBatchSize,
+      store: config.settlementStore,
+      onSettled: config.onSettled,
+      submit: (batch, hooks) => this.submitSettlement(batch, hooks),
+      confirm: txHash => this.waitForSettlement(txHash),
+      reconcile: batch => this.reconcileSettlement(batch)
+    })
+    this.multiSig = {
+      routes: mapValues(config.multiSig?.routes, normalizeSignerSet),
+      payees: Object.fromEntries(Object.entries(config.multiSig?.payees || {})
+        .map(([payee, signerSet]) => [payee.toLowerCase(), normalizeSignerSet(signerSet)]))
+    }
   }
 
   /**
    * Verify HTTP request has valid payment
+   *
+   * Requests carrying an X-402-Voucher header pay through a payment channel
+   * instead of an on-chain transaction. With a quoter configured, every
+   * payment must echo a quote it issued (X-402-Quote); the quote, not the
+   * client's X-402-Payment claim, sets the price, and it can be redeemed once.
+   * Routes and payees with a signer set also need m-of-n co-signer approvals
+   * of the payment transaction (X-402-Signatures, see MultiSig); a payee's
+   * set is found by the on-chain recipient when the request names no payee.
    * @param {Object} request - HTTP request object
+   * @param {Object} [expected] - Expected payment terms
+   * @param {string} [expected.to] - Address the payment must be sent to
+   * @param {string} [expected.resource] - Resource the payment is consumed for (default: request path)
+   * @param {string} [expected.amount] - Price of the request (channel payments must pay at least this)
+   * @param {string} [expected.asset] - Asset of the price
    * @returns {Promise<Object>} Verification result
    */
-  async verifyRequest(request) {
-    const paymentHeader = request.headers['X-402-Payment']
+  async verifyRequest(request, expected = {}) {
+    const paymentHeader = this.getHeader(request, 'X-402-Payment')
     
     if (!paymentHeader) {
       return {
@@ -25,27 +99,198 @@ export class BridgeLayer {
       }
     }
 
-    // Parse payment header (e.g., "0.5 USDC")
-    const payment = this.parsePaymentHeader(paymentHeader)
-    
+    // Parse payment header (e.g., "0.5 USDC"); a bad amount or unknown
+    // asset is the client's mistake, not a server error
+    let payment
+    try {
+      payment = this.parsePaymentHeader(paymentHeader)
+    } catch (error) {
+      return {
+        valid: false,
+        reason: `Malformed X-402-Payment header: ${error.message}`
+      }
+    }
+    payment.txHash = this.getHeader(request, 'X-402-Transaction')
+    payment.to = expected.to
+    payment.resource = expected.resource || (request.originalUrl || request.url || '').split('?')[0]
+
+    const deadline = Number(this.getHeader(request, 'X-402-Deadline'))
+    if (deadline && Date.now() > deadline) {
+      return {
+        valid: false,
+        reason: 'Payment deadline passed',
+        deadline
+      }
+    }
+
+    // Carried into the settlement batch, where it prices the gas
+    payment.deadline = deadline || null
+
+    let quote = null
+    if (this.quoter) {
+      const quoteHeader = this.getHeader(request, 'X-402-Quote')
+      quote = quoteHeader ? decodeQuoteHeader(quoteHeader) : null
+
+      if (!quote) {
+        return {
+          valid: false,
+          reason: quoteHeader ? 'Malformed X-402-Quote header' : 'Missing X-402-Quote header'
+        }
+      }
+
+      const quoteCheck = await this.quoter.verify(quote, {
+        resource: payment.resource,
+        payTo: payment.to
+      })
+
+      if (!quoteCheck.valid) {
+        return quoteCheck
+      }
+
+      Object.assign(payment, {
+        amount: quote.amount,
+        asset: quote.asset,
+        to: payment.to || quote.payTo,
+        quoteNonce: quote.nonce
+      })
+    }
+
+    payment.signatures = this.getHeader(request, 'X-402-Signatures')
+
+    const voucherHeader = this.getHeader(request, 'X-402-Voucher')
+
+    if (voucherHeader && this.getSignerSet(payment.resource, payment.to)) {
+      return {
+        valid: false,
+        reason: 'Multi-sig payments must be on-chain transactions'
+      }
+    }
+
+    // A voucher is recorded as soon as it verifies, so its payee has to be
+    // known up front to rule out a payee signer set
+    if (voucherHeader && !payment.to && Object.keys(this.multiSig.payees).length > 0) {
+      return {
+        valid: false,
+        reason: 'Channel payments need a known payee when payees require co-signers'
+      }
+    }
+
+    // Never trust the claimed amount alone: it must cover the price. This
+    // runs before anything is spent, so a rejected request keeps its payment
+    if (expected.amount && (
+      payment.asset !== (expected.asset || payment.asset) ||
+      compareAmounts(payment.amount, expected.amount, payment.asset) < 0
+    )) {
+      return {
+        valid: false,
+        reason: 'Insufficient payment',
+        expected: expected.amount,
+        received: payment.amount
+      }
+    }
+
+    return voucherHeader
+      ? this.verifyVoucherPayment(payment, voucherHeader, expected, quote)
+      : this.verifyTransactionPayment(payment, quote)
+  }
+
+  /**
+   * Verify a request paid with an on-chain transaction
+   *
+   * The payment is only consumed once every other check, including the
+   * quote redemption, has passed.
+   * @param {Object} payment - Parsed payment
+   * @param {Object|null} [quote] - Verified quote to redeem
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyTransactionPayment(payment, quote = null) {
     // Verify payment on-chain
-    const verification = await this.verifyOnChain(payment)
+    let verification = await this.verifyOnChain(payment, { consume: false })
     
     if (!verification.valid) {
       return verification
     }
 
-    // Check multi-sig if required
-    if (payment.requiresMultiSig) {
-      const multiSigValid = await this.verifyMultiSig(payment)
-      if (!multiSigValid) {
-        return {
-          valid: false,
-          reason: 'Multi-sig verification failed'
-        }
+    // Without a payee in the request, the payee's signer set is looked up by
+    // where the payment actually went, so it cannot be skipped
+    const signerSet = this.getSignerSet(payment.resource, payment.to || verification.to)
+    let multiSig = null
+    if (signerSet) {
+      multiSig = await this.verifyMultiSig(payment, signerSet, verification)
+      if (!multiSig.valid) {
+        return multiSig
+      }
+      payment.approvedBy = multiSig.approvedBy
+    }
+
+    if (quote) {
+      const redemption = await this.redeemQuote(quote, payment)
+      if (!redemption.valid) {
+        return redemption
       }
     }
 
+    verification = await this.verifier.consume(verification, payment.resource)
+
+    if (!verification.valid) {
+      return verification
+    }
+
+    return {
+      valid: true,
+      payment,
+      verification,
+      ...(multiSig && { multiSig: { approvedBy: multiSig.approvedBy, threshold: multiSig.threshold } })
+    }
+  }
+
+  /**
+   * Verify a payment channel voucher from a request
+   *
+   * A voucher is recorded as soon as it verifies, so the quote is redeemed
+   * first; a voucher that then fails only costs the client a new quote.
+   * @param {Object} payment - Parsed payment
+   * @param {string} header - X-402-Voucher header value
+   * @param {Object} expected - Expected payment terms
+   * @param {Object|null} [quote] - Verified quote to redeem
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyVoucherPayment(payment, header, expected, quote = null) {
+    const voucher = decodeVoucherHeader(header)
+
+    if (!voucher) {
+      return {
+        valid: false,
+        reason: 'Malformed X-402-Voucher header'
+      }
+    }
+
+    if (quote) {
+      const redemption = await this.redeemQuote(quote, { ...payment, channelId: voucher.channelId })
+      if (!redemption.valid) {
+        return redemption
+      }
+    }
+
+    const verification = await this.channels.verify({
+      voucher,
+      expectedAmount: expected.amount || payment.amount,
+      expectedAsset: expected.asset || payment.asset,
+      expectedRecipient: payment.to
+    })
+
+    if (!verification.valid) {
+      return verification
+    }
+
+    // The voucher pays its increment over the previous one
+    Object.assign(payment, {
+      amount: verification.amount,
+      asset: verification.asset,
+      from: verification.from,
+      channelId: verification.channelId
+    })
+
     return {
       valid: true,
       payment,
@@ -53,96 +298,435 @@ export class BridgeLayer {
     }
   }
 
+  /**
+   * Redeem a verified quote for a payment
+   * @param {Object} quote - Quote
+   * @param {Object} payment - Payment it is redeemed by
+   * @returns {Promise<Object>} { valid } or { valid: false, reason }
+   */
+  async redeemQuote(quote, payment) {
+    return this.quoter.redeem(quote, {
+      txHash: payment.txHash || null,
+      channelId: payment.channelId || null,
+      from: payment.from
+    })
+  }
+
+  /**
+   * Close a payment channel with the latest accepted voucher
+   *
+   * Closing as the payee settles the channel immediately.
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object>} { txHash, receipt, amount }
+   */
+  async closeChannel(channelId) {
+    const voucher = await this.channels.getLatestVoucher(channelId)
+    const tx = await this.requireWallet().closeChannel(channelId, voucher || undefined)
+    const receipt = await tx.wait()
+
+    if (receipt.status !== 'confirmed') {
+      throw new Error(receipt.reason || 'Channel close failed')
+    }
+
+    await this.channels.refresh(channelId)
+
+    return {
+      txHash: tx.hash,
+      receipt,
+      amount: voucher ? voucher.amount : '0'
+    }
+  }
+
+  /**
+   * Challenge a payer's close if it settles an older voucher than the
+   * latest one accepted
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} { txHash, receipt }, or null if no challenge was needed
+   */
+  async disputeChannel(channelId) {
+    const voucher = await this.channels.getLatestVoucher(channelId)
+    const state = await this.channels.fetchChannel(channelId)
+
+    if (!voucher || !state || state.status !== 'closing' || state.closingSequence >= voucher.sequence) {
+      return null
+    }
+
+    const tx = await this.requireWallet().challengeChannel(channelId, voucher)
+    const receipt = await tx.wait()
+
+    if (receipt.status !== 'confirmed') {
+      throw new Error(receipt.reason || 'Channel challenge failed')
+    }
+
+    await this.channels.refresh(channelId)
+    return { txHash: tx.hash, receipt }
+  }
+
+  /**
+   * Bring every tracked channel up to date with the chain and react to
+   * closes started by payers: challenge a close that settles an older
+   * voucher than the latest accepted, and settle once the dispute window ends
+   * @returns {Promise<Array>} Actions taken ({ channelId, action, txHash })
+   */
+  async checkChannels() {
+    const actions = []
+
+    for (const { channelId, status } of await this.channels.listChannels()) {
+      if (status === 'settled') {
+        continue
+      }
+
+      try {
+        const record = await this.channels.refresh(channelId)
+
+        if (record?.status !== 'closing') {
+          continue
+        }
+
+        const dispute = await this.disputeChannel(channelId)
+        if (dispute) {
+          actions.push({ channelId, action: 'challenge', txHash: dispute.txHash })
+          continue
+        }
+
+        if (record.closesAt && Date.now() >= record.closesAt) {
+          const settlement = await this.settleChannel(channelId)
+          actions.push({ channelId, action: 'settle', txHash: settlement.txHash })
+        }
+      } catch (error) {
+        console.error(`Channel check failed for ${channelId}:`, error)
+      }
+    }
+
+    return actions
+  }
+
+  /**
+   * Run checkChannels periodically
+   *
+   * The interval must be well inside the channels' dispute windows, or a
+   * payer's close can settle before it is challenged.
+   * @param {Object} [options] - Watcher options
+   * @param {number} [options.interval] - Check interval in ms (default: 15s)
+   */
+  watchChannels(options = {}) {
+    if (this.channelWatcher) {
+      return
+    }
+
+    this.channelWatcher = setInterval(() => {
+      this.checkChannels().catch(error => console.error('Channel check failed:', error))
+    }, options.interval || 15000)
+    this.channelWatcher.unref?.()
+  }
+
+  /**
+   * Stop the channel watcher
+   */
+  stopWatchingChannels() {
+    clearInterval(this.channelWatcher)
+    this.channelWatcher = null
+  }
+
+  /**
+   * Settle a closing channel after its dispute window
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object>} { txHash, receipt }
+   */
+  async settleChannel(channelId) {
+    const tx = await this.requireWallet().settleChannel(channelId)
+    const receipt = await tx.wait()
+
+    if (receipt.status !== 'confirmed') {
+      throw new Error(receipt.reason || 'Channel settlement failed')
+    }
+
+    await this.channels.refresh(channelId)
+    return { txHash: tx.hash, receipt }
+  }
+
+  /**
+   * Ensure a payee wallet is configured
+   * @returns {Object} Wallet
+   */
+  requireWallet() {
+    if (!this.wallet) {
+      throw new Error('No wallet configured for channel operations or settlement')
+    }
+
+    return this.wallet
+  }
+
   /**
    * Automate on-chain settlement
+   *
+   * The payment joins its payee's settlement batch (see SettlementQueue) and
+   * this resolves once that batch confirms.
    * @param {Object} payment - Payment details
-   * @returns {Promise<Object>} Settlement result
+   * @returns {Promise<Object>} Settlement result ({ success, txHash, receipt, batchId, latency })
    */
   async automateSettlement(payment) {
-    try {
-      // Optimize gas before settlement
-      const gasEstimate = await this.gasOptimizer.estimate(payment)
-      
-      // Execute settlement transaction
-      const settlementTx = await this.executeSettlement({
-        ...payment,
-        gasEstimate
-      })
+    const ticket = await this.queueSettlement(payment)
+    return ticket.settled
+  }
 
-      // Wait for settlement confirmation
-      const receipt = await this.waitForSettlement(settlementTx.hash)
-      
-      return {
-        success: true,
-        txHash: settlementTx.hash,
-        receipt,
-        latency: receipt.timestamp - payment.timestamp
+  /**
+   * Queue a payment for batched settlement without waiting for it
+   *
+   * A batch settles by its earliest payment deadline, which the
+   * deadline gas strategy prices against.
+   * @param {Object} payment - Payment details ({ to, amount, asset, from, txHash, timestamp, deadline })
+   * @returns {Promise<Object>} Ticket ({ id, status, settled })
+   */
+  async queueSettlement(payment) {
+    return this.settlements.enqueue(payment)
+  }
+
+  /**
+   * Settle every queued payment now instead of waiting for the batch window
+   * @returns {Promise<Array>} Settled or failed batches
+   */
+  async flushSettlements() {
+    return this.settlements.flush()
+  }
+
+  /**
+   * Price and broadcast a batch's settlement transaction
+   * @param {Object} batch - Netted batch ({ to, amount, asset, payments })
+   * @param {Object} [hooks] - Queue hooks ({ beforeBroadcast(nonce) })
+   * @returns {Promise<Object>} Transaction result ({ hash })
+   */
+  async submitSettlement(batch, hooks) {
+    // Optimize gas before settlement
+    const gasEstimate = await this.gasOptimizer.estimate(batch)
+
+    // Execute settlement transaction
+    return this.executeSettlement({
+      ...batch,
+      gasEstimate
+    }, hooks)
+  }
+
+  /**
+   * Find the transaction a batch interrupted mid-submit was sent as
+   * @param {Object} batch - Batch with the nonce recorded before its broadcast
+   * @returns {Promise<Object|null>} { hash } if it was sent, null if it never left
+   * @throws {Error} If the nonce went to a transaction the wallet does not track
+   */
+  async reconcileSettlement(batch) {
+    if (batch.nonce === null || batch.nonce === undefined) {
+      return null
+    }
+
+    const { record, used } = await this.requireWallet().transactions.lookupNonce(batch.nonce)
+
+    if (record) {
+      if (record.transaction.metadata?.settlement !== batch.id) {
+        throw new Error(`Settlement nonce ${batch.nonce} was used by another transaction`)
       }
-    } catch (error) {
-      console.error('Settlement failed:', error)
-      throw error
+      return { hash: record.hash }
     }
+
+    if (used) {
+      throw new Error(`Settlement nonce ${batch.nonce} was used by an untracked transaction`)
+    }
+
+    return null
   }
 
   /**
    * Parse X-402-Payment header
    * @param {string} header - Payment header value
    * @returns {Object} Parsed payment object
+   * @throws {Error} If the amount is malformed or the asset unknown
    */
   parsePaymentHeader(header) {
-    const [amount, asset] = header.split(' ')
+    const [amount, asset = 'USDC'] = header.trim().split(/\s+/)
     return {
-      amount: parseFloat(amount),
-      asset: asset || 'USDC',
+      amount: normalizeAmount(amount, asset),
+      asset,
       timestamp: Date.now()
     }
   }
 
+  /**
+   * Read a header from a Node, Express or Fetch-style request
+   * @param {Object} request - HTTP request object
+   * @param {string} name - Header name
+   * @returns {string|undefined} Header value
+   */
+  getHeader(request, name) {
+    const headers = request.headers || {}
+
+    if (typeof headers.get === 'function') {
+      return headers.get(name) || undefined
+    }
+
+    const key = Object.keys(headers).find(
+      header => header.toLowerCase() === name.toLowerCase()
+    )
+    const value = key ? headers[key] : undefined
+    return Array.isArray(value) ? value[0] : value
+  }
+
   /**
    * Verify payment on blockchain
    * @param {Object} payment - Payment object
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.consume] - Mark the payment as spent (default: true)
    * @returns {Promise<Object>} Verification result
    */
-  async verifyOnChain(payment) {
-    // Implementation would query blockchain
-    return { valid: true, payment }
+  async verifyOnChain(payment, options = {}) {
+    if (!payment.txHash) {
+      return {
+        valid: false,
+        reason: 'Missing X-402-Transaction header'
+      }
+    }
+
+    const receipt = await this.verifier.verify({
+      txHash: payment.txHash,
+      expectedAmount: payment.amount,
+      expectedAsset: payment.asset,
+      expectedRecipient: payment.to,
+      resource: payment.resource,
+      expectedQuote: payment.quoteNonce,
+      consume: options.consume
+    })
+
+    if (receipt.valid) {
+      payment.from = receipt.from
+    }
+
+    return receipt
   }
 
   /**
-   * Verify multi-signature
-   * @param {Object} payment - Payment object
-   * @returns {Promise<boolean>} Multi-sig validity
+   * Find the co-signer set a payment needs, if any
+   *
+   * A route's signer set takes precedence over the payee's.
+   * @param {string} resource - Resource path
+   * @param {string} [payTo] - Payee address
+   * @returns {Object|null} Signer set ({ signers, threshold })
    */
-  async verifyMultiSig(payment) {
-    // Implementation would verify multi-sig
-    return true
+  getSignerSet(resource, payTo) {
+    const { routes, payees } = this.multiSig
+
+    if (routes[resource]) {
+      return routes[resource]
+    }
+
+    const prefix = Object.keys(routes)
+      .filter(key => key.endsWith('*') && resource.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0]
+
+    if (prefix) {
+      return routes[prefix]
+    }
+
+    return (payTo && payees[payTo.toLowerCase()]) || null
   }
 
   /**
-   * Execute settlement transaction
-   * @param {Object} settlement - Settlement details
-   * @returns {Promise<Object>} Transaction result
+   * Verify m-of-n co-signer approvals of a payment
+   *
+   * Approvals name the payer and the nonce in the payment's metadata, so
+   * they are checked against the verified (not yet consumed) transaction.
+   * @param {Object} payment - Payment object with signatures header
+   * @param {Object} signerSet - Signer set ({ signers, threshold })
+   * @param {Object} verification - On-chain verification of the payment
+   * @returns {Promise<Object>} { valid, approvedBy, threshold, reason }
    */
-  async executeSettlement(settlement) {
-    // Implementation would execute on-chain transaction
+  async verifyMultiSig(payment, signerSet, verification) {
+    if (!payment.signatures) {
+      return {
+        valid: false,
+        reason: 'Missing X-402-Signatures header',
+        threshold: signerSet.threshold
+      }
+    }
+
+    const signatures = decodeSignaturesHeader(payment.signatures)
+
+    if (!signatures) {
+      return {
+        valid: false,
+        reason: 'Malformed X-402-Signatures header'
+      }
+    }
+
+    const nonce = verification.metadata?.nonce
+
+    if (!nonce) {
+      return {
+        valid: false,
+        reason: 'Payment carries no nonce for co-signer approvals'
+      }
+    }
+
+    return verifyApprovals({
+      payer: verification.from,
+      nonce,
+      resource: payment.resource,
+      payTo: payment.to || verification.to,
+      amount: payment.amount,
+      asset: payment.asset
+    }, signatures, signerSet, this.network)
+  }
+
+  /**
+   * Send a netted batch to its payee from the bridge wallet
+   *
+   * The transaction goes through the wallet's transaction manager, which
+   * assigns the nonce; the batch's gas estimate sets the fees.
+   * @param {Object} settlement - Netted batch with its gas estimate
+   * @param {Object} [hooks] - Queue hooks ({ beforeBroadcast(nonce) })
+   * @returns {Promise<Object>} Transaction result ({ hash, timestamp })
+   */
+  async executeSettlement(settlement, hooks = {}) {
+    const { id, to, amount, asset, payments, gasEstimate } = settlement
+    const wallet = this.requireWallet()
+
+    const tx = await wallet.submit({
+      from: wallet.address,
+      to,
+      amount,
+      asset,
+      memo: `x402 settlement ${id}`,
+      metadata: { settlement: id, payments: payments.length },
+      timestamp: Date.now(),
+      maxFeePerGas: gasEstimate.maxFeePerGas,
+      maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas
+    }, {
+      beforeBroadcast: signedTx => hooks.beforeBroadcast?.(signedTx.nonce)
+    })
+
     return {
-      hash: '0x...',
-      timestamp: Date.now()
+      hash: tx.hash,
+      timestamp: tx.timestamp
     }
   }
 
   /**
-   * Wait for settlement confirmation
+   * Wait for a settlement transaction, following speed-ups to their replacement
    * @param {string} txHash - Transaction hash
-   * @returns {Promise<Object>} Receipt
+   * @returns {Promise<Object>} Receipt (status 'confirmed' or 'failed')
+   * @throws {Error} If the transaction does not confirm in time
    */
   async waitForSettlement(txHash) {
-    // Implementation would poll for confirmation
-    return {
-      hash: txHash,
-      confirmed: true,
-      timestamp: Date.now()
-    }
+    return this.requireWallet().transactions.wait(txHash, {
+      timeout: this.settlementTimeout
+    })
   }
 }
 
+
+/**
+ * Map the values of an object
+ * @param {Object} [object] - Object
+ * @param {Function} fn - Mapping function
+ * @returns {Object} Object with mapped values
+ */
+function mapValues(object = {}, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]))
+}
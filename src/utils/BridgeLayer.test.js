@@ -0,0 +1,125 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { BridgeLayer } from './BridgeLayer.js'
+import { InMemoryLedger } from './InMemoryLedger.js'
+import { PriceQuoter, encodeQuoteHeader } from './PriceQuoter.js'
+import { signApproval, encodeSignaturesHeader } from './MultiSig.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+
+const PAY_TO = '0x000000000000000000000000000000000000dEaD'
+
+/**
+ * Request paying the given amount with a transaction
+ */
+function paidRequest(txHash, amount = '0.5 USDC', headers = {}) {
+  return { url: '/report?x=1', headers: { 'X-402-Payment': amount, 'X-402-Transaction': txHash, ...headers } }
+}
+
+describe('BridgeLayer', () => {
+  let chain
+  let payer
+
+  beforeEach(() => {
+    chain = new InMemoryLedger()
+    payer = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(payer.address, '10')
+  })
+
+  const pay = async (amount = '0.5', metadata = { resource: '/report' }) => {
+    const tx = await payer.pay({ to: PAY_TO, amount, metadata })
+    await tx.wait()
+    return tx.hash
+  }
+
+  it('rejects missing and malformed payment headers without throwing', async () => {
+    const bridge = new BridgeLayer({ chain })
+
+    assert.equal((await bridge.verifyRequest({ headers: {} })).reason, 'Missing X-402-Payment header')
+    const malformed = await bridge.verifyRequest(paidRequest('0x01', 'lots of money'))
+    assert.equal(malformed.valid, false)
+    assert.match(malformed.reason, /^Malformed X-402-Payment header/)
+  })
+
+  it('accepts a payment that covers the price once per transaction', async () => {
+    const bridge = new BridgeLayer({ chain })
+    const txHash = await pay()
+
+    const cheap = await bridge.verifyRequest(paidRequest(txHash, '0.1 USDC'), { to: PAY_TO, amount: '0.5' })
+    assert.equal(cheap.reason, 'Insufficient payment')
+
+    const result = await bridge.verifyRequest(paidRequest(txHash), { to: PAY_TO, amount: '0.5' })
+    assert.equal(result.valid, true)
+    assert.equal(result.payment.resource, '/report')
+    assert.equal(result.payment.from, payer.address)
+
+    assert.equal((await bridge.verifyRequest(paidRequest(txHash), { to: PAY_TO })).valid, false)
+  })
+
+  it('prices payments by their quote and redeems each quote once', async () => {
+    const quoter = new PriceQuoter({ privateKey: '0x' + '33'.repeat(32) })
+    const bridge = new BridgeLayer({ chain, quoter })
+    const quote = quoter.issue({ amount: '0.5', resource: '/report', payTo: PAY_TO })
+    const quoteHeader = { 'X-402-Quote': encodeQuoteHeader(quote) }
+
+    assert.equal((await bridge.verifyRequest(paidRequest('0x01'))).reason, 'Missing X-402-Quote header')
+    assert.equal(
+      (await bridge.verifyRequest(paidRequest('0x01', '0.5 USDC', { 'X-402-Quote': 'garbage' }))).reason,
+      'Malformed X-402-Quote header'
+    )
+
+    const txHash = await pay('0.5', { resource: '/report', quote: quote.nonce })
+    const result = await bridge.verifyRequest(paidRequest(txHash, '0.01 USDC', quoteHeader), { to: PAY_TO })
+    assert.equal(result.valid, true)
+    assert.equal(result.payment.amount, '0.5')
+
+    const again = await pay('0.5', { resource: '/report', quote: quote.nonce })
+    assert.equal((await bridge.verifyRequest(paidRequest(again, '0.5 USDC', quoteHeader), { to: PAY_TO })).valid, false)
+  })
+
+  it('requires m-of-n co-signer approvals for a payee with a signer set', async () => {
+    const cosigners = ['22', '33', '44'].map(byte => new AgentWallet({ privateKey: '0x' + byte.repeat(32) }))
+    const bridge = new BridgeLayer({
+      chain,
+      multiSig: { payees: { [PAY_TO.toLowerCase()]: { signers: cosigners.map(cosigner => cosigner.address), threshold: 2 } } }
+    })
+    const approval = { payer: payer.address, nonce: 'n-1', resource: '/report', payTo: PAY_TO, amount: '0.5', asset: 'USDC' }
+    const sign = async wallets => encodeSignaturesHeader(await Promise.all(wallets.map(wallet => signApproval(wallet, approval))))
+    const txHash = await pay('0.5', { resource: '/report', nonce: 'n-1' })
+
+    // The payee's set applies even when the request does not name the payee
+    assert.equal((await bridge.verifyRequest(paidRequest(txHash))).reason, 'Missing X-402-Signatures header')
+    const short = await bridge.verifyRequest(paidRequest(txHash, '0.5 USDC', { 'X-402-Signatures': await sign(cosigners.slice(0, 1)) }))
+    assert.equal(short.reason, 'Multi-sig requires 2 of 3 signatures')
+
+    const result = await bridge.verifyRequest(paidRequest(txHash, '0.5 USDC', { 'X-402-Signatures': await sign(cosigners.slice(1)) }))
+    assert.equal(result.valid, true)
+    assert.deepEqual(result.multiSig, { approvedBy: cosigners.slice(1).map(cosigner => cosigner.address), threshold: 2 })
+  })
+
+  it('settles queued payments as one netted transaction per payee', async () => {
+    const wallet = new AgentWallet({ privateKey: '0x' + '55'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(wallet.address, '10')
+    const bridge = new BridgeLayer({ chain, wallet, settlementDelay: 60000 })
+
+    const tickets = await Promise.all(['0.25', '0.5'].map(amount => bridge.queueSettlement({ to: PAY_TO, amount })))
+    const [batch] = await bridge.flushSettlements()
+    const [first] = await Promise.all(tickets.map(ticket => ticket.settled))
+
+    assert.equal(batch.status, 'settled')
+    assert.equal(first.netAmount, '0.75')
+    assert.equal(await chain.getBalance(PAY_TO), '0.75')
+
+    const { record } = await wallet.transactions.lookupNonce(0)
+    assert.deepEqual(await bridge.reconcileSettlement({ id: batch.id, nonce: 0 }), { hash: record.hash })
+    assert.equal(await bridge.reconcileSettlement({ id: batch.id, nonce: 1 }), null)
+    await assert.rejects(bridge.reconcileSettlement({ id: 'other', nonce: 0 }), /used by another transaction/)
+    bridge.settlements.stop()
+  })
+
+  it('needs a wallet to settle', async () => {
+    const bridge = new BridgeLayer({ chain })
+
+    await assert.rejects(bridge.closeChannel('0x01'), /No wallet configured/)
+    await assert.rejects(bridge.reconcileSettlement({ id: 'b', nonce: 0 }), /No wallet configured/)
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * Canonical JSON Utility
+ * RFC 8785 JSON Canonicalization Scheme (JCS)
+ *
+ * Object keys are sorted by UTF-16 code units, whitespace is dropped and
+ * strings and numbers use the ECMAScript JSON serialization, so the same
+ * value encodes to the same bytes in any language with a JCS implementation.
+ */
+
+/**
+ * Serialize a value canonically
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON()
+  }
+
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value)
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize non-finite number: ${value}`)
+    }
+    return JSON.stringify(value)
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => isOmitted(item) ? 'null' : canonicalize(item)).join(',')}]`
+  }
+
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => !isOmitted(value[key]))
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+
+    return `{${members.join(',')}}`
+  }
+
+  throw new Error(`Cannot canonicalize value of type ${typeof value}`)
+}
+
+/**
+ * Whether JSON drops a value (undefined, functions, symbols)
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is omitted
+ */
+function isOmitted(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol'
+}
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { canonicalize } from './CanonicalJson.js'
+
+describe('canonicalize', () => {
+  it('sorts keys recursively and drops whitespace', () => {
+    assert.equal(
+      canonicalize({ b: [2, { z: 1, a: true }], a: 'x', c: null }),
+      '{"a":"x","b":[2,{"a":true,"z":1}],"c":null}'
+    )
+  })
+
+  it('matches the RFC 8785 number and string examples', () => {
+    assert.equal(
+      canonicalize({ numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001] }),
+      '{"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27]}'
+    )
+    assert.equal(canonicalize({ string: '€$\u000f\nA\'B"\\\\"/' }), '{"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}')
+  })
+
+  it('sorts keys by UTF-16 code units', () => {
+    assert.equal(canonicalize({ '€': 1, '\r': 2, '😀': 3, 1: 4 }), '{"\\r":2,"1":4,"€":1,"😀":3}')
+  })
+
+  it('omits undefined members like JSON and rejects non-finite numbers', () => {
+    assert.equal(canonicalize({ a: undefined, b: [undefined] }), '{"b":[null]}')
+    assert.equal(canonicalize({ at: new Date(0) }), '{"at":"1970-01-01T00:00:00.000Z"}')
+    assert.throws(() => canonicalize({ n: Infinity }), /non-finite/)
+    assert.throws(() => canonicalize(1n), /bigint/)
+  })
+})
@@ -0,0 +1,268 @@
+/**
+ * Channel Verifier Utility
+ * Accepts payment channel vouchers off-chain and tracks the latest one per channel
+ *
+ * The channel is read from the chain when its first voucher arrives, and
+ * again whenever the cached status may be stale (by default after half the
+ * dispute window): a payer can start closing the channel at any time, and
+ * vouchers accepted after that are only worth something if the payee
+ * challenges the close in time (see BridgeLayer.watchChannels). Between
+ * reads a voucher costs one signature recovery and one store write.
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from './KeyValueStore.js'
+import { toBaseUnits, fromBaseUnits } from './Amount.js'
+import { verifyVoucher } from './ChannelVoucher.js'
+import { isSameAddress } from './EthCrypto.js'
+import { requireChain } from '../interfaces/ChainBackend.js'
+
+export class ChannelVerifier {
+  /**
+   * @param {Object} config - Verifier configuration
+   * @param {number} [config.staleAfter] - Re-read a channel's status after this many ms (default: half its dispute window; 0 checks every voucher)
+   * @param {Object} [config.store] - Key-value store (default: in memory, or a file store when path is set)
+   * @param {string} [config.path] - File path for a file-backed store
+   */
+  constructor(config = {}) {
+    this.network = config.network || 'mainnet'
+    this.chain = config.chain
+    this.staleAfter = config.staleAfter ?? null
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Verify a voucher and record it as the channel's latest
+   * @param {Object} options - Verification options
+   * @param {Object} options.voucher - Signed voucher ({ channelId, amount, sequence, signature })
+   * @param {string} [options.expectedAmount] - Minimum increment over the previous voucher
+   * @param {string} [options.expectedAsset] - Expected channel asset
+   * @param {string} [options.expectedRecipient] - Expected channel payee
+   * @param {string} [options.expectedPayer] - Expected channel payer
+   * @returns {Promise<Object>} Verification result; amount is the increment this voucher pays
+   */
+  verify(options) {
+    const run = this.queue.then(() => this.claim(options))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Check and record a voucher; must only run inside the verify queue
+   * @param {Object} options - Verification options
+   * @returns {Promise<Object>} Verification result
+   */
+  async claim({ voucher, expectedAmount, expectedAsset, expectedRecipient, expectedPayer }) {
+    const { channelId } = voucher
+    let record = await this.getRecord(channelId)
+
+    if (!record) {
+      record = await this.loadChannel(channelId)
+    } else if (this.isStale(record)) {
+      record = await this.syncStatus(record)
+    }
+
+    if (!record) {
+      return { valid: false, reason: 'Unknown channel', channelId }
+    }
+
+    if (record.status !== 'open') {
+      return { valid: false, reason: `Channel is ${record.status}`, channelId }
+    }
+
+    if (expectedAsset && record.asset !== expectedAsset) {
+      return { valid: false, reason: `Asset mismatch: expected ${expectedAsset}, got ${record.asset}`, channelId }
+    }
+
+    if (expectedRecipient && !isSameAddress(record.payee, expectedRecipient)) {
+      return { valid: false, reason: 'Recipient mismatch', channelId }
+    }
+
+    if (expectedPayer && !isSameAddress(record.payer, expectedPayer)) {
+      return { valid: false, reason: 'Payer mismatch', channelId }
+    }
+
+    if (!verifyVoucher(voucher, record.payer, this.network)) {
+      return { valid: false, reason: 'Invalid voucher signature', channelId }
+    }
+
+    if (voucher.sequence <= record.sequence) {
+      return { valid: false, reason: 'Stale voucher', channelId }
+    }
+
+    const { asset } = record
+    let cumulative
+    try {
+      cumulative = toBaseUnits(voucher.amount, asset)
+    } catch (error) {
+      return { valid: false, reason: error.message, channelId }
+    }
+
+    const increment = cumulative - toBaseUnits(record.amount, asset)
+
+    if (increment <= 0n) {
+      return { valid: false, reason: 'Voucher amount must increase', channelId }
+    }
+
+    if (cumulative > toBaseUnits(record.deposit, asset)) {
+      return { valid: false, reason: 'Voucher exceeds channel deposit', channelId }
+    }
+
+    if (expectedAmount && increment < toBaseUnits(expectedAmount, asset)) {
+      return { valid: false, reason: 'Insufficient payment', channelId }
+    }
+
+    await this.store.set(channelKey(channelId), {
+      ...record,
+      amount: fromBaseUnits(cumulative, asset),
+      sequence: voucher.sequence,
+      voucher,
+      updatedAt: Date.now()
+    })
+
+    return {
+      valid: true,
+      channelId,
+      from: record.payer,
+      to: record.payee,
+      amount: fromBaseUnits(increment, asset),
+      asset,
+      cumulative: fromBaseUnits(cumulative, asset),
+      sequence: voucher.sequence
+    }
+  }
+
+  /**
+   * Get the tracked state of a channel
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} Channel record with the latest voucher, or null
+   */
+  async getRecord(channelId) {
+    return (await this.store.get(channelKey(channelId))) || null
+  }
+
+  /**
+   * Get the latest accepted voucher for a channel
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} Signed voucher, or null
+   */
+  async getLatestVoucher(channelId) {
+    return (await this.getRecord(channelId))?.voucher || null
+  }
+
+  /**
+   * List tracked channels
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - Cached channel status (open, closing, settled)
+   * @returns {Promise<Array>} Channel records
+   */
+  async listChannels(filter = {}) {
+    return (await this.store.entries('channel:'))
+      .map(([, record]) => record)
+      .filter(record => !filter.status || record.status === filter.status)
+  }
+
+  /**
+   * Re-read a channel's status from the chain (e.g., after it was closed)
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} Updated channel record, or null
+   */
+  async refresh(channelId) {
+    const run = this.queue.then(async () => {
+      const record = await this.getRecord(channelId)
+      return record && this.syncStatus(record)
+    })
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Whether a record's cached status is too old to accept a voucher on
+   * @param {Object} record - Channel record
+   * @returns {boolean} True if the status should be re-read
+   */
+  isStale(record) {
+    const staleAfter = this.staleAfter ?? (record.disputeWindow ? record.disputeWindow / 2 : 0)
+    return !record.checkedAt || Date.now() - record.checkedAt >= staleAfter
+  }
+
+  /**
+   * Update a record with the channel's on-chain status and closing state;
+   * must only run inside the verify queue
+   * @param {Object} record - Channel record
+   * @returns {Promise<Object>} Updated record
+   */
+  async syncStatus(record) {
+    const state = await this.fetchChannel(record.channelId)
+
+    if (!state) {
+      return record
+    }
+
+    const updated = {
+      ...record,
+      status: state.status,
+      disputeWindow: state.disputeWindow,
+      closingSequence: state.closingSequence ?? null,
+      closesAt: state.closesAt ?? null,
+      checkedAt: Date.now()
+    }
+    await this.store.set(channelKey(record.channelId), updated)
+    return updated
+  }
+
+  /**
+   * Start tracking a channel from its on-chain state
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} Channel record, or null if the channel does not exist
+   */
+  async loadChannel(channelId) {
+    const state = await this.fetchChannel(channelId)
+
+    if (!state) {
+      return null
+    }
+
+    return {
+      channelId,
+      payer: state.payer,
+      payee: state.payee,
+      asset: state.asset,
+      deposit: state.deposit,
+      disputeWindow: state.disputeWindow,
+      status: state.status,
+      closingSequence: state.closingSequence ?? null,
+      closesAt: state.closesAt ?? null,
+      checkedAt: Date.now(),
+      amount: '0',
+      sequence: 0,
+      voucher: null
+    }
+  }
+
+  /**
+   * Fetch a channel from the chain backend
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object|null>} Channel state
+   */
+  async fetchChannel(channelId) {
+    const chain = requireChain(this.chain)
+
+    if (typeof chain.getChannel !== 'function') {
+      throw new Error('Chain backend does not support payment channels')
+    }
+
+    return chain.getChannel(channelId)
+  }
+}
+
+/**
+ * Build the store key for a channel
+ * @param {string} channelId - Channel identifier
+ * @returns {string} Store key
+ */
+function channelKey(channelId) {
+  return `channel:${channelId.toLowerCase()}`
+}
@@ -0,0 +1,102 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ChannelVerifier } from './ChannelVerifier.js'
+import { decodeVoucherHeader } from './ChannelVoucher.js'
+import { InMemoryLedger } from './InMemoryLedger.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+import { PaymentChannel } from '../sdk/PaymentChannel.js'
+
+const HOUR = 60 * 60 * 1000
+
+describe('ChannelVerifier', () => {
+  let now
+  let chain
+  let payer
+  let payee
+  let channel
+  let verifier
+
+  beforeEach(async () => {
+    now = 1700000000000
+    chain = new InMemoryLedger({ clock: () => now })
+    payer = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    payee = new AgentWallet({ privateKey: '0x' + '22'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(payer.address, '10')
+
+    channel = await PaymentChannel.open(payer, { to: payee.address, deposit: '1', disputeWindow: HOUR })
+    verifier = new ChannelVerifier({ chain })
+  })
+
+  it('accepts vouchers and reports the increment each one pays', async () => {
+    const first = await verifier.verify({ voucher: await channel.pay('0.1'), expectedRecipient: payee.address })
+    const second = await verifier.verify({ voucher: await channel.pay('0.25'), expectedAmount: '0.25' })
+
+    assert.equal(first.amount, '0.1')
+    assert.deepEqual([second.valid, second.amount, second.cumulative, second.sequence], [true, '0.25', '0.35', 2])
+    assert.equal(second.from, payer.address)
+    assert.equal(channel.remaining, '0.65')
+    assert.equal((await verifier.getLatestVoucher(channel.channelId)).sequence, 2)
+  })
+
+  it('rejects replayed, forged and over-deposit vouchers', async () => {
+    const voucher = await channel.pay('0.1')
+    await verifier.verify({ voucher })
+
+    assert.equal((await verifier.verify({ voucher })).reason, 'Stale voucher')
+
+    const forged = await payee.signVoucher({ channelId: channel.channelId, amount: '0.5', sequence: 5 })
+    assert.equal((await verifier.verify({ voucher: forged })).reason, 'Invalid voucher signature')
+
+    const greedy = await payer.signVoucher({ channelId: channel.channelId, amount: '2', sequence: 6 })
+    assert.equal((await verifier.verify({ voucher: greedy })).reason, 'Voucher exceeds channel deposit')
+
+    const lower = await payer.signVoucher({ channelId: channel.channelId, amount: '0.05', sequence: 7 })
+    assert.equal((await verifier.verify({ voucher: lower })).reason, 'Voucher amount must increase')
+
+    await assert.rejects(channel.pay('1'), /deposit exhausted/)
+  })
+
+  it('checks the channel terms and the payment amount', async () => {
+    const voucher = await channel.pay('0.1')
+
+    assert.equal((await verifier.verify({ voucher, expectedRecipient: payer.address })).reason, 'Recipient mismatch')
+    assert.equal((await verifier.verify({ voucher, expectedAsset: 'ETH' })).reason, 'Asset mismatch: expected ETH, got USDC')
+    assert.equal((await verifier.verify({ voucher, expectedAmount: '0.2' })).reason, 'Insufficient payment')
+
+    const unknown = { ...voucher, channelId: '0x' + '00'.repeat(32) }
+    assert.equal((await verifier.verify({ voucher: unknown })).reason, 'Unknown channel')
+  })
+
+  it('stops accepting vouchers once the payer starts closing the channel', async () => {
+    const checking = new ChannelVerifier({ chain, staleAfter: 0 })
+    await checking.verify({ voucher: await channel.pay('0.1') })
+
+    await (await channel.close()).wait()
+
+    const late = await checking.verify({ voucher: await channel.pay('0.1') })
+    assert.equal(late.reason, 'Channel is closing')
+  })
+
+  it('lets the payee challenge a close with an older voucher and settle after the window', async () => {
+    const older = await channel.pay('0.1')
+    await verifier.verify({ voucher: older })
+    await verifier.verify({ voucher: await channel.pay('0.3') })
+
+    await (await payer.closeChannel(channel.channelId, older)).wait()
+    await (await payee.challengeChannel(channel.channelId, await verifier.getLatestVoucher(channel.channelId))).wait()
+
+    now += HOUR
+    await (await payer.settleChannel(channel.channelId)).wait()
+
+    assert.equal(await chain.getBalance(payee.address), '0.4')
+    assert.equal(await chain.getBalance(payer.address), '9.6')
+  })
+
+  it('round-trips vouchers through the X-402-Voucher header', async () => {
+    const headers = await channel.paymentHeaders('0.1')
+
+    assert.equal(headers['X-402-Payment'], '0.1 USDC')
+    assert.deepEqual(decodeVoucherHeader(headers['X-402-Voucher']), channel.latestVoucher)
+    assert.equal(decodeVoucherHeader('not a voucher'), null)
+  })
+})
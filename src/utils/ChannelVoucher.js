@@ -0,0 +1,52 @@
+/**
+ * Channel Voucher Utility
+ * Verification and header encoding for payment channel vouchers
+ *
+ * A voucher authorizes the payee to claim a cumulative amount from a
+ * channel; each new voucher has a higher sequence and a higher amount.
+ */
+
+import { recoverTypedDataAddress, isSameAddress } from './EthCrypto.js'
+import { encodeJsonHeader, decodeJsonHeader } from './HeaderEncoding.js'
+import { buildVoucherTypedData } from '../interfaces/PaymentTypedData.js'
+
+/**
+ * Check that a voucher was signed by a channel's payer
+ * @param {Object} voucher - Voucher ({ channelId, amount, sequence, signature })
+ * @param {string} payer - Channel payer address
+ * @param {string} network - Network name
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifyVoucher(voucher, payer, network) {
+  try {
+    const signer = recoverTypedDataAddress(buildVoucherTypedData(voucher, network), voucher.signature)
+    return isSameAddress(signer, payer)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Encode a voucher for the X-402-Voucher header
+ * @param {Object} voucher - Signed voucher
+ * @returns {string} Base64url-encoded JSON
+ */
+export function encodeVoucherHeader(voucher) {
+  const { channelId, amount, sequence, signature } = voucher
+  return encodeJsonHeader({ channelId, amount, sequence, signature })
+}
+
+/**
+ * Decode an X-402-Voucher header
+ * @param {string} header - Header value
+ * @returns {Object|null} Voucher, or null if the header is malformed
+ */
+export function decodeVoucherHeader(header) {
+  const voucher = decodeJsonHeader(header)
+
+  if (!voucher?.channelId || voucher.amount === undefined || !Number.isInteger(voucher.sequence) || !voucher.signature) {
+    return null
+  }
+
+  return voucher
+}
@@ -0,0 +1,360 @@
+/**
+ * Ethereum Crypto Utility
+ * secp256k1 key derivation, EIP-191 message signing and EIP-712 typed data signing
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1'
+import { keccak_256 } from '@noble/hashes/sha3'
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils'
+
+/**
+ * Derive an EIP-55 checksummed address from a private key
+ * @param {string} privateKey - Hex-encoded private key (with or without 0x)
+ * @returns {string} Checksummed address
+ */
+export function privateKeyToAddress(privateKey) {
+  const publicKey = secp256k1.getPublicKey(toBytes(privateKey), false)
+  return publicKeyToAddress(publicKey)
+}
+
+/**
+ * Derive an EIP-55 checksummed address from an uncompressed public key
+ * @param {Uint8Array} publicKey - Uncompressed public key (65 bytes)
+ * @returns {string} Checksummed address
+ */
+export function publicKeyToAddress(publicKey) {
+  const hash = keccak_256(publicKey.slice(1))
+  return toChecksumAddress(bytesToHex(hash.slice(-20)))
+}
+
+/**
+ * Apply EIP-55 mixed-case checksum encoding to an address
+ * @param {string} address - Hex address (with or without 0x)
+ * @returns {string} Checksummed address
+ */
+export function toChecksumAddress(address) {
+  const lower = strip0x(address).toLowerCase()
+
+  if (!/^[0-9a-f]{40}$/.test(lower)) {
+    throw new Error(`Invalid address: ${address}`)
+  }
+
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)))
+  let checksummed = '0x'
+
+  for (let i = 0; i < lower.length; i++) {
+    checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i]
+  }
+
+  return checksummed
+}
+
+/**
+ * Compare two addresses ignoring checksum casing
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean} Whether the addresses are equal
+ */
+export function isSameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' &&
+    strip0x(a).toLowerCase() === strip0x(b).toLowerCase()
+}
+
+/**
+ * Compute keccak256 of bytes or a UTF-8 string
+ * @param {Uint8Array|string} data - Data to hash
+ * @returns {string} 0x-prefixed hash
+ */
+export function keccak256(data) {
+  return '0x' + bytesToHex(keccak_256(typeof data === 'string' ? utf8ToBytes(data) : data))
+}
+
+/**
+ * Hash a message with the EIP-191 personal message prefix
+ * @param {string|Uint8Array} message - Message to hash
+ * @returns {Uint8Array} Message digest
+ */
+export function hashMessage(message) {
+  const bytes = typeof message === 'string' ? utf8ToBytes(message) : message
+  const prefix = utf8ToBytes(`\x19Ethereum Signed Message:\n${bytes.length}`)
+  return keccak_256(concatBytes(prefix, bytes))
+}
+
+/**
+ * Sign an EIP-191 personal message
+ * @param {string|Uint8Array} message - Message to sign
+ * @param {string} privateKey - Hex-encoded private key
+ * @returns {string} 65-byte signature as 0x-prefixed hex (r || s || v)
+ */
+export function signMessage(message, privateKey) {
+  return signDigest(hashMessage(message), privateKey)
+}
+
+/**
+ * Recover the signer address of an EIP-191 personal message
+ * @param {string|Uint8Array} message - Signed message
+ * @param {string} signature - 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+export function recoverMessageAddress(message, signature) {
+  return recoverDigestAddress(hashMessage(message), signature)
+}
+
+/**
+ * Verify that an EIP-191 personal message was signed by an address
+ * @param {string|Uint8Array} message - Signed message
+ * @param {string} signature - 65-byte signature
+ * @param {string} address - Expected signer address
+ * @returns {boolean} Whether the signature is valid for the address
+ */
+export function verifyMessage(message, signature, address) {
+  try {
+    return isSameAddress(recoverMessageAddress(message, signature), address)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Hash EIP-712 typed data
+ * @param {Object} typedData - Typed data ({ domain, types, primaryType, message })
+ * @returns {Uint8Array} Typed data digest
+ */
+export function hashTypedData(typedData) {
+  const { domain = {}, primaryType, message } = typedData
+  const types = {
+    EIP712Domain: typedData.types.EIP712Domain || domainType(domain),
+    ...typedData.types
+  }
+
+  return keccak_256(concatBytes(
+    new Uint8Array([0x19, 0x01]),
+    hashStruct('EIP712Domain', domain, types),
+    hashStruct(primaryType, message, types)
+  ))
+}
+
+/**
+ * Sign EIP-712 typed data
+ * @param {Object} typedData - Typed data ({ domain, types, primaryType, message })
+ * @param {string} privateKey - Hex-encoded private key
+ * @returns {string} 65-byte signature as 0x-prefixed hex (r || s || v)
+ */
+export function signTypedData(typedData, privateKey) {
+  return signDigest(hashTypedData(typedData), privateKey)
+}
+
+/**
+ * Recover the signer address of EIP-712 typed data
+ * @param {Object} typedData - Signed typed data
+ * @param {string} signature - 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+export function recoverTypedDataAddress(typedData, signature) {
+  return recoverDigestAddress(hashTypedData(typedData), signature)
+}
+
+/**
+ * Verify that EIP-712 typed data was signed by an address
+ * @param {Object} typedData - Signed typed data
+ * @param {string} signature - 65-byte signature
+ * @param {string} address - Expected signer address
+ * @returns {boolean} Whether the signature is valid for the address
+ */
+export function verifyTypedData(typedData, signature, address) {
+  try {
+    return isSameAddress(recoverTypedDataAddress(typedData, signature), address)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Sign a 32-byte digest
+ * @param {Uint8Array} digest - Digest to sign
+ * @param {string} privateKey - Hex-encoded private key
+ * @returns {string} 65-byte signature as 0x-prefixed hex
+ */
+function signDigest(digest, privateKey) {
+  const signature = secp256k1.sign(digest, toBytes(privateKey))
+  const v = (27 + signature.recovery).toString(16)
+  return '0x' + signature.toCompactHex() + v
+}
+
+/**
+ * Recover the signer address of a 32-byte digest
+ * @param {Uint8Array} digest - Signed digest
+ * @param {string} signature - 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+function recoverDigestAddress(digest, signature) {
+  const hex = strip0x(signature)
+
+  if (hex.length !== 130) {
+    throw new Error('Invalid signature length')
+  }
+
+  const v = parseInt(hex.slice(128), 16)
+  const recovery = v >= 27 ? v - 27 : v
+
+  if (recovery !== 0 && recovery !== 1) {
+    throw new Error('Invalid signature recovery id')
+  }
+
+  const publicKey = secp256k1.Signature.fromCompact(hex.slice(0, 128))
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(digest)
+    .toRawBytes(false)
+
+  return publicKeyToAddress(publicKey)
+}
+
+/**
+ * Build the EIP712Domain type from the fields present in a domain
+ * @param {Object} domain - Typed data domain
+ * @returns {Array} EIP712Domain field list
+ */
+function domainType(domain) {
+  return [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' }
+  ].filter(field => domain[field.name] !== undefined)
+}
+
+/**
+ * Encode a struct type and its dependencies (EIP-712 encodeType)
+ * @param {string} primaryType - Struct type name
+ * @param {Object} types - Type definitions
+ * @returns {string} Encoded type string
+ */
+function encodeType(primaryType, types) {
+  const dependencies = findDependencies(primaryType, types)
+  const sorted = [primaryType, ...dependencies.filter(type => type !== primaryType).sort()]
+
+  return sorted
+    .map(type => `${type}(${types[type].map(field => `${field.type} ${field.name}`).join(',')})`)
+    .join('')
+}
+
+/**
+ * Collect the struct types referenced by a type
+ * @param {string} primaryType - Struct type name
+ * @param {Object} types - Type definitions
+ * @param {Set} [found] - Types already collected
+ * @returns {string[]} Referenced struct type names
+ */
+function findDependencies(primaryType, types, found = new Set()) {
+  const baseType = primaryType.replace(/\[\d*\]$/, '')
+
+  if (found.has(baseType) || !types[baseType]) {
+    return [...found]
+  }
+
+  found.add(baseType)
+  types[baseType].forEach(field => findDependencies(field.type, types, found))
+
+  return [...found]
+}
+
+/**
+ * Hash a struct (EIP-712 hashStruct)
+ * @param {string} primaryType - Struct type name
+ * @param {Object} data - Struct value
+ * @param {Object} types - Type definitions
+ * @returns {Uint8Array} Struct hash
+ */
+function hashStruct(primaryType, data, types) {
+  const typeHash = keccak_256(utf8ToBytes(encodeType(primaryType, types)))
+  const fields = types[primaryType].map(field => encodeValue(field.type, data[field.name], types))
+  return keccak_256(concatBytes(typeHash, ...fields))
+}
+
+/**
+ * Encode a single value to 32 bytes (EIP-712 encodeData)
+ * @param {string} type - Solidity type
+ * @param {*} value - Value to encode
+ * @param {Object} types - Type definitions
+ * @returns {Uint8Array} Encoded value
+ */
+function encodeValue(type, value, types) {
+  if (types[type]) {
+    return hashStruct(type, value, types)
+  }
+
+  const arrayMatch = type.match(/^(.*)\[(\d*)\]$/)
+  if (arrayMatch) {
+    const items = (value || []).map(item => encodeValue(arrayMatch[1], item, types))
+    return keccak_256(concatBytes(...items))
+  }
+
+  if (type === 'string') {
+    return keccak_256(utf8ToBytes(value ?? ''))
+  }
+
+  if (type === 'bytes') {
+    return keccak_256(toBytes(value ?? '0x'))
+  }
+
+  if (type === 'bool') {
+    return encodeInteger(value ? 1n : 0n)
+  }
+
+  if (type === 'address') {
+    return leftPad(hexToBytes(strip0x(value).toLowerCase()))
+  }
+
+  if (/^u?int\d*$/.test(type)) {
+    return encodeInteger(BigInt(value ?? 0))
+  }
+
+  if (/^bytes\d+$/.test(type)) {
+    const bytes = toBytes(value)
+    const padded = new Uint8Array(32)
+    padded.set(bytes)
+    return padded
+  }
+
+  throw new Error(`Unsupported EIP-712 type: ${type}`)
+}
+
+/**
+ * Encode an integer as a 32-byte two's complement big-endian word
+ * @param {bigint} value - Integer value
+ * @returns {Uint8Array} Encoded integer
+ */
+function encodeInteger(value) {
+  const word = BigInt.asUintN(256, value)
+  return hexToBytes(word.toString(16).padStart(64, '0'))
+}
+
+/**
+ * Left-pad bytes to 32 bytes
+ * @param {Uint8Array} bytes - Bytes to pad
+ * @returns {Uint8Array} Padded bytes
+ */
+function leftPad(bytes) {
+  const padded = new Uint8Array(32)
+  padded.set(bytes, 32 - bytes.length)
+  return padded
+}
+
+/**
+ * Convert a hex string or bytes to bytes
+ * @param {string|Uint8Array} value - Hex string (with or without 0x) or bytes
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(value) {
+  return typeof value === 'string' ? hexToBytes(strip0x(value)) : value
+}
+
+/**
+ * Remove a 0x prefix from a hex string
+ * @param {string} hex - Hex string
+ * @returns {string} Hex string without prefix
+ */
+function strip0x(hex) {
+  return hex.startsWith('0x') || hex.startsWith('0X') ? hex.slice(2) : hex
+}
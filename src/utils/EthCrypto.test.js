@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { bytesToHex } from '@noble/hashes/utils'
+import {
+  privateKeyToAddress,
+  toChecksumAddress,
+  isSameAddress,
+  keccak256,
+  hashTypedData,
+  signTypedData,
+  recoverTypedDataAddress,
+  verifyTypedData,
+  signMessage,
+  recoverMessageAddress,
+  verifyMessage
+} from './EthCrypto.js'
+import { buildPaymentTypedData } from '../interfaces/PaymentTypedData.js'
+
+// Example from the EIP-712 specification
+const COW_KEY = keccak256('cow')
+const COW_ADDRESS = '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'
+
+const MAIL = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' }
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' }
+    ]
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+  },
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!'
+  }
+}
+
+const MAIL_SIGNATURE = '0x' +
+  '4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+  '07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562' +
+  '1c'
+
+describe('EthCrypto', () => {
+  it('derives the checksummed address of a private key', () => {
+    assert.equal(privateKeyToAddress(COW_KEY), COW_ADDRESS)
+    assert.equal(toChecksumAddress(COW_ADDRESS.toLowerCase()), COW_ADDRESS)
+    assert.ok(isSameAddress(COW_ADDRESS, COW_ADDRESS.toLowerCase()))
+    assert.throws(() => toChecksumAddress('0x1234'), /Invalid address/)
+  })
+
+  it('matches the EIP-712 reference digest and signature', () => {
+    assert.equal(bytesToHex(hashTypedData(MAIL)), 'be609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2')
+    assert.equal(signTypedData(MAIL, COW_KEY), MAIL_SIGNATURE)
+    assert.equal(recoverTypedDataAddress(MAIL, MAIL_SIGNATURE), COW_ADDRESS)
+  })
+
+  it('rejects typed data that was changed after signing', () => {
+    const tampered = { ...MAIL, message: { ...MAIL.message, contents: 'Hello, Eve!' } }
+
+    assert.ok(verifyTypedData(MAIL, MAIL_SIGNATURE, COW_ADDRESS))
+    assert.ok(!verifyTypedData(tampered, MAIL_SIGNATURE, COW_ADDRESS))
+    assert.ok(!verifyTypedData(MAIL, '0x1234', COW_ADDRESS))
+  })
+
+  it('binds payment signatures to the network', () => {
+    const payment = {
+      from: COW_ADDRESS,
+      to: '0x000000000000000000000000000000000000dEaD',
+      amount: '0.5',
+      asset: 'USDC',
+      timestamp: 1700000000000
+    }
+    const signature = signTypedData(buildPaymentTypedData(payment, 'base'), COW_KEY)
+
+    assert.ok(verifyTypedData(buildPaymentTypedData(payment, 'base'), signature, COW_ADDRESS))
+    assert.ok(!verifyTypedData(buildPaymentTypedData(payment, 'mainnet'), signature, COW_ADDRESS))
+  })
+
+  it('signs and recovers EIP-191 personal messages', () => {
+    const signature = signMessage('x402 login', COW_KEY)
+
+    assert.equal(recoverMessageAddress('x402 login', signature), COW_ADDRESS)
+    assert.ok(verifyMessage('x402 login', signature, COW_ADDRESS))
+    assert.ok(!verifyMessage('x402 logout', signature, COW_ADDRESS))
+  })
+})
@@ -0,0 +1,249 @@
+/**
+ * Gas Optimizer Utility
+ * Prices settlement transactions with fixed, EIP-1559 or deadline-aware fees
+ *
+ * Fee data comes from a fee source with an eth_feeHistory-shaped
+ * getFeeHistory(blockCount, percentiles); a chain backend, RpcFeeSource or a
+ * test double all fit. Fees are wei strings so estimates stay JSON-safe.
+ */
+
+import { toBaseUnits, fromBaseUnits } from './Amount.js'
+
+export const GAS_STRATEGIES = ['fixed', 'eip1559', 'deadline']
+
+const GWEI = 10n ** 9n
+
+export class GasOptimizer {
+  /**
+   * @param {Object} config - Optimizer configuration
+   * @param {string} [config.strategy] - 'fixed', 'eip1559' or 'deadline' (default: eip1559)
+   * @param {Object} [config.feeSource] - Source of fee history ({ getFeeHistory(blockCount, percentiles) })
+   * @param {Object} [config.fixed] - Fees for the fixed strategy and the fallback ({ maxFeePerGas, maxPriorityFeePerGas } in wei)
+   * @param {number} [config.gasLimit] - Gas for a settlement paying one payment (default: 65000)
+   * @param {number} [config.gasPerPayment] - Extra gas per additional payment in a batch (default: 25000)
+   * @param {number} [config.historyBlocks] - Blocks of fee history to read (default: 10)
+   * @param {number} [config.percentile] - Priority fee percentile for the eip1559 strategy (default: 50)
+   * @param {number} [config.baseFeeMultiplier] - Headroom over the next base fee (default: 2)
+   * @param {Object} [config.deadline] - Deadline strategy ({ urgentWindow ms, percentile, urgentPercentile });
+   *   settlements without a deadline are not urgent
+   * @param {number} [config.maxFeePercent] - Cap the fee at this percentage of the settled amount
+   * @param {string} [config.nativeAsset] - Asset gas is paid in (default: ETH)
+   * @param {Object} [config.nativePrices] - Price of one native unit by payment asset ({ USDC: '3000' });
+   *   required with maxFeePercent for every asset other than the native one
+   * @throws {Error} If a fee cap is configured without any prices to apply it with
+   */
+  constructor(config = {}) {
+    this.strategy = config.strategy || 'eip1559'
+
+    if (!GAS_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown gas strategy: ${this.strategy}`)
+    }
+
+    this.feeSource = config.feeSource || null
+    this.fixed = {
+      maxFeePerGas: BigInt(config.fixed?.maxFeePerGas ?? 30n * GWEI),
+      maxPriorityFeePerGas: BigInt(config.fixed?.maxPriorityFeePerGas ?? 2n * GWEI)
+    }
+    this.gasLimit = config.gasLimit || 65000
+    this.gasPerPayment = config.gasPerPayment ?? 25000
+    this.historyBlocks = config.historyBlocks || 10
+    this.percentile = config.percentile ?? 50
+    this.baseFeeMultiplier = config.baseFeeMultiplier || 2
+    this.deadline = {
+      urgentWindow: 60000,
+      percentile: 25,
+      urgentPercentile: 90,
+      ...config.deadline
+    }
+    this.maxFeePercent = config.maxFeePercent ?? null
+    this.nativeAsset = config.nativeAsset || 'ETH'
+    this.nativePrices = config.nativePrices || {}
+    this.clock = config.clock || (() => Date.now())
+
+    if (this.maxFeePercent !== null && Object.keys(this.nativePrices).length === 0) {
+      throw new Error(`maxFeePercent needs nativePrices to convert ${this.nativeAsset} fees (e.g., { USDC: '3000' })`)
+    }
+  }
+
+  /**
+   * Estimate fees for a settlement
+   * @param {Object} settlement - Payment or batch ({ amount, asset, payments, deadline })
+   * @returns {Promise<Object>} { strategy, gasLimit, maxFeePerGas, maxPriorityFeePerGas, estimatedCost, capped, fallback }
+   * @throws {Error} If even the lowest includable fee is above the cap, or the cap has no price for the asset
+   */
+  async estimate(settlement = {}) {
+    const gasLimit = this.gasLimit + this.gasPerPayment * Math.max(0, (settlement.payments?.length || 1) - 1)
+    const { fees, baseFee, fallback } = await this.quoteFees(settlement)
+    let { maxFeePerGas, maxPriorityFeePerGas } = fees
+    let capped = false
+
+    const cap = this.getFeeCap(settlement, gasLimit)
+    if (cap !== null && maxFeePerGas > cap) {
+      // Below the base fee the transaction would never be included; fail so
+      // the settlement is retried when fees come down
+      if (baseFee !== null && cap < baseFee) {
+        throw new Error(`Gas fees exceed ${this.maxFeePercent}% of the ${settlement.amount} ${settlement.asset} settlement`)
+      }
+
+      maxFeePerGas = cap
+      maxPriorityFeePerGas = maxPriorityFeePerGas < cap ? maxPriorityFeePerGas : cap
+      capped = true
+    }
+
+    return {
+      strategy: fallback ? 'fixed' : this.strategy,
+      gasLimit,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+      estimatedCost: fromBaseUnits(BigInt(gasLimit) * maxFeePerGas, this.nativeAsset),
+      capped,
+      fallback
+    }
+  }
+
+  /**
+   * Fees for the configured strategy, falling back to fixed fees when fee
+   * data is unavailable
+   * @param {Object} settlement - Settlement being priced
+   * @returns {Promise<Object>} { fees, baseFee, fallback }
+   */
+  async quoteFees(settlement) {
+    if (this.strategy === 'fixed') {
+      return { fees: this.fixed, baseFee: null, fallback: false }
+    }
+
+    const percentile = this.strategy === 'deadline' ? this.getDeadlinePercentile(settlement) : this.percentile
+
+    let history
+    try {
+      history = await this.feeSource?.getFeeHistory?.(this.historyBlocks, [percentile])
+    } catch (error) {
+      history = null
+    }
+
+    const baseFees = history?.baseFeePerGas || []
+    const rewards = (history?.reward || []).map(block => block?.[0]).filter(reward => reward !== undefined && reward !== null)
+
+    if (baseFees.length === 0) {
+      return { fees: this.fixed, baseFee: null, fallback: true }
+    }
+
+    // The last entry of eth_feeHistory is the next block's base fee
+    const baseFee = BigInt(baseFees[baseFees.length - 1])
+    const maxPriorityFeePerGas = rewards.length > 0 ? median(rewards.map(BigInt)) : this.fixed.maxPriorityFeePerGas
+    const multiplier = BigInt(Math.round(this.baseFeeMultiplier * 100))
+
+    return {
+      fees: {
+        maxFeePerGas: baseFee * multiplier / 100n + maxPriorityFeePerGas,
+        maxPriorityFeePerGas
+      },
+      baseFee,
+      fallback: false
+    }
+  }
+
+  /**
+   * Priority fee percentile for the deadline strategy: cheap while there is
+   * time, aggressive once the settlement is about to expire
+   * @param {Object} settlement - Settlement with an optional deadline
+   * @returns {number} Percentile
+   */
+  getDeadlinePercentile(settlement) {
+    if (!settlement.deadline) {
+      return this.deadline.percentile
+    }
+
+    const remaining = settlement.deadline - this.clock()
+    return remaining <= this.deadline.urgentWindow ? this.deadline.urgentPercentile : this.deadline.percentile
+  }
+
+  /**
+   * Highest max fee per gas the fee cap allows
+   * @param {Object} settlement - Settlement ({ amount, asset })
+   * @param {number} gasLimit - Gas limit
+   * @returns {bigint|null} Cap in wei per gas, or null without a cap
+   * @throws {Error} If there is no native price for the settlement's asset
+   */
+  getFeeCap(settlement, gasLimit) {
+    if (this.maxFeePercent === null || !settlement.amount) {
+      return null
+    }
+
+    const asset = settlement.asset || 'USDC'
+    const price = asset === this.nativeAsset ? '1' : this.nativePrices[asset]
+
+    // Settling uncapped would silently ignore the configured cap
+    if (!price) {
+      throw new Error(`No ${this.nativeAsset} price for ${asset} to apply the ${this.maxFeePercent}% fee cap`)
+    }
+
+    // Basis points keep fractional percentages exact
+    const basisPoints = BigInt(Math.round(this.maxFeePercent * 100))
+    const maxCostInAsset = toBaseUnits(settlement.amount, asset) * basisPoints / 10000n
+    const maxCostInNative = maxCostInAsset * toBaseUnits('1', this.nativeAsset) / toBaseUnits(price, asset)
+
+    return maxCostInNative / BigInt(gasLimit)
+  }
+}
+
+/**
+ * Fee source reading eth_feeHistory from a JSON-RPC endpoint
+ */
+export class RpcFeeSource {
+  /**
+   * @param {Object} config - Source configuration
+   * @param {string} config.rpcUrl - JSON-RPC endpoint
+   */
+  constructor(config = {}) {
+    if (!config.rpcUrl) {
+      throw new Error('RpcFeeSource requires an RPC URL')
+    }
+
+    this.rpcUrl = config.rpcUrl
+  }
+
+  /**
+   * Read recent fee history
+   * @param {number} blockCount - Number of blocks
+   * @param {number[]} percentiles - Priority fee percentiles
+   * @returns {Promise<Object>} { baseFeePerGas, reward } as BigInt values
+   */
+  async getFeeHistory(blockCount, percentiles) {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'eth_feeHistory',
+        params: [`0x${blockCount.toString(16)}`, 'latest', percentiles]
+      })
+    })
+
+    if (!response.ok) {
+      throw new Error(`Fee history request failed: ${response.statusText}`)
+    }
+
+    const { result, error } = await response.json()
+
+    if (error) {
+      throw new Error(`Fee history request failed: ${error.message}`)
+    }
+
+    return {
+      baseFeePerGas: (result.baseFeePerGas || []).map(BigInt),
+      reward: (result.reward || []).map(block => block.map(BigInt))
+    }
+  }
+}
+
+/**
+ * Median of BigInt values
+ * @param {bigint[]} values - Values
+ * @returns {bigint} Median (lower middle for even counts)
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+  return sorted[Math.floor((sorted.length - 1) / 2)]
+}
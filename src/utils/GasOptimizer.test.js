@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { GasOptimizer } from './GasOptimizer.js'
+
+const GWEI = 10n ** 9n
+
+/**
+ * Fee source returning fixed history and recording the percentiles asked for
+ */
+function createFeeSource() {
+  const source = { percentiles: [] }
+  source.getFeeHistory = async (blockCount, percentiles) => {
+    source.percentiles.push(percentiles[0])
+    return {
+      baseFeePerGas: [10n * GWEI, 12n * GWEI, 20n * GWEI],
+      reward: [[1n * GWEI], [3n * GWEI], [2n * GWEI]]
+    }
+  }
+  return source
+}
+
+describe('GasOptimizer', () => {
+  it('prices EIP-1559 fees from the next base fee and median priority fee', async () => {
+    const optimizer = new GasOptimizer({ feeSource: createFeeSource() })
+    const estimate = await optimizer.estimate({ amount: '1', asset: 'USDC', payments: [{}, {}, {}] })
+
+    assert.deepEqual(estimate, {
+      strategy: 'eip1559',
+      gasLimit: 115000,
+      maxFeePerGas: String(42n * GWEI),
+      maxPriorityFeePerGas: String(2n * GWEI),
+      estimatedCost: '0.00483',
+      capped: false,
+      fallback: false
+    })
+  })
+
+  it('falls back to fixed fees when fee history is unavailable', async () => {
+    const optimizer = new GasOptimizer({
+      feeSource: { getFeeHistory: async () => { throw new Error('rate limited') } },
+      fixed: { maxFeePerGas: 5n * GWEI, maxPriorityFeePerGas: GWEI }
+    })
+    const estimate = await optimizer.estimate()
+
+    assert.equal(estimate.strategy, 'fixed')
+    assert.equal(estimate.fallback, true)
+    assert.equal(estimate.maxFeePerGas, String(5n * GWEI))
+  })
+
+  it('bids higher once a settlement nears its deadline', async () => {
+    let now = 0
+    const feeSource = createFeeSource()
+    const optimizer = new GasOptimizer({ strategy: 'deadline', feeSource, clock: () => now })
+
+    await optimizer.estimate({ deadline: 120000 })
+    now = 60000
+    await optimizer.estimate({ deadline: 120000 })
+    await optimizer.estimate({})
+
+    assert.deepEqual(feeSource.percentiles, [25, 90, 25])
+  })
+
+  it('caps fees at a share of the settled amount, and refuses when the base fee is above the cap', async () => {
+    const config = { maxFeePercent: 1, nativePrices: { USDC: '3000' } }
+
+    const fixed = new GasOptimizer({ ...config, strategy: 'fixed' })
+    const capped = await fixed.estimate({ amount: '10', asset: 'USDC' })
+    assert.equal(capped.capped, true)
+    assert.equal(capped.maxFeePerGas, '512820512')
+
+    const dynamic = new GasOptimizer({ ...config, feeSource: createFeeSource() })
+    await assert.rejects(dynamic.estimate({ amount: '10', asset: 'USDC' }), /exceed 1% of the 10 USDC settlement/)
+    assert.equal((await dynamic.estimate({ amount: '100000', asset: 'USDC' })).capped, false)
+    await assert.rejects(dynamic.estimate({ amount: '10', asset: 'DAI' }), /No ETH price for DAI/)
+  })
+
+  it('validates its configuration', () => {
+    assert.throws(() => new GasOptimizer({ strategy: 'cheapest' }), /Unknown gas strategy/)
+    assert.throws(() => new GasOptimizer({ maxFeePercent: 1 }), /needs nativePrices/)
+  })
+})
@@ -0,0 +1,31 @@
+/**
+ * Header Encoding Utility
+ * Carries JSON objects in HTTP headers as base64url
+ */
+
+/**
+ * Encode a JSON value for a header
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Base64url-encoded JSON
+ */
+export function encodeJsonHeader(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value))
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decode a header produced by encodeJsonHeader
+ * @param {string} header - Header value
+ * @returns {*} Decoded value, or null if the header is malformed
+ */
+export function decodeJsonHeader(header) {
+  try {
+    const binary = atob(header.replace(/-/g, '+').replace(/_/g, '/'))
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))))
+  } catch (error) {
+    return null
+  }
+}
@@ -0,0 +1,538 @@
+/**
+ * In-Memory Ledger
+ * Deterministic chain backend for running payments end to end without a network
+ */
+
+import { keccak256, isSameAddress, verifyTypedData } from './EthCrypto.js'
+import { buildPaymentTypedData } from '../interfaces/PaymentTypedData.js'
+import { toBaseUnits, fromBaseUnits } from './Amount.js'
+import { verifyVoucher } from './ChannelVoucher.js'
+
+const DEFAULT_DISPUTE_WINDOW = 24 * 60 * 60 * 1000 // 1 day
+
+// A replacement must raise both fees by at least this percentage
+const REPLACEMENT_FEE_BUMP = 10n
+
+export class InMemoryLedger {
+  constructor(config = {}) {
+    this.network = config.network || 'mainnet'
+    this.automine = config.automine !== false
+    this.clock = config.clock || (() => Date.now())
+    this.blocks = [{ number: 0, timestamp: this.clock(), transactions: [] }]
+    this.balances = new Map()
+    this.transactions = new Map()
+    this.mempool = []
+    this.channels = new Map()
+    this.nonces = new Map()
+  }
+
+  /**
+   * Credit an address out of thin air (test faucet)
+   * @param {string} address - Address to fund
+   * @param {string} amount - Amount to credit
+   * @param {string} [asset] - Asset type (default: USDC)
+   */
+  fund(address, amount, asset = 'USDC') {
+    this.setBalance(address, asset, this.readBalance(address, asset) + toBaseUnits(amount, asset))
+  }
+
+  /**
+   * Submit a signed transaction
+   *
+   * Transactions with a nonce are mined in nonce order per sender and wait
+   * in the mempool behind a gap. A pending transaction can be replaced by
+   * one with the same nonce and fees at least 10% higher.
+   * @param {Object} signedTx - Signed transaction from AgentWallet.signTransaction
+   * @returns {Promise<string>} Transaction hash
+   */
+  async sendTransaction(signedTx) {
+    const typedData = buildPaymentTypedData(signedTx, this.network)
+
+    if (!verifyTypedData(typedData, signedTx.signature, signedTx.from)) {
+      throw new Error('Invalid transaction signature')
+    }
+
+    const hash = keccak256(signedTx.signature)
+
+    if (this.transactions.has(hash)) {
+      throw new Error('Transaction already known')
+    }
+
+    if (signedTx.nonce !== undefined) {
+      this.checkNonce(signedTx, hash)
+    }
+
+    this.transactions.set(hash, {
+      hash,
+      transaction: signedTx,
+      status: 'pending',
+      blockNumber: null,
+      blockTime: null
+    })
+    this.mempool.push(hash)
+
+    if (this.automine) {
+      this.mineBlock()
+    }
+
+    return hash
+  }
+
+  /**
+   * Get a transaction receipt
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} Receipt, or null if unknown
+   */
+  async getTransactionReceipt(txHash) {
+    const entry = this.transactions.get(txHash)
+
+    if (!entry) {
+      return null
+    }
+
+    const { transaction } = entry
+    const head = this.blocks.length - 1
+
+    return {
+      hash: entry.hash,
+      status: entry.status,
+      blockNumber: entry.blockNumber,
+      blockTime: entry.blockTime,
+      confirmations: entry.blockNumber === null ? 0 : head - entry.blockNumber + 1,
+      from: transaction.from,
+      to: transaction.to,
+      amount: transaction.amount,
+      asset: transaction.asset,
+      memo: transaction.memo,
+      metadata: transaction.metadata,
+      timestamp: transaction.timestamp,
+      ...(transaction.nonce !== undefined && {
+        nonce: transaction.nonce,
+        maxFeePerGas: transaction.maxFeePerGas,
+        maxPriorityFeePerGas: transaction.maxPriorityFeePerGas
+      }),
+      ...(entry.replacedBy && { replacedBy: entry.replacedBy }),
+      ...(transaction.transfers && { transfers: transaction.transfers }),
+      ...(transaction.channel && {
+        channel: { action: transaction.channel.action, channelId: transaction.channel.channelId || entry.hash }
+      }),
+      ...(entry.reason && { reason: entry.reason })
+    }
+  }
+
+  /**
+   * Get the balance of an address
+   * @param {string} address - Address
+   * @param {string} [asset] - Asset type (default: USDC)
+   * @returns {Promise<string>} Balance as string
+   */
+  async getBalance(address, asset = 'USDC') {
+    return fromBaseUnits(this.readBalance(address, asset), asset)
+  }
+
+  /**
+   * Get the on-chain state of a payment channel
+   * @param {string} channelId - Channel identifier (hash of the open transaction)
+   * @returns {Promise<Object|null>} Channel state, or null if unknown
+   */
+  async getChannel(channelId) {
+    const channel = this.channels.get(channelId)
+
+    if (!channel) {
+      return null
+    }
+
+    return {
+      ...channel,
+      deposit: fromBaseUnits(channel.deposit, channel.asset),
+      closingAmount: channel.closingAmount === null ? null : fromBaseUnits(channel.closingAmount, channel.asset)
+    }
+  }
+
+  /**
+   * Get the next nonce of an address
+   * @param {string} address - Address
+   * @param {string} [blockTag] - 'latest' for mined transactions only, 'pending' to include the mempool
+   * @returns {Promise<number>} Next nonce
+   */
+  async getTransactionCount(address, blockTag = 'latest') {
+    let nonce = this.readNonce(address)
+
+    if (blockTag === 'pending') {
+      const pending = new Set(this.mempool
+        .map(hash => this.transactions.get(hash).transaction)
+        .filter(transaction => transaction.nonce !== undefined && isSameAddress(transaction.from, address))
+        .map(transaction => transaction.nonce))
+
+      while (pending.has(nonce)) {
+        nonce++
+      }
+    }
+
+    return nonce
+  }
+
+  /**
+   * Remove a pending transaction as if the mempool had evicted it
+   * @param {string} txHash - Transaction hash
+   * @returns {boolean} Whether a pending transaction was dropped
+   */
+  dropTransaction(txHash) {
+    const index = this.mempool.indexOf(txHash)
+
+    if (index === -1) {
+      return false
+    }
+
+    this.mempool.splice(index, 1)
+    this.transactions.delete(txHash)
+    return true
+  }
+
+  /**
+   * Get the current block height
+   * @returns {Promise<number>} Block number
+   */
+  async getBlockNumber() {
+    return this.blocks.length - 1
+  }
+
+  /**
+   * Get a block by number
+   * @param {number} number - Block number
+   * @returns {Object|null} Block
+   */
+  getBlock(number) {
+    return this.blocks[number] || null
+  }
+
+  /**
+   * Mine a block including every pending transaction that can run (see selectTransactions)
+   * @returns {Object} Mined block
+   */
+  mineBlock() {
+    const block = {
+      number: this.blocks.length,
+      timestamp: this.clock(),
+      transactions: this.selectTransactions()
+    }
+
+    this.mempool = this.mempool.filter(hash => !block.transactions.includes(hash))
+    block.transactions.forEach(hash => {
+      const entry = this.transactions.get(hash)
+      this.applyTransaction(entry, block)
+
+      // A mined transaction uses its nonce whether it succeeded or failed
+      if (entry.transaction.nonce !== undefined) {
+        this.nonces.set(entry.transaction.from.toLowerCase(), entry.transaction.nonce + 1)
+      }
+    })
+    this.blocks.push(block)
+
+    return block
+  }
+
+  /**
+   * Pick the mempool transactions the next block can include: every
+   * transaction without a nonce, and each sender's nonces that follow on
+   * from its last mined one
+   * @returns {string[]} Transaction hashes in mining order
+   */
+  selectTransactions() {
+    const next = new Map()
+    const selected = []
+    let progress = true
+
+    while (progress) {
+      progress = false
+
+      for (const hash of this.mempool) {
+        if (selected.includes(hash)) continue
+
+        const { transaction } = this.transactions.get(hash)
+        if (transaction.nonce === undefined) {
+          selected.push(hash)
+          continue
+        }
+
+        const sender = transaction.from.toLowerCase()
+        const expected = next.get(sender) ?? this.readNonce(sender)
+        if (transaction.nonce === expected) {
+          selected.push(hash)
+          next.set(sender, expected + 1)
+          progress = true
+        }
+      }
+    }
+
+    return selected
+  }
+
+  /**
+   * Reject a stale nonce, or replace the pending transaction with the same
+   * nonce if the new one pays enough more
+   * @param {Object} signedTx - Signed transaction with a nonce
+   * @param {string} hash - Hash of the new transaction
+   */
+  checkNonce(signedTx, hash) {
+    if (!Number.isInteger(signedTx.nonce) || signedTx.nonce < this.readNonce(signedTx.from)) {
+      throw new Error('Nonce too low')
+    }
+
+    const existing = this.mempool
+      .map(pending => this.transactions.get(pending))
+      .find(entry => entry.transaction.nonce === signedTx.nonce && isSameAddress(entry.transaction.from, signedTx.from))
+
+    if (!existing) {
+      return
+    }
+
+    const bumped = fee => BigInt(fee ?? 0) * (100n + REPLACEMENT_FEE_BUMP) / 100n
+    if (
+      BigInt(signedTx.maxFeePerGas ?? 0) < bumped(existing.transaction.maxFeePerGas) ||
+      BigInt(signedTx.maxPriorityFeePerGas ?? 0) < bumped(existing.transaction.maxPriorityFeePerGas)
+    ) {
+      throw new Error('Replacement transaction underpriced')
+    }
+
+    this.mempool = this.mempool.filter(pending => pending !== existing.hash)
+    existing.status = 'failed'
+    existing.reason = 'Replaced by a transaction with the same nonce'
+    existing.replacedBy = hash
+  }
+
+  /**
+   * Mine several blocks
+   * @param {number} count - Number of blocks to mine
+   * @returns {Object} Last mined block
+   */
+  mineBlocks(count) {
+    let block = null
+    for (let i = 0; i < count; i++) {
+      block = this.mineBlock()
+    }
+    return block
+  }
+
+  /**
+   * Apply a transaction to balances as part of a block
+   * @param {Object} entry - Stored transaction entry
+   * @param {Object} block - Block being mined
+   */
+  applyTransaction(entry, block) {
+    const { from } = entry.transaction
+    const transfers = entry.transaction.transfers || [entry.transaction]
+
+    entry.blockNumber = block.number
+    entry.blockTime = block.timestamp
+
+    if (entry.transaction.channel) {
+      try {
+        this.applyChannelOperation(entry, block)
+        entry.status = 'confirmed'
+      } catch (error) {
+        entry.status = 'failed'
+        entry.reason = error.message
+      }
+      return
+    }
+
+    // Validate every transfer before moving any funds so batches are atomic
+    let values
+    try {
+      values = transfers.map(({ amount, asset }) => toBaseUnits(amount, asset))
+    } catch (error) {
+      entry.status = 'failed'
+      entry.reason = error.message
+      return
+    }
+
+    const required = {}
+    transfers.forEach(({ asset }, index) => {
+      required[asset] = (required[asset] || 0n) + values[index]
+    })
+
+    if (Object.entries(required).some(([asset, value]) => this.readBalance(from, asset) < value)) {
+      entry.status = 'failed'
+      entry.reason = 'Insufficient balance'
+      return
+    }
+
+    transfers.forEach(({ to, asset }, index) => {
+      if (!isSameAddress(from, to)) {
+        this.setBalance(from, asset, this.readBalance(from, asset) - values[index])
+        this.setBalance(to, asset, this.readBalance(to, asset) + values[index])
+      }
+    })
+
+    entry.status = 'confirmed'
+  }
+
+  /**
+   * Apply a payment channel operation; throws to fail the transaction
+   *
+   * A close by the payer starts the dispute window, during which the payee
+   * can challenge with a later voucher. A close by the payee settles at
+   * once, since the payee can only hurt itself by claiming an older voucher.
+   * @param {Object} entry - Stored transaction entry
+   * @param {Object} block - Block being mined
+   */
+  applyChannelOperation(entry, block) {
+    const { transaction } = entry
+    const { action, channelId, voucher, disputeWindow } = transaction.channel
+
+    if (action === 'open') {
+      const deposit = toBaseUnits(transaction.amount, transaction.asset)
+
+      if (this.readBalance(transaction.from, transaction.asset) < deposit) {
+        throw new Error('Insufficient balance')
+      }
+
+      this.setBalance(transaction.from, transaction.asset, this.readBalance(transaction.from, transaction.asset) - deposit)
+      this.channels.set(entry.hash, {
+        id: entry.hash,
+        payer: transaction.from,
+        payee: transaction.to,
+        asset: transaction.asset,
+        deposit,
+        disputeWindow: disputeWindow || DEFAULT_DISPUTE_WINDOW,
+        status: 'open',
+        openedAt: block.timestamp,
+        closedBy: null,
+        closingAmount: null,
+        closingSequence: null,
+        closesAt: null
+      })
+      return
+    }
+
+    const channel = this.channels.get(channelId)
+
+    if (!channel) {
+      throw new Error(`Unknown channel: ${channelId}`)
+    }
+
+    const claimed = voucher ? this.checkVoucher(channel, voucher) : 0n
+
+    if (action === 'close') {
+      if (channel.status !== 'open') {
+        throw new Error(`Channel is ${channel.status}`)
+      }
+      if (!isSameAddress(transaction.from, channel.payer) && !isSameAddress(transaction.from, channel.payee)) {
+        throw new Error('Only channel parties can close a channel')
+      }
+
+      Object.assign(channel, {
+        status: 'closing',
+        closedBy: transaction.from,
+        closingAmount: claimed,
+        closingSequence: voucher ? voucher.sequence : 0,
+        closesAt: block.timestamp + channel.disputeWindow
+      })
+
+      if (isSameAddress(transaction.from, channel.payee)) {
+        this.settleChannel(channel)
+      }
+      return
+    }
+
+    if (action === 'challenge') {
+      if (channel.status !== 'closing' || block.timestamp >= channel.closesAt) {
+        throw new Error('Channel is not in its dispute window')
+      }
+      if (!voucher || voucher.sequence <= channel.closingSequence) {
+        throw new Error('Challenge requires a later voucher')
+      }
+
+      channel.closingAmount = claimed
+      channel.closingSequence = voucher.sequence
+      return
+    }
+
+    if (action === 'settle') {
+      if (channel.status !== 'closing') {
+        throw new Error(`Channel is ${channel.status}`)
+      }
+      if (block.timestamp < channel.closesAt) {
+        throw new Error('Dispute window has not ended')
+      }
+
+      this.settleChannel(channel)
+      return
+    }
+
+    throw new Error(`Unknown channel action: ${action}`)
+  }
+
+  /**
+   * Check a voucher against a channel
+   * @param {Object} channel - Channel state
+   * @param {Object} voucher - Signed voucher
+   * @returns {bigint} Claimed amount in base units
+   */
+  checkVoucher(channel, voucher) {
+    if (voucher.channelId !== channel.id || !verifyVoucher(voucher, channel.payer, this.network)) {
+      throw new Error('Invalid voucher signature')
+    }
+
+    const amount = toBaseUnits(voucher.amount, channel.asset)
+
+    if (amount > channel.deposit) {
+      throw new Error('Voucher exceeds channel deposit')
+    }
+
+    return amount
+  }
+
+  /**
+   * Pay out a closing channel: the claimed amount to the payee, the rest
+   * of the deposit back to the payer
+   * @param {Object} channel - Channel state
+   */
+  settleChannel(channel) {
+    const { payer, payee, asset, deposit, closingAmount } = channel
+
+    this.setBalance(payee, asset, this.readBalance(payee, asset) + closingAmount)
+    this.setBalance(payer, asset, this.readBalance(payer, asset) + deposit - closingAmount)
+    channel.status = 'settled'
+  }
+
+  /**
+   * Read a balance synchronously
+   * @param {string} address - Address
+   * @param {string} asset - Asset type
+   * @returns {bigint} Balance in base units
+   */
+  readBalance(address, asset) {
+    return this.balances.get(balanceKey(address, asset)) || 0n
+  }
+
+  /**
+   * Next nonce to be mined for an address
+   * @param {string} address - Address
+   * @returns {number} Nonce
+   */
+  readNonce(address) {
+    return this.nonces.get(address.toLowerCase()) || 0
+  }
+
+  /**
+   * Overwrite a balance
+   * @param {string} address - Address
+   * @param {string} asset - Asset type
+   * @param {bigint} value - New balance in base units
+   */
+  setBalance(address, asset, value) {
+    this.balances.set(balanceKey(address, asset), value)
+  }
+}
+
+/**
+ * Build the balance map key for an address and asset
+ * @param {string} address - Address or service identifier
+ * @param {string} asset - Asset type
+ * @returns {string} Map key
+ */
+function balanceKey(address, asset) {
+  return `${address.toLowerCase()}:${asset}`
+}
@@ -0,0 +1,196 @@
+/**
+ * Key Ring Utility
+ * Asymmetric proof signing keys (Ed25519, ECDSA P-256, secp256k1) with key IDs and rotation
+ *
+ * Ed25519 and P-256 use WebCrypto and publish their public keys as JWK.
+ * secp256k1 matches AgentWallet keys: it signs EIP-191 messages and its
+ * public key is the signer's address.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1'
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils'
+import { privateKeyToAddress, signMessage, verifyMessage } from './EthCrypto.js'
+
+const WEBCRYPTO_ALGORITHMS = {
+  Ed25519: {
+    key: { name: 'Ed25519' },
+    sign: { name: 'Ed25519' }
+  },
+  'ECDSA-P256': {
+    key: { name: 'ECDSA', namedCurve: 'P-256' },
+    sign: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+}
+
+export const SIGNING_ALGORITHMS = [...Object.keys(WEBCRYPTO_ALGORITHMS), 'secp256k1']
+
+/**
+ * Generate a signing key
+ * @param {string} algorithm - Ed25519, ECDSA-P256 or secp256k1
+ * @param {string} keyId - Key identifier
+ * @returns {Promise<Object>} Signing key ({ keyId, algorithm, privateKey, publicKey })
+ */
+export async function generateSigningKey(algorithm, keyId) {
+  if (algorithm === 'secp256k1') {
+    const privateKey = '0x' + bytesToHex(secp256k1.utils.randomPrivateKey())
+    return { keyId, algorithm, privateKey, publicKey: privateKeyToAddress(privateKey) }
+  }
+
+  const params = webCryptoParams(algorithm)
+  const keyPair = await crypto.subtle.generateKey(params.key, true, ['sign', 'verify'])
+
+  return {
+    keyId,
+    algorithm,
+    privateKey: keyPair.privateKey,
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey)
+  }
+}
+
+/**
+ * Sign a message with a signing key
+ * @param {Object} key - Signing key ({ algorithm, privateKey })
+ * @param {string} message - Message to sign (e.g., a proof hash)
+ * @returns {Promise<string>} Hex-encoded signature
+ */
+export async function signWithKey(key, message) {
+  if (key.algorithm === 'secp256k1') {
+    return signMessage(message, key.privateKey)
+  }
+
+  const params = webCryptoParams(key.algorithm)
+  const signature = await crypto.subtle.sign(params.sign, key.privateKey, utf8ToBytes(message))
+  return '0x' + bytesToHex(new Uint8Array(signature))
+}
+
+/**
+ * Verify a signature against a public key
+ * @param {Object} key - Public key ({ algorithm, publicKey })
+ * @param {string} message - Signed message
+ * @param {string} signature - Hex-encoded signature
+ * @returns {Promise<boolean>} Whether the signature is valid
+ */
+export async function verifyWithKey(key, message, signature) {
+  try {
+    if (key.algorithm === 'secp256k1') {
+      return verifyMessage(message, signature, key.publicKey)
+    }
+
+    const params = webCryptoParams(key.algorithm)
+    const publicKey = key.publicKey instanceof CryptoKey
+      ? key.publicKey
+      : await crypto.subtle.importKey('jwk', key.publicKey, params.key, true, ['verify'])
+
+    return await crypto.subtle.verify(
+      params.sign,
+      publicKey,
+      hexToBytes(signature.replace(/^0x/, '')),
+      utf8ToBytes(message)
+    )
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Look up WebCrypto parameters for an algorithm
+ * @param {string} algorithm - Signing algorithm
+ * @returns {Object} { key, sign } parameters
+ */
+function webCryptoParams(algorithm) {
+  const params = WEBCRYPTO_ALGORITHMS[algorithm]
+
+  if (!params) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`)
+  }
+
+  return params
+}
+
+export class KeyRing {
+  constructor(config = {}) {
+    this.keys = new Map()
+    this.activeKeyId = null
+
+    ;(config.keys || []).forEach(key => this.add(key))
+  }
+
+  /**
+   * Add a key; the private key is optional (verify-only rings)
+   * @param {Object} key - Key ({ keyId, algorithm, publicKey, privateKey, status })
+   */
+  add(key) {
+    if (!key.keyId || !SIGNING_ALGORITHMS.includes(key.algorithm) || !key.publicKey) {
+      throw new Error(`Invalid signing key: ${key.keyId}`)
+    }
+
+    this.keys.set(key.keyId, { status: 'active', ...key })
+
+    if (this.keys.get(key.keyId).status === 'active') {
+      this.activeKeyId = key.keyId
+    }
+  }
+
+  /**
+   * Make a new key active and retire the previous one
+   *
+   * Retired keys are no longer used for signing but stay resolvable, so
+   * proofs signed before the rotation still verify.
+   * @param {Object} key - New signing key
+   */
+  rotate(key) {
+    const previous = this.activeKeyId && this.keys.get(this.activeKeyId)
+
+    if (previous) {
+      previous.status = 'retired'
+      previous.retiredAt = Date.now()
+    }
+
+    this.add({ ...key, status: 'active' })
+  }
+
+  /**
+   * Revoke a key; proofs signed with it no longer verify
+   * @param {string} keyId - Key identifier
+   */
+  revoke(keyId) {
+    const key = this.keys.get(keyId)
+
+    if (key) {
+      key.status = 'revoked'
+      if (this.activeKeyId === keyId) this.activeKeyId = null
+    }
+  }
+
+  /**
+   * Get the active signing key
+   * @returns {Object|null} Signing key
+   */
+  getSigner() {
+    return this.activeKeyId ? this.keys.get(this.activeKeyId) : null
+  }
+
+  /**
+   * Resolve a key ID to its public key
+   * @param {string} keyId - Key identifier
+   * @returns {Promise<Object|null>} { keyId, algorithm, publicKey, status, retiredAt }, or null
+   */
+  async resolve(keyId) {
+    const key = this.keys.get(keyId)
+
+    if (!key || key.status === 'revoked') {
+      return null
+    }
+
+    const { privateKey, ...publicKey } = key
+    return publicKey
+  }
+
+  /**
+   * Export the public keys (e.g., to publish for customers)
+   * @returns {Array} Public keys
+   */
+  toJSON() {
+    return [...this.keys.values()].map(({ privateKey, ...publicKey }) => publicKey)
+  }
+}
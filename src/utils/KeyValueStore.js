@@ -0,0 +1,139 @@
+/**
+ * Key-Value Store Utility
+ * Small async key-value stores used to persist payment and job state
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * In-memory store; state is lost when the process exits
+ */
+export class MemoryKeyValueStore {
+  constructor(config = {}) {
+    this.data = new Map(Object.entries(config.initial || {}))
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value, or undefined
+   */
+  async get(key) {
+    return this.data.get(key)
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   */
+  async set(key, value) {
+    this.data.set(key, value)
+  }
+
+  /**
+   * Set several values in one write
+   * @param {Object} values - Map of key to value
+   */
+  async setMany(values) {
+    Object.entries(values).forEach(([key, value]) => this.data.set(key, value))
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key
+   */
+  async delete(key) {
+    this.data.delete(key)
+  }
+
+  /**
+   * List entries, optionally restricted to a key prefix
+   * @param {string} [prefix] - Key prefix
+   * @returns {Promise<Array>} [key, value] pairs
+   */
+  async entries(prefix = '') {
+    return [...this.data.entries()].filter(([key]) => key.startsWith(prefix))
+  }
+}
+
+/**
+ * File-backed store; the whole map is kept as one JSON file and rewritten
+ * atomically (write to a temp file, then rename) on every change
+ */
+export class FileKeyValueStore extends MemoryKeyValueStore {
+  constructor(config = {}) {
+    super()
+    if (!config.path) {
+      throw new Error('FileKeyValueStore requires a path')
+    }
+    this.path = config.path
+    this.loaded = null
+    this.writes = Promise.resolve()
+  }
+
+  async get(key) {
+    await this.load()
+    return super.get(key)
+  }
+
+  async set(key, value) {
+    await this.load()
+    await super.set(key, value)
+    await this.persist()
+  }
+
+  async setMany(values) {
+    await this.load()
+    await super.setMany(values)
+    await this.persist()
+  }
+
+  async delete(key) {
+    await this.load()
+    await super.delete(key)
+    await this.persist()
+  }
+
+  async entries(prefix = '') {
+    await this.load()
+    return super.entries(prefix)
+  }
+
+  /**
+   * Load the file into memory once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.path, 'utf8')
+        .then(contents => {
+          this.data = new Map(Object.entries(JSON.parse(contents)))
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            throw error
+          }
+        })
+    }
+    return this.loaded
+  }
+
+  /**
+   * Write the current state to disk, serialized behind earlier writes
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.data))
+
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const tempPath = `${this.path}.${process.pid}.tmp`
+      await fs.mkdir(path.dirname(this.path), { recursive: true })
+      await fs.writeFile(tempPath, snapshot)
+      await fs.rename(tempPath, this.path)
+    })
+
+    return this.writes
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Merkle Tree Utility
+ * Binary SHA-256 Merkle trees with inclusion proofs
+ *
+ * Leaves and inner nodes are hashed with distinct prefixes (0x00 / 0x01, as
+ * in RFC 6962) so a leaf can never be passed off as an inner node. An
+ * unpaired node at the end of a level is promoted unchanged instead of being
+ * duplicated.
+ */
+
+import { sha256 } from '@noble/hashes/sha2'
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils'
+
+export class MerkleTree {
+  /**
+   * @param {string[]} leaves - Hex-encoded leaf values (e.g., proof hashes)
+   */
+  constructor(leaves) {
+    if (!leaves || leaves.length === 0) {
+      throw new Error('Merkle tree requires at least one leaf')
+    }
+
+    this.leaves = [...leaves]
+    this.levels = [leaves.map(hashLeaf)]
+
+    while (this.levels[this.levels.length - 1].length > 1) {
+      const level = this.levels[this.levels.length - 1]
+      const next = []
+
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i])
+      }
+
+      this.levels.push(next)
+    }
+  }
+
+  /**
+   * Root hash of the tree
+   * @returns {string} Hex-encoded root
+   */
+  get root() {
+    return this.levels[this.levels.length - 1][0]
+  }
+
+  /**
+   * Build the inclusion proof for a leaf
+   * @param {number} index - Leaf index
+   * @returns {Array} Sibling hashes from leaf to root ({ position, hash })
+   */
+  getProof(index) {
+    if (index < 0 || index >= this.leaves.length) {
+      throw new Error(`Leaf index out of range: ${index}`)
+    }
+
+    const proof = []
+
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      const level = this.levels[depth]
+      const sibling = index % 2 === 0 ? index + 1 : index - 1
+
+      if (sibling < level.length) {
+        proof.push({
+          position: index % 2 === 0 ? 'right' : 'left',
+          hash: level[sibling]
+        })
+      }
+
+      index = Math.floor(index / 2)
+    }
+
+    return proof
+  }
+
+  /**
+   * Verify that a leaf is included under a root
+   * @param {string} leaf - Hex-encoded leaf value
+   * @param {Array} proof - Inclusion proof from getProof
+   * @param {string} root - Expected root
+   * @returns {boolean} Whether the proof is valid
+   */
+  static verify(leaf, proof, root) {
+    try {
+      const computed = proof.reduce(
+        (hash, step) => step.position === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash),
+        hashLeaf(leaf)
+      )
+      return computed === root
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+/**
+ * Hash a leaf value
+ * @param {string} leaf - Hex-encoded leaf value
+ * @returns {string} Hex-encoded leaf hash
+ */
+function hashLeaf(leaf) {
+  return bytesToHex(sha256(concatBytes(new Uint8Array([0]), hexToBytes(leaf))))
+}
+
+/**
+ * Hash two child nodes
+ * @param {string} left - Hex-encoded left child
+ * @param {string} right - Hex-encoded right child
+ * @returns {string} Hex-encoded parent hash
+ */
+function hashNode(left, right) {
+  return bytesToHex(sha256(concatBytes(new Uint8Array([1]), hexToBytes(left), hexToBytes(right))))
+}
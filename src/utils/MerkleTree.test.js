@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { sha256 } from '@noble/hashes/sha2'
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils'
+import { MerkleTree } from './MerkleTree.js'
+
+const leaf = i => bytesToHex(sha256(new Uint8Array([i])))
+
+describe('MerkleTree', () => {
+  it('hashes a single leaf with the leaf prefix', () => {
+    const tree = new MerkleTree([leaf(1)])
+    const expected = bytesToHex(sha256(new Uint8Array([0, ...hexToBytes(leaf(1))])))
+
+    assert.equal(tree.root, expected)
+    assert.deepEqual(tree.getProof(0), [])
+    assert.equal(MerkleTree.verify(leaf(1), [], tree.root), true)
+  })
+
+  it('proves every leaf of trees with odd and even sizes', () => {
+    for (const size of [2, 3, 5, 8]) {
+      const leaves = Array.from({ length: size }, (_, i) => leaf(i))
+      const tree = new MerkleTree(leaves)
+
+      leaves.forEach((value, index) => {
+        assert.equal(MerkleTree.verify(value, tree.getProof(index), tree.root), true, `size ${size}, leaf ${index}`)
+      })
+    }
+  })
+
+  it('rejects proofs for other leaves, roots or tampered siblings', () => {
+    const leaves = [leaf(0), leaf(1), leaf(2)]
+    const tree = new MerkleTree(leaves)
+    const proof = tree.getProof(1)
+    const tampered = proof.map((step, i) => i === 0 ? { ...step, hash: leaf(9) } : step)
+
+    assert.equal(MerkleTree.verify(leaf(2), proof, tree.root), false)
+    assert.equal(MerkleTree.verify(leaf(1), proof, new MerkleTree([leaf(9)]).root), false)
+    assert.equal(MerkleTree.verify(leaf(1), tampered, tree.root), false)
+    assert.equal(MerkleTree.verify('not hex', proof, tree.root), false)
+  })
+
+  it('does not accept an inner node as a leaf', () => {
+    const tree = new MerkleTree([leaf(0), leaf(1), leaf(2), leaf(3)])
+    const inner = tree.levels[1][0]
+
+    assert.equal(MerkleTree.verify(inner, tree.getProof(2).slice(1), tree.root), false)
+  })
+
+  it('rejects empty trees and out-of-range indexes', () => {
+    assert.throws(() => new MerkleTree([]), /at least one leaf/)
+    assert.throws(() => new MerkleTree([leaf(0)]).getProof(1), /out of range/)
+  })
+})
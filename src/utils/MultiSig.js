@@ -0,0 +1,128 @@
+/**
+ * Multi-Sig Utility
+ * m-of-n co-signer approvals for high-value payments
+ *
+ * Each co-signer signs a PaymentApproval (EIP-712) naming the payer, the
+ * nonce the payer puts in the payment's metadata, resource, payee, amount
+ * and asset, so approvals are collected before the payment is broadcast.
+ * The approvals travel together in the X-402-Signatures header as base64url
+ * JSON:
+ *
+ *   { "signatures": [{ "signer": "0x...", "signature": "0x..." }, ...] }
+ */
+
+import { recoverTypedDataAddress, isSameAddress, toChecksumAddress } from './EthCrypto.js'
+import { encodeJsonHeader, decodeJsonHeader } from './HeaderEncoding.js'
+import { buildApprovalTypedData } from '../interfaces/PaymentTypedData.js'
+
+/**
+ * Validate and normalize a signer set
+ * @param {Object} signerSet - Signer set ({ signers, threshold })
+ * @returns {Object} Signer set with checksummed addresses
+ */
+export function normalizeSignerSet({ signers, threshold }) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw new Error('Signer set requires at least one signer')
+  }
+
+  const unique = [...new Set(signers.map(signer => toChecksumAddress(signer)))]
+
+  if (unique.length !== signers.length) {
+    throw new Error('Signer set contains duplicate signers')
+  }
+
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > unique.length) {
+    throw new Error(`Signer set threshold must be between 1 and ${unique.length}`)
+  }
+
+  return { signers: unique, threshold }
+}
+
+/**
+ * Sign a payment approval as a co-signer
+ * @param {AgentWallet} wallet - Co-signer wallet
+ * @param {Object} approval - Approval ({ payer, nonce, resource, payTo, amount, asset })
+ * @returns {Promise<Object>} { signer, signature }
+ */
+export async function signApproval(wallet, approval) {
+  return {
+    signer: wallet.address,
+    signature: await wallet.signTypedData(buildApprovalTypedData(approval, wallet.network))
+  }
+}
+
+/**
+ * Check co-signer approvals against a signer set
+ *
+ * Every signature must recover to the signer it names, every signer must be
+ * in the set, and no signer may appear twice.
+ * @param {Object} approval - Approval the signatures must cover
+ * @param {Array} signatures - Signatures ({ signer, signature })
+ * @param {Object} signerSet - Normalized signer set ({ signers, threshold })
+ * @param {string} network - Network name
+ * @returns {Object} { valid, approvedBy, threshold, reason }
+ */
+export function verifyApprovals(approval, signatures, signerSet, network) {
+  const typedData = buildApprovalTypedData(approval, network)
+  const approvedBy = []
+
+  for (const entry of signatures) {
+    let signer
+    try {
+      signer = toChecksumAddress(recoverTypedDataAddress(typedData, entry.signature))
+    } catch (error) {
+      return { valid: false, reason: 'Invalid co-signer signature', approvedBy }
+    }
+
+    if (entry.signer && !isSameAddress(signer, entry.signer)) {
+      return { valid: false, reason: 'Co-signer signature does not match its signer', signer: entry.signer, approvedBy }
+    }
+
+    if (!signerSet.signers.includes(signer)) {
+      return { valid: false, reason: 'Unknown co-signer', signer, approvedBy }
+    }
+
+    if (approvedBy.includes(signer)) {
+      return { valid: false, reason: 'Duplicate co-signer', signer, approvedBy }
+    }
+
+    approvedBy.push(signer)
+  }
+
+  if (approvedBy.length < signerSet.threshold) {
+    return {
+      valid: false,
+      reason: `Multi-sig requires ${signerSet.threshold} of ${signerSet.signers.length} signatures`,
+      approvedBy,
+      threshold: signerSet.threshold
+    }
+  }
+
+  return { valid: true, approvedBy, threshold: signerSet.threshold }
+}
+
+/**
+ * Encode co-signer approvals for the X-402-Signatures header
+ * @param {Array} signatures - Signatures ({ signer, signature })
+ * @returns {string} Header value
+ */
+export function encodeSignaturesHeader(signatures) {
+  return encodeJsonHeader({
+    signatures: signatures.map(({ signer, signature }) => ({ signer, signature }))
+  })
+}
+
+/**
+ * Decode an X-402-Signatures header
+ * @param {string} header - Header value
+ * @returns {Array|null} Signatures, or null if the header is malformed
+ */
+export function decodeSignaturesHeader(header) {
+  const payload = decodeJsonHeader(header)
+
+  if (!Array.isArray(payload?.signatures) || payload.signatures.some(entry => typeof entry?.signature !== 'string')) {
+    return null
+  }
+
+  return payload.signatures
+}
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  normalizeSignerSet,
+  signApproval,
+  verifyApprovals,
+  encodeSignaturesHeader,
+  decodeSignaturesHeader
+} from './MultiSig.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+
+const [ALICE, BOB, CAROL, MALLORY] = ['11', '22', '33', '44']
+  .map(byte => new AgentWallet({ privateKey: '0x' + byte.repeat(32) }))
+
+const APPROVAL = {
+  payer: '0x' + 'a1'.repeat(20),
+  nonce: 'n-1',
+  resource: '/wire',
+  payTo: '0x000000000000000000000000000000000000dEaD',
+  amount: '250',
+  asset: 'USDC'
+}
+
+const SIGNER_SET = normalizeSignerSet({
+  signers: [ALICE, BOB, CAROL].map(wallet => wallet.address.toLowerCase()),
+  threshold: 2
+})
+
+const sign = (wallets, approval = APPROVAL) => Promise.all(wallets.map(wallet => signApproval(wallet, approval)))
+
+describe('MultiSig', () => {
+  it('accepts m of n approvals from the signer set', async () => {
+    const result = verifyApprovals(APPROVAL, await sign([CAROL, ALICE]), SIGNER_SET, 'mainnet')
+
+    assert.deepEqual(result, { valid: true, approvedBy: [CAROL.address, ALICE.address], threshold: 2 })
+  })
+
+  it('rejects too few, duplicate and outside approvals', async () => {
+    const [alice] = await sign([ALICE])
+    const [mallory] = await sign([MALLORY])
+
+    assert.equal(verifyApprovals(APPROVAL, [alice], SIGNER_SET, 'mainnet').reason, 'Multi-sig requires 2 of 3 signatures')
+    assert.equal(verifyApprovals(APPROVAL, [alice, alice], SIGNER_SET, 'mainnet').reason, 'Duplicate co-signer')
+    assert.equal(verifyApprovals(APPROVAL, [alice, mallory], SIGNER_SET, 'mainnet').reason, 'Unknown co-signer')
+    assert.equal(
+      verifyApprovals(APPROVAL, [alice, { ...mallory, signer: BOB.address }], SIGNER_SET, 'mainnet').reason,
+      'Co-signer signature does not match its signer'
+    )
+    assert.equal(verifyApprovals(APPROVAL, [alice, { signature: '0x00' }], SIGNER_SET, 'mainnet').reason, 'Invalid co-signer signature')
+  })
+
+  it('binds approvals to the payment terms, nonce and network', async () => {
+    const signatures = await sign([ALICE, BOB])
+
+    for (const change of [{ amount: '2500' }, { payTo: APPROVAL.payer }, { nonce: 'n-2' }, { payer: APPROVAL.payTo }]) {
+      assert.equal(verifyApprovals({ ...APPROVAL, ...change }, signatures, SIGNER_SET, 'mainnet').valid, false)
+    }
+    assert.equal(verifyApprovals(APPROVAL, signatures, SIGNER_SET, 'sepolia').valid, false)
+  })
+
+  it('validates signer sets', () => {
+    assert.throws(() => normalizeSignerSet({ signers: [], threshold: 1 }), /at least one signer/)
+    assert.throws(() => normalizeSignerSet({ signers: [ALICE.address, ALICE.address.toLowerCase()], threshold: 1 }), /duplicate/)
+    assert.throws(() => normalizeSignerSet({ signers: [ALICE.address], threshold: 2 }), /between 1 and 1/)
+  })
+
+  it('round-trips approvals through the X-402-Signatures header', async () => {
+    const signatures = await sign([ALICE, BOB])
+
+    assert.deepEqual(decodeSignaturesHeader(encodeSignaturesHeader(signatures)), signatures)
+    assert.equal(decodeSignaturesHeader('bm9wZQ'), null)
+  })
+})
@@ -0,0 +1,225 @@
+/**
+ * Payment Middleware
+ * Mounts BridgeLayer payment verification in Node HTTP and Express servers
+ */
+
+import { BridgeLayer } from './BridgeLayer.js'
+import { compareAmounts } from './Amount.js'
+
+/**
+ * Create a connect/Express-compatible x402 middleware
+ * @param {Object} options - Middleware options
+ * @param {Object} options.prices - Price table keyed by "METHOD /path" or "/path"
+ *   (a trailing "*" matches any path with that prefix). Values are either a
+ *   price string ("0.5 USDC") or { amount, asset, to, description }
+ * @param {string} options.payTo - Default recipient address for payments
+ * @param {BridgeLayer} [options.bridge] - Bridge layer used for verification
+ * @param {Object} [options.chain] - Chain backend for the default bridge layer
+ * @param {Object} [options.spentPayments] - Spent payment store for the default bridge layer
+ * @param {PriceQuoter} [options.quoter] - Quoter for the default bridge layer; 402 responses then carry signed quotes
+ * @param {AgentWallet} [options.wallet] - Wallet the default bridge layer settles from
+ * @param {string} [options.network] - Network payments must settle on
+ * @param {number} [options.ttl] - Validity of issued payment requirements in ms
+ * @param {boolean} [options.settle] - Whether to queue verified payments for batched settlement
+ *   (default: when the bridge has a wallet to settle from); req.x402.settlement is then a ticket whose
+ *   settled promise resolves once the batch confirms
+ * @returns {Function} Middleware with (req, res, next) signature
+ * @throws {Error} If settlement is requested without a wallet to settle from
+ */
+export function createPaymentMiddleware(options = {}) {
+  const {
+    prices = {},
+    payTo,
+    bridge = new BridgeLayer({
+      network: options.network,
+      chain: options.chain,
+      spentPayments: options.spentPayments,
+      quoter: options.quoter,
+      wallet: options.wallet
+    }),
+    network = bridge.network,
+    ttl = 30000,
+    settle = Boolean(bridge.wallet)
+  } = options
+
+  // Without a wallet every settlement would fail, be retried and be abandoned
+  if (settle && !bridge.wallet) {
+    throw new Error('Settlement requires a bridge layer with a wallet; pass settle: false to skip it')
+  }
+
+  return async function paymentMiddleware(req, res, next) {
+    try {
+      const path = (req.originalUrl || req.url || '/').split('?')[0]
+      const price = findRoutePrice(prices, req.method, path)
+
+      // Unpriced routes are free
+      if (!price) {
+        return next()
+      }
+
+      const requirements = {
+        amount: price.amount,
+        asset: price.asset,
+        to: price.to || payTo,
+        network,
+        deadline: Date.now() + ttl,
+        resource: path,
+        description: price.description
+      }
+
+      // Tell clients up front which co-signers a payment here needs
+      const signerSet = bridge.getSignerSet?.(path, requirements.to)
+      if (signerSet) {
+        requirements.multiSig = signerSet
+      }
+
+      const challenge = (reason) => sendPaymentRequired(res, withQuote(bridge.quoter, requirements, ttl), reason)
+
+      if (!bridge.getHeader(req, 'X-402-Payment')) {
+        return challenge('Payment required')
+      }
+
+      const verification = await bridge.verifyRequest(req, {
+        to: requirements.to,
+        resource: requirements.resource,
+        amount: requirements.amount,
+        asset: requirements.asset
+      })
+
+      if (!verification.valid) {
+        return challenge(verification.reason)
+      }
+
+      const { payment } = verification
+
+      if (
+        payment.asset !== requirements.asset ||
+        compareAmounts(payment.amount, requirements.amount, requirements.asset) < 0
+      ) {
+        return challenge('Insufficient payment')
+      }
+
+      // Channel vouchers settle when the channel closes, not per request;
+      // other payments join a settlement batch without holding up the response
+      const settlement = settle && !payment.channelId
+        ? await bridge.queueSettlement({ ...payment, to: requirements.to })
+        : null
+
+      req.x402 = {
+        payment,
+        verification,
+        settlement,
+        requirements
+      }
+
+      return next()
+    } catch (error) {
+      return next(error)
+    }
+  }
+}
+
+/**
+ * Wrap a plain Node http handler with x402 payment enforcement
+ * @param {Function} handler - Request handler with (req, res) signature
+ * @param {Object} options - Middleware options (see createPaymentMiddleware)
+ * @returns {Function} Request handler with (req, res) signature
+ */
+export function createPaymentHandler(handler, options = {}) {
+  const middleware = createPaymentMiddleware(options)
+
+  return (req, res) => middleware(req, res, (error) => {
+    if (error) {
+      console.error('Payment middleware failed:', error)
+      return sendJson(res, 500, { error: 'Internal server error' })
+    }
+
+    return handler(req, res)
+  })
+}
+
+/**
+ * Find the price for a request in a route price table
+ * @param {Object} prices - Price table
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ * @returns {Object|null} Normalized price ({ amount, asset, to, description })
+ */
+function findRoutePrice(prices, method, path) {
+  const candidates = [`${method} ${path}`, path]
+
+  let spec = candidates.map(key => prices[key]).find(Boolean)
+
+  if (!spec) {
+    const prefix = Object.keys(prices).find(key => {
+      if (!key.endsWith('*')) return false
+      const pattern = key.slice(0, -1)
+      return `${method} ${path}`.startsWith(pattern) || path.startsWith(pattern)
+    })
+    spec = prefix ? prices[prefix] : null
+  }
+
+  if (!spec) {
+    return null
+  }
+
+  if (typeof spec === 'string') {
+    const [amount, asset] = spec.split(' ')
+    return { amount, asset: asset || 'USDC' }
+  }
+
+  return {
+    ...spec,
+    amount: String(spec.amount),
+    asset: spec.asset || 'USDC'
+  }
+}
+
+/**
+ * Attach a freshly signed quote to payment requirements
+ * @param {PriceQuoter} [quoter] - Price quoter
+ * @param {Object} requirements - Payment requirements
+ * @param {number} ttl - Quote validity in ms
+ * @returns {Object} Requirements with quote (unchanged without a quoter)
+ */
+function withQuote(quoter, requirements, ttl) {
+  if (!quoter) {
+    return requirements
+  }
+
+  const quote = quoter.issue({
+    amount: requirements.amount,
+    asset: requirements.asset,
+    resource: requirements.resource,
+    payTo: requirements.to,
+    ttl
+  })
+
+  return { ...requirements, deadline: quote.expiresAt, quote }
+}
+
+/**
+ * Answer with a 402 Payment Required body listing payment requirements
+ * @param {Object} res - HTTP response object
+ * @param {Object} requirements - Payment requirements
+ * @param {string} reason - Why payment is required
+ */
+function sendPaymentRequired(res, requirements, reason) {
+  sendJson(res, 402, {
+    x402Version: 1,
+    error: reason,
+    accepts: [requirements]
+  })
+}
+
+/**
+ * Write a JSON response
+ * @param {Object} res - HTTP response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { createPaymentHandler, createPaymentMiddleware } from './PaymentMiddleware.js'
+import { InMemoryLedger } from './InMemoryLedger.js'
+import { PriceQuoter } from './PriceQuoter.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+import { x402Client } from '../sdk/x402Client.js'
+
+const PAY_TO = '0x000000000000000000000000000000000000dEaD'
+
+const PRICES = {
+  'GET /report': '0.5 USDC',
+  '/premium/*': { amount: 2, description: 'Premium data' }
+}
+
+/**
+ * Answer a paid request with the amount paid
+ */
+function respond(req, res) {
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify({ paid: req.x402?.payment?.amount ?? null }))
+}
+
+describe('PaymentMiddleware', () => {
+  let server
+  let baseURL
+  let handler
+  let chain
+  let client
+
+  const serve = (options = {}) => {
+    handler = createPaymentHandler(respond, { prices: PRICES, payTo: PAY_TO, chain, ...options })
+  }
+
+  before(async () => {
+    server = createServer((req, res) => handler(req, res))
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseURL = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  beforeEach(() => {
+    chain = new InMemoryLedger()
+    const wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain, pollInterval: 1 })
+    chain.fund(wallet.address, '10')
+    client = new x402Client({ baseURL, wallet })
+    serve()
+  })
+
+  it('lets free routes through and challenges priced ones with their requirements', async () => {
+    assert.deepEqual(await (await fetch(`${baseURL}/health`)).json(), { paid: null })
+
+    const response = await fetch(`${baseURL}/premium/feed?x=1`)
+    const body = await response.json()
+
+    assert.equal(response.status, 402)
+    assert.equal(body.error, 'Payment required')
+    assert.deepEqual(
+      [body.accepts[0].amount, body.accepts[0].asset, body.accepts[0].to, body.accepts[0].resource, body.accepts[0].description],
+      ['2', 'USDC', PAY_TO, '/premium/feed', 'Premium data']
+    )
+  })
+
+  it('serves a request once its payment verifies, and only once per payment', async () => {
+    const response = await client.fetch(`${baseURL}/report`)
+    assert.equal(response.status, 200)
+    assert.deepEqual(await response.json(), { paid: '0.5' })
+
+    const [txHash] = chain.transactions.keys()
+    const replay = await fetch(`${baseURL}/report`, {
+      headers: { 'X-402-Payment': '0.5 USDC', 'X-402-Transaction': txHash }
+    })
+    assert.equal(replay.status, 402)
+    assert.equal((await replay.json()).error, 'Payment already consumed')
+  })
+
+  it('answers malformed payment headers with 402, not 500', async () => {
+    const response = await fetch(`${baseURL}/report`, {
+      headers: { 'X-402-Payment': 'lots of money', 'X-402-Transaction': 'not-a-hash' }
+    })
+
+    assert.equal(response.status, 402)
+  })
+
+  it('issues signed quotes and accepts payments that echo them', async () => {
+    serve({ quoter: new PriceQuoter({ privateKey: '0x' + '33'.repeat(32) }) })
+
+    const challenge = await (await fetch(`${baseURL}/report`)).json()
+    assert.equal(challenge.accepts[0].quote.amount, '0.5')
+    assert.equal(challenge.accepts[0].deadline, challenge.accepts[0].quote.expiresAt)
+
+    assert.equal((await client.fetch(`${baseURL}/report`)).status, 200)
+  })
+
+  it('only settles by default when the bridge has a wallet', () => {
+    assert.doesNotThrow(() => createPaymentMiddleware({ prices: PRICES, payTo: PAY_TO, chain }))
+    assert.throws(
+      () => createPaymentMiddleware({ prices: PRICES, payTo: PAY_TO, chain, settle: true }),
+      /requires a bridge layer with a wallet/
+    )
+  })
+})
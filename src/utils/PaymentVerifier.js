@@ -3,11 +3,29 @@
  * Verifies on-chain payments and validates payment receipts
  */
 
+import { verifyTypedData } from './EthCrypto.js'
+import { compareAmounts } from './Amount.js'
+import { buildPaymentTypedData } from '../interfaces/PaymentTypedData.js'
+import { requireChain } from '../interfaces/ChainBackend.js'
+import { SpentPaymentStore } from './SpentPaymentStore.js'
+import { MemoryKeyValueStore } from './KeyValueStore.js'
+
 export class PaymentVerifier {
+  /**
+   * @param {Object} config - Verifier configuration
+   * @param {SpentPaymentStore|false} [config.spentPayments] - Consumed payment store (default: in memory);
+   *   pass false to verify without replay protection
+   */
   constructor(config = {}) {
     this.network = config.network || 'mainnet'
     this.rpcUrl = config.rpcUrl
     this.provider = config.provider
+    this.chain = config.chain
+    this.minConfirmations = config.minConfirmations || 1
+    this.spentPayments = config.spentPayments === false
+      ? null
+      : config.spentPayments || new SpentPaymentStore({ store: new MemoryKeyValueStore() })
+    this.maxPaymentAge = config.maxPaymentAge || 300000 // 5 minutes
     this.timeout = config.timeout || 60000
   }
 
@@ -17,11 +35,24 @@ export class PaymentVerifier {
    * @param {string} options.txHash - Transaction hash
    * @param {string} options.expectedAmount - Expected payment amount
    * @param {string} options.expectedAsset - Expected asset (USDC, etc.)
+   * @param {string} [options.expectedRecipient] - Expected recipient address
+   * @param {string} [options.resource] - Resource or job the payment unlocks
+   * @param {string} [options.expectedQuote] - Nonce of the price quote the payment must reference
+   * @param {boolean} [options.consume] - Mark the payment as spent (default: true)
+   * @param {number} [options.maxAge] - Maximum payment age in ms
    * @param {number} options.timeout - Verification timeout in ms
    * @returns {Promise<Object>} Verification receipt
    */
   async verify(options) {
-    const { txHash, expectedAmount, expectedAsset, timeout } = options
+    const {
+      txHash,
+      expectedAmount,
+      expectedAsset,
+      expectedRecipient,
+      consume = true,
+      maxAge = this.maxPaymentAge,
+      timeout
+    } = options
     
     try {
       const receipt = await this.fetchTransactionReceipt(txHash)
@@ -34,8 +65,18 @@ export class PaymentVerifier {
         }
       }
 
-      // Validate amount
-      if (receipt.amount !== expectedAmount) {
+      // Validate asset
+      if (receipt.asset !== expectedAsset) {
+        return {
+          valid: false,
+          reason: 'Asset mismatch',
+          expected: expectedAsset,
+          received: receipt.asset
+        }
+      }
+
+      // Validate amount in base units ('0.50' equals '0.5')
+      if (compareAmounts(receipt.amount, expectedAmount, expectedAsset) !== 0) {
         return {
           valid: false,
           reason: 'Amount mismatch',
@@ -44,13 +85,13 @@ export class PaymentVerifier {
         }
       }
 
-      // Validate asset
-      if (receipt.asset !== expectedAsset) {
+      // Validate recipient
+      if (expectedRecipient && receipt.to.toLowerCase() !== expectedRecipient.toLowerCase()) {
         return {
           valid: false,
-          reason: 'Asset mismatch',
-          expected: expectedAsset,
-          received: receipt.asset
+          reason: 'Recipient mismatch',
+          expected: expectedRecipient,
+          received: receipt.to
         }
       }
 
@@ -58,11 +99,19 @@ export class PaymentVerifier {
       if (receipt.status !== 'confirmed') {
         return {
           valid: false,
-          reason: 'Transaction not confirmed',
+          reason: receipt.status === 'failed' ? 'Transaction failed' : 'Transaction not confirmed',
           status: receipt.status
         }
       }
 
+      if (receipt.confirmations < this.minConfirmations) {
+        return {
+          valid: false,
+          reason: 'Insufficient confirmations',
+          confirmations: receipt.confirmations
+        }
+      }
+
       // Check expiration (if applicable)
       if (receipt.expiresAt && Date.now() > receipt.expiresAt) {
         return {
@@ -72,7 +121,39 @@ export class PaymentVerifier {
         }
       }
 
-      return {
+      // Check payment age
+      if (!this.isWithinTimeWindow(receipt, maxAge)) {
+        return {
+          valid: false,
+          reason: 'Payment outside time window',
+          timestamp: paymentTime(receipt)
+        }
+      }
+
+      // Check the payment is bound to the requested resource
+      const resource = options.resource || receipt.metadata?.jobId
+      const boundResource = receipt.metadata?.resource
+
+      if (options.resource && boundResource && boundResource !== options.resource) {
+        return {
+          valid: false,
+          reason: 'Resource mismatch',
+          expected: options.resource,
+          received: boundResource
+        }
+      }
+
+      // Check the payment was made against the presented quote
+      if (options.expectedQuote && receipt.metadata?.quote !== options.expectedQuote) {
+        return {
+          valid: false,
+          reason: 'Payment is not bound to quote',
+          expected: options.expectedQuote,
+          received: receipt.metadata?.quote
+        }
+      }
+
+      const verified = {
         valid: true,
         txHash,
         amount: receipt.amount,
@@ -80,10 +161,14 @@ export class PaymentVerifier {
         from: receipt.from,
         to: receipt.to,
         blockNumber: receipt.blockNumber,
-        service: receipt.service,
+        timestamp: receipt.timestamp,
+        service: receipt.metadata?.service,
         metadata: receipt.metadata,
-        jobId: receipt.jobId
+        jobId: receipt.metadata?.jobId
       }
+
+      // Consume the payment so it cannot be replayed
+      return consume ? await this.consume(verified, resource) : verified
     } catch (error) {
       return {
         valid: false,
@@ -93,37 +178,63 @@ export class PaymentVerifier {
     }
   }
 
+  /**
+   * Mark a verified payment as spent
+   *
+   * Callers that verify with consume: false use this once their own checks
+   * pass, so a request they reject does not burn the payment.
+   * @param {Object} verified - Valid result of verify
+   * @param {string} [resource] - Resource or job the payment is consumed for (default: its jobId)
+   * @returns {Promise<Object>} The same result, or { valid: false, reason } if it was already consumed
+   */
+  async consume(verified, resource) {
+    if (!this.spentPayments) {
+      return verified
+    }
+
+    const consumption = await this.spentPayments.consume({
+      txHash: verified.txHash,
+      resource: resource || verified.jobId,
+      from: verified.from,
+      nonce: verified.metadata?.nonce
+    })
+
+    if (!consumption.consumed) {
+      return {
+        valid: false,
+        reason: consumption.reason,
+        txHash: verified.txHash,
+        consumedBy: consumption.record?.resource
+      }
+    }
+
+    return verified
+  }
+
   /**
    * Fetch transaction receipt from blockchain
    * @param {string} txHash - Transaction hash
-   * @returns {Promise<Object>} Transaction receipt
+   * @returns {Promise<Object|null>} Transaction receipt
    */
   async fetchTransactionReceipt(txHash) {
-    // Implementation would query blockchain via RPC
-    // This is a placeholder
-    return {
-      txHash,
-      amount: '0.5',
-      asset: 'USDC',
-      from: '0x...',
-      to: '0x...',
-      status: 'confirmed',
-      blockNumber: 12345678,
-      service: 'datafeed',
-      metadata: {},
-      jobId: null
-    }
+    return requireChain(this.chain).getTransactionReceipt(txHash)
   }
 
   /**
    * Verify payment signature
+   *
+   * Recovers the EIP-712 payment signer and checks it matches payment.from.
    * @param {Object} payment - Payment object
    * @param {string} signature - Payment signature
    * @returns {boolean} Signature validity
    */
   verifySignature(payment, signature) {
-    // Implementation would verify cryptographic signature
-    return true
+    if (!signature || !payment.from) {
+      return false
+    }
+
+    const typedData = buildPaymentTypedData(payment, this.network)
+    return verifyTypedData(typedData, signature, payment.from)
   }
 
   /**
@@ -133,9 +244,18 @@ export class PaymentVerifier {
    * @returns {boolean} Whether payment is within window
    */
   isWithinTimeWindow(receipt, windowMs = 300000) {
-    const receiptTime = receipt.timestamp || receipt.blockTime
+    const receiptTime = paymentTime(receipt)
     const now = Date.now()
     return (now - receiptTime) < windowMs
   }
 }
 
+/**
+ * When a payment was made: the block time when the chain reports one, since
+ * the timestamp in the transaction is whatever the payer signed
+ * @param {Object} receipt - Payment receipt
+ * @returns {number} Timestamp
+ */
+function paymentTime(receipt) {
+  return receipt.blockTime ?? receipt.timestamp
+}
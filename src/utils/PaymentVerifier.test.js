@@ -0,0 +1,116 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { PaymentVerifier } from './PaymentVerifier.js'
+import { InMemoryLedger } from './InMemoryLedger.js'
+import { AgentWallet } from '../sdk/AgentWallet.js'
+
+const PAYEE = '0x000000000000000000000000000000000000dEaD'
+
+describe('PaymentVerifier', () => {
+  let chain
+  let wallet
+  let verifier
+
+  beforeEach(() => {
+    chain = new InMemoryLedger()
+    wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain })
+    chain.fund(wallet.address, '100')
+    verifier = new PaymentVerifier({ chain })
+  })
+
+  const pay = (fields = {}) => wallet.pay({ to: PAYEE, amount: '1.5', asset: 'USDC', ...fields })
+
+  const verify = (txHash, options = {}) => verifier.verify({
+    txHash,
+    expectedAmount: '1.5',
+    expectedAsset: 'USDC',
+    expectedRecipient: PAYEE,
+    ...options
+  })
+
+  it('accepts a confirmed payment with the expected terms', async () => {
+    const tx = await pay()
+    const result = await verify(tx.hash, { resource: '/report' })
+
+    assert.equal(result.valid, true)
+    assert.equal(result.from, wallet.address)
+    assert.equal(result.amount, '1.5')
+  })
+
+  it('rejects a payment with the wrong amount, asset or recipient', async () => {
+    const tx = await pay()
+
+    assert.equal((await verify(tx.hash, { expectedAmount: '2' })).reason, 'Amount mismatch')
+    assert.equal((await verify(tx.hash, { expectedAsset: 'DAI' })).reason, 'Asset mismatch')
+    assert.equal((await verify(tx.hash, { expectedRecipient: wallet.address })).reason, 'Recipient mismatch')
+    assert.equal((await verify('0x' + '00'.repeat(32))).reason, 'Transaction not found')
+  })
+
+  it('consumes a payment so it cannot be replayed', async () => {
+    const tx = await pay()
+
+    assert.equal((await verify(tx.hash, { resource: '/a' })).valid, true)
+
+    const replay = await verify(tx.hash, { resource: '/b' })
+    assert.equal(replay.valid, false)
+    assert.equal(replay.reason, 'Payment already consumed')
+    assert.equal(replay.consumedBy, '/a')
+  })
+
+  it('lets only one of two concurrent verifications consume a payment', async () => {
+    const tx = await pay()
+    const results = await Promise.all([verify(tx.hash), verify(tx.hash)])
+
+    assert.deepEqual(results.map(result => result.valid).sort(), [false, true])
+  })
+
+  it('rejects a second payment reusing a payer nonce', async () => {
+    const first = await pay({ metadata: { nonce: '7' } })
+    const second = await pay({ metadata: { nonce: '7' } })
+
+    assert.equal((await verify(first.hash)).valid, true)
+    assert.equal((await verify(second.hash)).reason, 'Nonce already used')
+  })
+
+  it('rejects a payment bound to another resource', async () => {
+    const tx = await pay({ metadata: { resource: '/a' } })
+    const result = await verify(tx.hash, { resource: '/b' })
+
+    assert.equal(result.valid, false)
+    assert.equal(result.reason, 'Resource mismatch')
+  })
+
+  it('only consumes on request when consume is false', async () => {
+    const tx = await pay()
+    const checked = await verify(tx.hash, { consume: false })
+
+    assert.equal(checked.valid, true)
+    assert.equal((await verify(tx.hash, { consume: false })).valid, true)
+    assert.equal((await verifier.consume(checked, '/a')).valid, true)
+    assert.equal((await verifier.consume(checked, '/a')).reason, 'Payment already consumed')
+  })
+
+  it('ages payments by block time rather than the signed timestamp', async () => {
+    let now = Date.now() - 10 * 60 * 1000
+    chain = new InMemoryLedger({ clock: () => now })
+    wallet = new AgentWallet({ privateKey: '0x' + '11'.repeat(32), chain })
+    chain.fund(wallet.address, '100')
+    verifier = new PaymentVerifier({ chain })
+
+    // Signed just now, but mined ten minutes ago
+    const tx = await pay()
+    now = Date.now()
+
+    const result = await verify(tx.hash)
+    assert.equal(result.valid, false)
+    assert.equal(result.reason, 'Payment outside time window')
+  })
+
+  it('skips replay protection only when disabled explicitly', async () => {
+    verifier = new PaymentVerifier({ chain, spentPayments: false })
+    const tx = await pay()
+
+    assert.equal((await verify(tx.hash)).valid, true)
+    assert.equal((await verify(tx.hash)).valid, true)
+  })
+})
@@ -0,0 +1,160 @@
+/**
+ * Price Quoter Utility
+ * Issues signed, expiring price quotes and checks them when they come back with a payment
+ *
+ * A quote fixes the price, asset, resource and payee of one request. It is
+ * signed as EIP-712 typed data by the server's key and can be redeemed once.
+ */
+
+import { signTypedData, recoverTypedDataAddress, privateKeyToAddress, isSameAddress } from './EthCrypto.js'
+import { normalizeAmount } from './Amount.js'
+import { encodeJsonHeader, decodeJsonHeader } from './HeaderEncoding.js'
+import { MemoryKeyValueStore, FileKeyValueStore } from './KeyValueStore.js'
+import { buildQuoteTypedData } from '../interfaces/PaymentTypedData.js'
+
+export class PriceQuoter {
+  /**
+   * @param {Object} config - Quoter configuration
+   * @param {string} config.privateKey - Key quotes are signed with
+   * @param {string} [config.network] - Network name (part of the signing domain)
+   * @param {number} [config.ttl] - Quote validity in ms (default: 30s)
+   * @param {Object} [config.store] - Store for redeemed quote nonces
+   * @param {string} [config.path] - File path for a file-backed nonce store
+   */
+  constructor(config = {}) {
+    if (!config.privateKey) {
+      throw new Error('PriceQuoter requires a private key')
+    }
+
+    this.privateKey = config.privateKey
+    this.issuer = privateKeyToAddress(config.privateKey)
+    this.network = config.network || 'mainnet'
+    this.ttl = config.ttl || 30000
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.clock = config.clock || (() => Date.now())
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Issue a signed quote
+   * @param {Object} terms - Quoted terms
+   * @param {string} terms.amount - Price
+   * @param {string} [terms.asset] - Asset type (default: USDC)
+   * @param {string} terms.resource - Resource the quote is for
+   * @param {string} terms.payTo - Payee address
+   * @param {number} [terms.ttl] - Validity in ms (default: the quoter's)
+   * @returns {Object} Quote ({ amount, asset, resource, payTo, expiresAt, nonce, issuer, signature })
+   */
+  issue({ amount, asset = 'USDC', resource, payTo, ttl = this.ttl }) {
+    const quote = {
+      amount: normalizeAmount(amount, asset),
+      asset,
+      resource,
+      payTo,
+      expiresAt: this.clock() + ttl,
+      nonce: crypto.randomUUID()
+    }
+
+    return {
+      ...quote,
+      issuer: this.issuer,
+      signature: signTypedData(buildQuoteTypedData(quote, this.network), this.privateKey)
+    }
+  }
+
+  /**
+   * Check a quote without redeeming it
+   * @param {Object} quote - Quote echoed by the client
+   * @param {Object} [expected] - Request the quote is presented for
+   * @param {string} [expected.resource] - Requested resource
+   * @param {string} [expected.payTo] - Payee the payment went to
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async verify(quote, expected = {}) {
+    if (!quote || !quote.signature || !quote.nonce) {
+      return { valid: false, reason: 'Malformed quote' }
+    }
+
+    let signer
+    try {
+      signer = recoverTypedDataAddress(buildQuoteTypedData(quote, this.network), quote.signature)
+    } catch (error) {
+      return { valid: false, reason: 'Invalid quote signature' }
+    }
+
+    if (!isSameAddress(signer, this.issuer)) {
+      return { valid: false, reason: 'Invalid quote signature' }
+    }
+
+    if (this.clock() > quote.expiresAt) {
+      return { valid: false, reason: 'Quote expired', expiresAt: quote.expiresAt }
+    }
+
+    if (expected.resource && quote.resource !== expected.resource) {
+      return { valid: false, reason: 'Quote is for a different resource', expected: expected.resource, received: quote.resource }
+    }
+
+    if (expected.payTo && !isSameAddress(quote.payTo, expected.payTo)) {
+      return { valid: false, reason: 'Quote is for a different payee' }
+    }
+
+    if (await this.store.get(nonceKey(quote.nonce))) {
+      return { valid: false, reason: 'Quote already used' }
+    }
+
+    return { valid: true }
+  }
+
+  /**
+   * Redeem a quote so it cannot be used again
+   * @param {Object} quote - Verified quote
+   * @param {Object} [redemption] - Details to record (e.g., { txHash, from })
+   * @returns {Promise<Object>} { valid } or { valid: false, reason: 'Quote already used' }
+   */
+  redeem(quote, redemption = {}) {
+    const run = this.queue.then(async () => {
+      if (await this.store.get(nonceKey(quote.nonce))) {
+        return { valid: false, reason: 'Quote already used' }
+      }
+
+      await this.store.set(nonceKey(quote.nonce), {
+        ...redemption,
+        resource: quote.resource,
+        redeemedAt: this.clock()
+      })
+      return { valid: true }
+    })
+    this.queue = run.catch(() => {})
+    return run
+  }
+}
+
+/**
+ * Encode a quote for the X-402-Quote header
+ * @param {Object} quote - Signed quote
+ * @returns {string} Header value
+ */
+export function encodeQuoteHeader(quote) {
+  return encodeJsonHeader(quote)
+}
+
+/**
+ * Decode an X-402-Quote header
+ * @param {string} header - Header value
+ * @returns {Object|null} Quote, or null if the header is malformed
+ */
+export function decodeQuoteHeader(header) {
+  const quote = decodeJsonHeader(header)
+  return quote && typeof quote === 'object' ? quote : null
+}
+
+/**
+ * Build the store key for a redeemed quote
+ * @param {string} nonce - Quote nonce
+ * @returns {string} Store key
+ */
+function nonceKey(nonce) {
+  return `quote:${nonce}`
+}
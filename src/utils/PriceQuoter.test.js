@@ -0,0 +1,63 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { PriceQuoter, encodeQuoteHeader, decodeQuoteHeader } from './PriceQuoter.js'
+
+const PAY_TO = '0x000000000000000000000000000000000000dEaD'
+const SERVER_KEY = '0x' + '33'.repeat(32)
+
+describe('PriceQuoter', () => {
+  let now
+  let quoter
+
+  beforeEach(() => {
+    now = 1700000000000
+    quoter = new PriceQuoter({ privateKey: SERVER_KEY, ttl: 1000, clock: () => now })
+  })
+
+  const issue = (terms = {}) => quoter.issue({ amount: '0.50', resource: '/report', payTo: PAY_TO, ...terms })
+
+  it('issues normalized, signed quotes that verify for their own request', async () => {
+    const quote = issue()
+
+    assert.equal(quote.amount, '0.5')
+    assert.equal(quote.expiresAt, now + 1000)
+    assert.equal(quote.issuer, quoter.issuer)
+    assert.deepEqual(await quoter.verify(quote, { resource: '/report', payTo: PAY_TO.toLowerCase() }), { valid: true })
+  })
+
+  it('rejects quotes with altered terms or from another key', async () => {
+    const quote = issue()
+    const other = new PriceQuoter({ privateKey: '0x' + '44'.repeat(32), clock: () => now })
+
+    assert.equal((await quoter.verify({ ...quote, amount: '0.01' })).reason, 'Invalid quote signature')
+    assert.equal((await quoter.verify({ ...quote, signature: '0x1234' })).reason, 'Invalid quote signature')
+    assert.equal((await quoter.verify(other.issue({ amount: '0.5', resource: '/report', payTo: PAY_TO }))).reason, 'Invalid quote signature')
+    assert.equal((await quoter.verify({ amount: '0.5' })).reason, 'Malformed quote')
+  })
+
+  it('rejects expired quotes and quotes for another request', async () => {
+    const quote = issue()
+
+    assert.equal((await quoter.verify(quote, { resource: '/other' })).reason, 'Quote is for a different resource')
+    assert.equal((await quoter.verify(quote, { payTo: '0x' + 'b2'.repeat(20) })).reason, 'Quote is for a different payee')
+
+    now += 1001
+    assert.equal((await quoter.verify(quote)).reason, 'Quote expired')
+  })
+
+  it('redeems a quote once, even under concurrent redemptions', async () => {
+    const quote = issue()
+    const results = await Promise.all([quoter.redeem(quote, { txHash: '0x1' }), quoter.redeem(quote, { txHash: '0x2' })])
+
+    assert.deepEqual(results.map(result => result.valid).sort(), [false, true])
+    assert.equal((await quoter.verify(quote)).reason, 'Quote already used')
+  })
+
+  it('round-trips quotes through the X-402-Quote header', () => {
+    const quote = issue()
+
+    assert.deepEqual(decodeQuoteHeader(encodeQuoteHeader(quote)), quote)
+    assert.equal(decodeQuoteHeader('%%%'), null)
+    assert.throws(() => new PriceQuoter(), /requires a private key/)
+  })
+})
@@ -1,16 +1,55 @@
 /**
  * Proof Engine Utility
  * Emits verifiable receipts and cryptographic proofs for transactions
+ *
+ * Version 2 proofs hash the RFC 8785 canonical encoding of their data, so a
+ * proof re-serialized by another service still verifies. Version 1 proofs
+ * (no version tag) hashed JSON.stringify output and are verified that way.
  */
 
+import { sha256, sha384, sha512 } from '@noble/hashes/sha2'
+import { keccak_256 } from '@noble/hashes/sha3'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+import { addAmounts } from './Amount.js'
+import { canonicalize } from './CanonicalJson.js'
+import { MerkleTree } from './MerkleTree.js'
+import { signWithKey, verifyWithKey } from './KeyRing.js'
+
+export const PROOF_VERSION = 2
+
+const HASH_ALGORITHMS = {
+  sha256,
+  sha384,
+  sha512,
+  keccak256: keccak_256
+}
+
 export class ProofEngine {
   constructor(config = {}) {
     this.algorithm = config.algorithm || 'sha256'
+
+    if (!HASH_ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unsupported algorithm: ${this.algorithm}`)
+    }
+
     this.proofStorage = config.proofStorage
+    this.keyRing = config.keyRing
+    this.signer = config.signer
+    this.keyResolver = config.keyResolver || config.keyRing
+    this.batching = Boolean(config.batch)
+    this.batchWindow = config.batch?.windowMs || 1000
+    this.batchMaxSize = config.batch?.maxSize || 256
+    this.batchSigner = config.batch?.signer
+    this.onBatch = config.batch?.onBatch
+    this.pendingBatch = []
+    this.batchTimer = null
   }
 
   /**
    * Generate cryptographic proof for a transaction
+   *
+   * In batching mode the promise resolves once the batch closes, with the
+   * proof carrying its batch root, signed root and inclusion proof.
    * @param {Object} transaction - Transaction object
    * @returns {Promise<Object>} Cryptographic proof
    */
@@ -22,6 +61,7 @@ export class ProofEngine {
       asset: transaction.asset,
       from: transaction.from,
       to: transaction.to,
+      service: transaction.service ?? transaction.metadata?.service,
       metadata: transaction.metadata
     }
 
@@ -29,18 +69,24 @@ export class ProofEngine {
     const hash = await this.hashProof(proofData)
     
     // Generate signature if signer available
-    const signature = transaction.signer 
-      ? await this.signProof(proofData, transaction.signer)
+    const signer = transaction.signer || this.getDefaultSigner()
+    const signature = signer
+      ? await this.signProof(proofData, signer)
       : null
 
     const proof = {
       hash,
       signature,
+      version: PROOF_VERSION,
       algorithm: this.algorithm,
       timestamp: Date.now(),
       data: proofData
     }
 
+    if (this.batching) {
+      return this.addToBatch(proof)
+    }
+
     // Store proof
     if (this.proofStorage) {
       await this.proofStorage.store(proof)
@@ -51,22 +97,63 @@ export class ProofEngine {
 
   /**
    * Verify a cryptographic proof
+   *
+   * Signatures are checked against options.publicKey when given, otherwise
+   * against the key their key ID resolves to. Whenever a key is available
+   * (options.publicKey, options.keyResolver or the engine's key resolver or
+   * key ring), an unsigned proof fails: otherwise anyone could rewrite the
+   * data, recompute the hash and drop the signature. A batched proof is
+   * signed through its batch root.
    * @param {Object} proof - Proof object to verify
+   * @param {Object} [options] - Verification options
+   * @param {Object} [options.publicKey] - Public key ({ algorithm, publicKey })
+   * @param {Function|Object} [options.keyResolver] - keyId => public key, or an object with resolve(keyId)
+   * @param {boolean} [options.requireSignature] - Reject unsigned proofs (default: true when a key is available)
    * @returns {Promise<boolean>} Verification result
    */
-  async verifyProof(proof) {
-    // Recompute hash
-    const computedHash = await this.hashProof(proof.data)
+  async verifyProof(proof, options = {}) {
+    const requireSignature = options.requireSignature ??
+      Boolean(options.publicKey || options.keyResolver || this.keyResolver)
+
+    // Recompute hash the way the proof was produced
+    const hashing = {
+      algorithm: proof.algorithm || 'sha256',
+      version: proof.version || 1
+    }
+    const computedHash = await this.hashProof(proof.data, hashing)
     
     if (computedHash !== proof.hash) {
       return false
     }
 
+    if (requireSignature && !proof.signature && !proof.batch?.signature) {
+      return false
+    }
+
+    // Verify inclusion and the signed root for batched proofs
+    if (proof.batch) {
+      const { root, size, timestamp, proof: inclusionProof, signature } = proof.batch
+
+      if (!MerkleTree.verify(proof.hash, inclusionProof, root)) {
+        return false
+      }
+
+      if (requireSignature && !signature) {
+        return false
+      }
+
+      if (signature && !(await this.verifySignature({ root, size, timestamp }, signature, options, hashing))) {
+        return false
+      }
+    }
+
     // Verify signature if present
     if (proof.signature) {
       const signatureValid = await this.verifySignature(
         proof.data,
-        proof.signature
+        proof.signature,
+        options,
+        hashing
       )
       
       if (!signatureValid) {
@@ -77,15 +164,84 @@ export class ProofEngine {
     return true
   }
 
+  /**
+   * Queue a proof for the current batch
+   * @param {Object} proof - Unbatched proof
+   * @returns {Promise<Object>} Proof with batch inclusion data
+   */
+  addToBatch(proof) {
+    return new Promise((resolve, reject) => {
+      this.pendingBatch.push({ proof, resolve, reject })
+
+      if (this.pendingBatch.length >= this.batchMaxSize) {
+        this.flushBatch()
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flushBatch(), this.batchWindow)
+      }
+    })
+  }
+
+  /**
+   * Close the current batch: build its Merkle tree, sign the root and
+   * attach an inclusion proof to every proof in it
+   * @returns {Promise<Object|null>} Batch record ({ root, size, timestamp, signature }), or null if empty
+   */
+  async flushBatch() {
+    clearTimeout(this.batchTimer)
+    this.batchTimer = null
+
+    const entries = this.pendingBatch.splice(0)
+    if (entries.length === 0) {
+      return null
+    }
+
+    try {
+      const tree = new MerkleTree(entries.map(entry => entry.proof.hash))
+      const header = {
+        root: tree.root,
+        size: entries.length,
+        timestamp: Date.now()
+      }
+      const signer = this.batchSigner || this.getDefaultSigner()
+      const signature = signer
+        ? await this.signProof(header, signer)
+        : null
+      const batch = { ...header, signature }
+
+      const proofs = entries.map((entry, index) => ({
+        ...entry.proof,
+        batch: { ...batch, index, proof: tree.getProof(index) }
+      }))
+
+      if (this.proofStorage) {
+        await Promise.all(proofs.map(proof => this.proofStorage.store(proof)))
+      }
+
+      if (this.onBatch) {
+        await this.onBatch(batch)
+      }
+
+      entries.forEach((entry, index) => entry.resolve(proofs[index]))
+      return batch
+    } catch (error) {
+      entries.forEach(entry => entry.reject(error))
+      throw error
+    }
+  }
+
   /**
    * Generate audit trail summary
+   *
+   * Amounts are exact decimal strings per asset. totalAmount is only set when
+   * every proof is in the same asset, since amounts of different assets
+   * cannot be added.
    * @param {Array} proofs - Array of proofs
    * @returns {Object} Audit summary
    */
   generateAuditSummary(proofs) {
     const summary = {
       totalTransactions: proofs.length,
-      totalAmount: 0,
+      totalAmount: null,
       assets: {},
       services: {},
       timeRange: {
@@ -97,9 +253,7 @@ export class ProofEngine {
     proofs.forEach(proof => {
       const { amount, asset, service, timestamp } = proof.data
       
-      summary.totalAmount += parseFloat(amount)
-      
-      summary.assets[asset] = (summary.assets[asset] || 0) + parseFloat(amount)
+      summary.assets[asset] = addAmounts([summary.assets[asset] || '0', amount], asset)
       
       if (service) {
         summary.services[service] = (summary.services[service] || 0) + 1
@@ -113,49 +267,110 @@ export class ProofEngine {
       }
     })
 
+    const assets = Object.keys(summary.assets)
+    if (assets.length === 1) {
+      summary.totalAmount = summary.assets[assets[0]]
+    }
+
     return summary
   }
 
   /**
    * Hash proof data
    * @param {Object} data - Data to hash
-   * @returns {Promise<string>} Hash value
+   * @param {Object} [hashing] - Hashing scheme (default: this engine's)
+   * @param {string} [hashing.algorithm] - sha256, sha384, sha512 or keccak256
+   * @param {number} [hashing.version] - Proof version (1: JSON.stringify, 2: RFC 8785)
+   * @returns {Promise<string>} Hex-encoded hash
    */
-  async hashProof(data) {
-    const jsonString = JSON.stringify(data)
-    const encoder = new TextEncoder()
-    const dataBuffer = encoder.encode(jsonString)
-    
-    if (this.algorithm === 'sha256') {
-      const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer)
-      const hashArray = Array.from(new Uint8Array(hashBuffer))
-      return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
+  async hashProof(data, hashing = {}) {
+    const algorithm = hashing.algorithm || this.algorithm
+    const version = hashing.version || PROOF_VERSION
+    const hash = HASH_ALGORITHMS[algorithm]
+
+    if (!hash) {
+      throw new Error(`Unsupported algorithm: ${algorithm}`)
     }
-    
-    throw new Error(`Unsupported algorithm: ${this.algorithm}`)
+
+    if (version > PROOF_VERSION) {
+      throw new Error(`Unsupported proof version: ${version}`)
+    }
+
+    const encoded = version === 1 ? JSON.stringify(data) : canonicalize(data)
+    return bytesToHex(hash(utf8ToBytes(encoded)))
   }
 
   /**
    * Sign proof data
    * @param {Object} data - Data to sign
-   * @param {Object} signer - Signer object
-   * @returns {Promise<string>} Signature
+   * @param {Object} signer - Signing key ({ keyId, algorithm, privateKey })
+   * @param {Object} [hashing] - Hashing scheme (see hashProof)
+   * @returns {Promise<Object>} Signature ({ keyId, algorithm, value })
    */
-  async signProof(data, signer) {
-    // Implementation would use crypto API or Web3 signing
-    const hash = await this.hashProof(data)
-    return `sig_${hash.substring(0, 16)}`
+  async signProof(data, signer, hashing) {
+    if (!signer.keyId || !signer.privateKey) {
+      throw new Error('Proof signer requires a keyId and a private key')
+    }
+
+    const hash = await this.hashProof(data, hashing)
+
+    return {
+      keyId: signer.keyId,
+      algorithm: signer.algorithm,
+      value: await signWithKey(signer, hash)
+    }
   }
 
   /**
    * Verify signature
    * @param {Object} data - Original data
-   * @param {string} signature - Signature to verify
+   * @param {Object} signature - Signature to verify ({ keyId, algorithm, value })
+   * @param {Object} [options] - Verification options (see verifyProof)
+   * @param {Object} [hashing] - Hashing scheme (see hashProof)
    * @returns {Promise<boolean>} Signature validity
    */
-  async verifySignature(data, signature) {
-    // Implementation would verify cryptographic signature
-    return true
+  async verifySignature(data, signature, options = {}, hashing) {
+    if (!signature?.keyId || !signature.value) {
+      return false
+    }
+
+    const key = options.publicKey || await this.resolveKey(signature.keyId, options.keyResolver)
+
+    if (!key || key.algorithm !== signature.algorithm) {
+      return false
+    }
+
+    const hash = await this.hashProof(data, hashing)
+    return verifyWithKey(key, hash, signature.value)
   }
-}
 
+  /**
+   * Resolve a key ID to a public key
+   * @param {string} keyId - Key identifier
+   * @param {Function|Object} [resolver] - Resolver (default: the configured one)
+   * @returns {Promise<Object|null>} Public key ({ algorithm, publicKey }), or null
+   */
+  async resolveKey(keyId, resolver = this.keyResolver) {
+    if (!resolver) {
+      return null
+    }
+
+    return (typeof resolver === 'function'
+      ? await resolver(keyId)
+      : await resolver.resolve(keyId)) || null
+  }
+
+  /**
+   * Get the signer used when a transaction does not bring its own
+   * @returns {Object|null} Signing key
+   */
+  getDefaultSigner() {
+    if (this.signer) {
+      return this.signer
+    }
+
+    // Verify-only key rings hold public keys alone
+    const active = this.keyRing?.getSigner()
+    return active?.privateKey ? active : null
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ProofEngine } from './ProofEngine.js'
+import { KeyRing, generateSigningKey } from './KeyRing.js'
+
+const TRANSACTION = {
+  hash: '0x' + 'ab'.repeat(32),
+  timestamp: 1700000000000,
+  amount: '0.5',
+  asset: 'USDC',
+  from: '0x' + 'a1'.repeat(20),
+  to: '0x' + 'b2'.repeat(20),
+  metadata: { service: 'inference' }
+}
+
+describe('ProofEngine', () => {
+  for (const algorithm of ['Ed25519', 'ECDSA-P256', 'secp256k1']) {
+    it(`signs and verifies proofs with ${algorithm} keys`, async () => {
+      const keyRing = new KeyRing({ keys: [await generateSigningKey(algorithm, 'k1')] })
+      const engine = new ProofEngine({ keyRing })
+
+      const proof = await engine.generateProof(TRANSACTION)
+
+      assert.equal(proof.signature.keyId, 'k1')
+      assert.equal(await engine.verifyProof(proof), true)
+      assert.equal(await engine.verifyProof({ ...proof, data: { ...proof.data, amount: '5' } }), false)
+    })
+  }
+
+  it('rejects a proof whose data was rewritten and re-hashed without a signature', async () => {
+    const keyRing = new KeyRing({ keys: [await generateSigningKey('Ed25519', 'k1')] })
+    const engine = new ProofEngine({ keyRing })
+    const proof = await engine.generateProof(TRANSACTION)
+
+    const data = { ...proof.data, to: '0x' + 'c3'.repeat(20) }
+    const forged = { ...proof, data, hash: await engine.hashProof(data), signature: null }
+
+    assert.equal(await engine.verifyProof(forged), false)
+    assert.equal(await engine.verifyProof(forged, { requireSignature: false }), true)
+  })
+
+  it('verifies proofs from retired keys but not from revoked ones', async () => {
+    const keyRing = new KeyRing({ keys: [await generateSigningKey('Ed25519', 'old')] })
+    const engine = new ProofEngine({ keyRing })
+    const proof = await engine.generateProof(TRANSACTION)
+
+    keyRing.rotate(await generateSigningKey('Ed25519', 'new'))
+    assert.equal((await engine.generateProof(TRANSACTION)).signature.keyId, 'new')
+    assert.equal(await engine.verifyProof(proof), true)
+
+    keyRing.revoke('old')
+    assert.equal(await engine.verifyProof(proof), false)
+  })
+
+  it('verifies against a published verify-only key ring', async () => {
+    const signingRing = new KeyRing({ keys: [await generateSigningKey('ECDSA-P256', 'k1')] })
+    const proof = await new ProofEngine({ keyRing: signingRing }).generateProof(TRANSACTION)
+
+    const published = new KeyRing({ keys: JSON.parse(JSON.stringify(signingRing)) })
+    const verifier = new ProofEngine({ keyRing: published })
+
+    assert.equal(verifier.getDefaultSigner(), null)
+    assert.equal(await verifier.verifyProof(proof), true)
+  })
+
+  it('hashes canonical JSON so key order does not matter, and still verifies version 1 proofs', async () => {
+    const engine = new ProofEngine({ algorithm: 'keccak256' })
+    const data = { b: 1, a: 2 }
+
+    assert.equal(await engine.hashProof(data), await engine.hashProof({ a: 2, b: 1 }))
+
+    const legacy = { hash: await engine.hashProof(data, { version: 1, algorithm: 'sha256' }), data }
+    assert.equal(await engine.verifyProof(legacy), true)
+    assert.equal(await engine.verifyProof({ ...legacy, data: { a: 2, b: 1 } }), false)
+    assert.throws(() => new ProofEngine({ algorithm: 'md5' }), /Unsupported algorithm/)
+  })
+
+  it('batches proofs under a signed Merkle root', async () => {
+    const keyRing = new KeyRing({ keys: [await generateSigningKey('Ed25519', 'k1')] })
+    const batches = []
+    const engine = new ProofEngine({
+      keyRing,
+      batch: { maxSize: 3, onBatch: batch => batches.push(batch) }
+    })
+
+    const proofs = await Promise.all([1, 2, 3].map(i => engine.generateProof({ ...TRANSACTION, hash: `0x0${i}` })))
+
+    assert.equal(batches.length, 1)
+    assert.equal(batches[0].size, 3)
+    assert.ok(proofs.every(proof => proof.batch.root === batches[0].root))
+    assert.equal(await engine.verifyProof(proofs[1]), true)
+
+    const moved = { ...proofs[1], batch: { ...proofs[1].batch, proof: proofs[0].batch.proof } }
+    assert.equal(await engine.verifyProof(moved), false)
+
+    const resigned = { ...proofs[1], batch: { ...proofs[1].batch, size: 4 } }
+    assert.equal(await engine.verifyProof(resigned), false)
+  })
+})
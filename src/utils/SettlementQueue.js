@@ -0,0 +1,485 @@
+/**
+ * Settlement Queue Utility
+ * Batches verified payments per payee and asset into one settlement transaction
+ *
+ * Payments wait in the queue until the oldest has waited `delay` ms or the
+ * group reaches `maxBatchSize`, then the group is netted into one amount and
+ * settled together. Items and batches are persisted, so after a restart
+ * waiting items are batched again and unfinished batches are retried. A batch
+ * whose transaction was already submitted is waited on rather than resent,
+ * unless that transaction reverted. Every submit or wait counts as an
+ * attempt; a batch out of attempts is abandoned, keeping the hash of any
+ * transaction still in flight, until retry() picks it up again.
+ *
+ * The submitter reports the nonce before the transaction leaves, so a batch
+ * found mid-submit after a restart is reconciled against it (see the
+ * reconcile hook) instead of being sent twice.
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from './KeyValueStore.js'
+import { toBaseUnits, fromBaseUnits } from './Amount.js'
+
+export class SettlementQueue {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {Function} config.submit - async (batch, { beforeBroadcast }) => { hash }; broadcasts a batch's
+   *   settlement transaction, calling beforeBroadcast(nonce) before it leaves
+   * @param {Function} config.confirm - async (txHash) => receipt; waits for the settlement to confirm
+   * @param {Function} [config.reconcile] - async (batch) => { hash } | null; after a restart, finds the
+   *   transaction a batch interrupted mid-submit was sent as (null if it never left). Without it such
+   *   batches are abandoned rather than risk a second settlement
+   * @param {number} [config.delay] - Longest a payment waits before its group settles, in ms (default: 3s)
+   * @param {number} [config.maxBatchSize] - Settle a group as soon as it holds this many payments (default: 50)
+   * @param {number} [config.maxAttempts] - Submits and waits per batch before it is abandoned (default: 5)
+   * @param {number} [config.retryDelay] - Delay before the first retry, doubled per attempt (default: 5s)
+   * @param {Function} [config.onSettled] - Called with each payment's settlement result
+   * @param {Object} [config.store] - Key-value store (default: in memory, or a file store when path is set)
+   * @param {string} [config.path] - File path for a file-backed store
+   */
+  constructor(config = {}) {
+    this.submit = config.submit
+    this.confirm = config.confirm
+    this.reconcile = config.reconcile || null
+    this.delay = config.delay ?? 3000
+    this.maxBatchSize = config.maxBatchSize || 50
+    this.maxAttempts = config.maxAttempts || 5
+    this.retryDelay = config.retryDelay || 5000
+    this.onSettled = config.onSettled || null
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.clock = config.clock || (() => Date.now())
+    this.queue = Promise.resolve()
+    this.timers = new Map()
+    this.waiters = new Map()
+    this.running = new Set()
+    this.loaded = null
+  }
+
+  /**
+   * Add a verified payment to its payee and asset group
+   * @param {Object} payment - Payment ({ to, amount, asset, from, txHash, timestamp, deadline })
+   * @returns {Promise<Object>} Ticket ({ id, status: 'queued', settled }); settled resolves
+   *   with the payment's settlement result once its batch confirms
+   */
+  async enqueue(payment) {
+    await this.load()
+
+    const item = {
+      id: crypto.randomUUID(),
+      to: payment.to,
+      amount: String(payment.amount),
+      asset: payment.asset || 'USDC',
+      from: payment.from || null,
+      txHash: payment.txHash || null,
+      invoiceId: payment.invoiceId || null,
+      deadline: payment.deadline || null,
+      timestamp: payment.timestamp ?? this.clock(),
+      queuedAt: this.clock(),
+      batchId: null
+    }
+
+    const settled = new Promise((resolve, reject) => this.waiters.set(item.id, { resolve, reject }))
+    // Callers that only want the ticket should not see an unhandled rejection
+    settled.catch(() => {})
+
+    const size = await this.serialize(async () => {
+      await this.store.set(itemKey(item.id), item)
+      return (await this.getWaiting(groupKey(item))).length
+    })
+
+    if (size >= this.maxBatchSize) {
+      this.flushGroup(groupKey(item)).catch(error => console.error('Settlement failed:', error))
+    } else {
+      this.schedule(groupKey(item), item.queuedAt + this.delay)
+    }
+
+    return { id: item.id, status: 'queued', settled }
+  }
+
+  /**
+   * Settle every waiting group now
+   * @returns {Promise<Array>} Batches that were settled or failed
+   */
+  async flush() {
+    await this.load()
+    const groups = new Set((await this.listItems()).filter(item => !item.batchId).map(groupKey))
+    return Promise.all([...groups].map(group => this.flushGroup(group)))
+  }
+
+  /**
+   * Net a group's waiting payments into a batch and settle it
+   * @param {string} group - Group key (payee and asset)
+   * @returns {Promise<Object|null>} Batch, or null if nothing was waiting
+   */
+  async flushGroup(group) {
+    this.clearTimer(group)
+
+    const batch = await this.serialize(async () => {
+      const items = await this.getWaiting(group)
+      if (items.length === 0) {
+        return null
+      }
+
+      const { to, asset } = items[0]
+      const total = items.reduce((sum, item) => sum + toBaseUnits(item.amount, asset), 0n)
+      const batch = {
+        id: crypto.randomUUID(),
+        to,
+        asset,
+        amount: fromBaseUnits(total, asset),
+        items: items.map(item => item.id),
+        payments: items.map(({ from, amount, txHash, invoiceId }) => ({ from, amount, txHash, invoiceId })),
+        deadline: earliest(items.map(item => item.deadline)),
+        status: 'pending',
+        attempts: 0,
+        createdAt: this.clock()
+      }
+
+      await this.store.setMany({
+        [batchKey(batch.id)]: batch,
+        ...Object.fromEntries(items.map(item => [itemKey(item.id), { ...item, batchId: batch.id }]))
+      })
+      return batch
+    })
+
+    return batch && this.settleBatch(batch)
+  }
+
+  /**
+   * Submit a batch (unless already submitted), wait for it and resolve its payments
+   * @param {Object} batch - Batch
+   * @returns {Promise<Object>} Batch in settled, failed or abandoned status
+   */
+  async settleBatch(batch) {
+    if (this.running.has(batch.id)) {
+      return this.getBatch(batch.id)
+    }
+
+    this.running.add(batch.id)
+    let current = batch
+    try {
+      if (!current.txHash) {
+        current = await this.updateBatch(current, { status: 'submitting', attempts: current.attempts + 1, nonce: null })
+        const tx = await this.submit(current, {
+          beforeBroadcast: async nonce => {
+            current = await this.updateBatch(current, { nonce })
+          }
+        })
+        current = await this.updateBatch(current, { status: 'submitted', txHash: tx.hash })
+      } else {
+        current = await this.updateBatch(current, { attempts: current.attempts + 1 })
+      }
+
+      const receipt = await this.confirm(current.txHash)
+
+      if (receipt?.status === 'failed') {
+        // The transaction landed and reverted, so the next attempt resends
+        current = await this.updateBatch(current, {
+          txHash: null,
+          failedTxHashes: [...(current.failedTxHashes || []), current.txHash]
+        })
+        throw new Error(receipt.reason || 'Settlement transaction failed')
+      }
+
+      return await this.complete(current, receipt)
+    } catch (error) {
+      return this.fail(current, error)
+    } finally {
+      this.running.delete(batch.id)
+    }
+  }
+
+  /**
+   * Settle a batch found unfinished after a restart, first working out
+   * whether one interrupted mid-submit already sent its transaction
+   * @param {Object} batch - Batch from the store
+   * @returns {Promise<Object>} Batch after the attempt
+   */
+  async resume(batch) {
+    if (batch.status !== 'submitting' || batch.txHash) {
+      return this.settleBatch(batch)
+    }
+
+    let sent
+    try {
+      if (!this.reconcile) {
+        throw new Error('Settlement may have been sent before a restart; retry once checked')
+      }
+      sent = await this.reconcile(batch)
+    } catch (error) {
+      return this.abandon(batch, error)
+    }
+
+    return this.settleBatch(sent
+      ? await this.updateBatch(batch, { status: 'submitted', txHash: sent.hash })
+      : batch)
+  }
+
+  /**
+   * Mark a batch settled, drop its items and report each payment's latency
+   * @param {Object} batch - Submitted batch
+   * @param {Object} receipt - Settlement receipt
+   * @returns {Promise<Object>} Settled batch
+   */
+  async complete(batch, receipt) {
+    const settledAt = receipt?.timestamp ?? this.clock()
+    const items = await Promise.all(batch.items.map(id => this.store.get(itemKey(id))))
+
+    const settled = await this.serialize(async () => {
+      const { error, nextAttemptAt, ...fields } = batch
+      const settled = { ...fields, status: 'settled', settledAt }
+      await this.store.set(batchKey(batch.id), settled)
+      await Promise.all(batch.items.map(id => this.store.delete(itemKey(id))))
+      return settled
+    })
+
+    items.filter(Boolean).forEach(item => {
+      const result = {
+        success: true,
+        id: item.id,
+        txHash: batch.txHash,
+        receipt,
+        batchId: batch.id,
+        batchSize: batch.items.length,
+        netAmount: batch.amount,
+        amount: item.amount,
+        asset: item.asset,
+        latency: settledAt - item.timestamp,
+        queueLatency: settledAt - item.queuedAt
+      }
+
+      this.onSettled?.(result)
+      this.waiters.get(item.id)?.resolve(result)
+      this.waiters.delete(item.id)
+    })
+
+    return settled
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry, or abandon the batch
+   * @param {Object} batch - Batch
+   * @param {Error} error - Failure
+   * @returns {Promise<Object>} Failed or abandoned batch
+   */
+  async fail(batch, error) {
+    // A submitted transaction may still land, so retries wait on it rather
+    // than sending a second settlement for the same payments; once attempts
+    // run out its hash stays on the abandoned batch for retry()
+    const exhausted = batch.attempts >= this.maxAttempts
+    const nextAttemptAt = this.clock() + this.retryDelay * 2 ** Math.max(0, batch.attempts - 1)
+    if (exhausted) {
+      return this.abandon(batch, error)
+    }
+
+    const failed = await this.updateBatch(batch, {
+      status: 'failed',
+      error: error.message,
+      nextAttemptAt
+    })
+    this.schedule(`batch:${batch.id}`, nextAttemptAt, () => this.settleBatch(failed))
+
+    return failed
+  }
+
+  /**
+   * Give up on a batch until retry() and reject its payments' waiters
+   * @param {Object} batch - Batch
+   * @param {Error} error - Failure
+   * @returns {Promise<Object>} Abandoned batch
+   */
+  async abandon(batch, error) {
+    const abandoned = await this.updateBatch(batch, {
+      status: 'abandoned',
+      error: error.message,
+      nextAttemptAt: null
+    })
+
+    batch.items.forEach(id => {
+      this.waiters.get(id)?.reject(error)
+      this.waiters.delete(id)
+    })
+
+    return abandoned
+  }
+
+  /**
+   * Retry an abandoned or failed batch now, with a fresh set of attempts
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} Batch after the attempt
+   */
+  async retry(id) {
+    const batch = await this.getBatch(id)
+
+    if (!batch || batch.status === 'settled') {
+      throw new Error(`No unsettled batch: ${id}`)
+    }
+
+    this.clearTimer(`batch:${id}`)
+    return this.settleBatch({ ...batch, attempts: 0 })
+  }
+
+  /**
+   * Get a batch
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object|null>} Batch
+   */
+  async getBatch(id) {
+    return (await this.store.get(batchKey(id))) || null
+  }
+
+  /**
+   * List batches, optionally by status
+   * @param {string} [status] - Batch status
+   * @returns {Promise<Array>} Batches
+   */
+  async listBatches(status) {
+    const batches = (await this.store.entries('settlement:batch:')).map(([, batch]) => batch)
+    return status ? batches.filter(batch => batch.status === status) : batches
+  }
+
+  /**
+   * Payments not yet settled
+   * @returns {Promise<Array>} Queued and in-flight items
+   */
+  async listItems() {
+    return (await this.store.entries('settlement:item:')).map(([, item]) => item)
+  }
+
+  /**
+   * Resume after a restart: reschedule waiting groups and unfinished batches
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const waiting = (await this.listItems()).filter(item => !item.batchId)
+        const groups = new Map()
+        waiting.forEach(item => {
+          const group = groupKey(item)
+          groups.set(group, Math.min(groups.get(group) ?? Infinity, item.queuedAt))
+        })
+        groups.forEach((queuedAt, group) => this.schedule(group, queuedAt + this.delay))
+
+        // Batches still running in this process (e.g., after stop()) carry on by themselves
+        const unfinished = (await this.listBatches())
+          .filter(batch => !['settled', 'abandoned'].includes(batch.status) && !this.running.has(batch.id))
+        unfinished.forEach(batch => {
+          this.schedule(`batch:${batch.id}`, batch.nextAttemptAt || this.clock(), () => this.resume(batch))
+        })
+      })()
+    }
+    return this.loaded
+  }
+
+  /**
+   * Stop all timers (pending work resumes on the next load)
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+    this.loaded = null
+  }
+
+  /**
+   * Run a timer for a group flush or batch retry, keeping an earlier one
+   * @param {string} key - Timer key
+   * @param {number} at - When to run
+   * @param {Function} [task] - Task (default: flush the group)
+   */
+  schedule(key, at, task = () => this.flushGroup(key)) {
+    if (this.timers.has(key)) {
+      return
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(key)
+      task().catch(error => console.error('Settlement failed:', error))
+    }, Math.max(0, at - this.clock()))
+    timer.unref?.()
+    this.timers.set(key, timer)
+  }
+
+  /**
+   * Cancel a timer
+   * @param {string} key - Timer key
+   */
+  clearTimer(key) {
+    clearTimeout(this.timers.get(key))
+    this.timers.delete(key)
+  }
+
+  /**
+   * Items of a group not yet in a batch, oldest first
+   * @param {string} group - Group key
+   * @returns {Promise<Array>} Items
+   */
+  async getWaiting(group) {
+    return (await this.listItems())
+      .filter(item => !item.batchId && groupKey(item) === group)
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+  }
+
+  /**
+   * Persist changes to a batch
+   * @param {Object} batch - Batch
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated batch
+   */
+  updateBatch(batch, changes) {
+    return this.serialize(async () => {
+      const updated = { ...batch, ...changes }
+      await this.store.set(batchKey(batch.id), updated)
+      return updated
+    })
+  }
+
+  /**
+   * Run store updates one at a time
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  serialize(task) {
+    const run = this.queue.then(task)
+    this.queue = run.catch(() => {})
+    return run
+  }
+}
+
+/**
+ * Earliest of a set of optional deadlines
+ * @param {Array} deadlines - Deadlines (null for none)
+ * @returns {number|null} Earliest deadline
+ */
+function earliest(deadlines) {
+  const set = deadlines.filter(Boolean)
+  return set.length > 0 ? Math.min(...set) : null
+}
+
+/**
+ * Group key for an item: payments to the same payee in the same asset net together
+ * @param {Object} item - Queue item
+ * @returns {string} Group key
+ */
+function groupKey(item) {
+  return `${String(item.to).toLowerCase()}:${item.asset}`
+}
+
+/**
+ * Build the store key for a queued payment
+ * @param {string} id - Item ID
+ * @returns {string} Store key
+ */
+function itemKey(id) {
+  return `settlement:item:${id}`
+}
+
+/**
+ * Build the store key for a batch
+ * @param {string} id - Batch ID
+ * @returns {string} Store key
+ */
+function batchKey(id) {
+  return `settlement:batch:${id}`
+}
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SettlementQueue } from './SettlementQueue.js'
+import { MemoryKeyValueStore } from './KeyValueStore.js'
+
+const ALICE = '0x' + 'a1'.repeat(20)
+const BOB = '0x' + 'b2'.repeat(20)
+
+/**
+ * Queue whose submissions are recorded and confirm at once; timers are
+ * long enough that only explicit flushes and retries run
+ */
+function createQueue(config = {}) {
+  const submitted = []
+  const queue = new SettlementQueue({
+    delay: 60000,
+    retryDelay: 60000,
+    submit: async batch => {
+      submitted.push(batch)
+      return { hash: `0x${submitted.length}` }
+    },
+    confirm: async txHash => ({ status: 'confirmed', txHash }),
+    ...config
+  })
+  return { queue, submitted }
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 200; i++) {
+    const value = await condition()
+    if (value) return value
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+  throw new Error('Timed out waiting for condition')
+}
+
+describe('SettlementQueue', () => {
+  it('nets payments per payee and asset into one settlement each', async () => {
+    const { queue, submitted } = createQueue()
+    const tickets = await Promise.all([
+      queue.enqueue({ to: ALICE, amount: '0.1', from: '0x01' }),
+      queue.enqueue({ to: ALICE.toUpperCase().replace('0X', '0x'), amount: '0.2' }),
+      queue.enqueue({ to: ALICE, amount: '0.000001' }),
+      queue.enqueue({ to: BOB, amount: '1' }),
+      queue.enqueue({ to: ALICE, amount: '0.5', asset: 'ETH' })
+    ])
+
+    await queue.flush()
+    const results = await Promise.all(tickets.map(ticket => ticket.settled))
+
+    assert.deepEqual(submitted.map(batch => [batch.asset, batch.amount, batch.items.length]).sort(), [
+      ['ETH', '0.5', 1],
+      ['USDC', '0.300001', 3],
+      ['USDC', '1', 1]
+    ])
+    assert.equal(results[0].netAmount, '0.300001')
+    assert.equal(results[0].amount, '0.1')
+    assert.equal(results[0].txHash, results[1].txHash)
+    assert.deepEqual(await queue.listItems(), [])
+    queue.stop()
+  })
+
+  it('settles a group as soon as it reaches the batch size', async () => {
+    const { queue, submitted } = createQueue({ maxBatchSize: 2 })
+
+    await queue.enqueue({ to: ALICE, amount: '1' })
+    const { settled } = await queue.enqueue({ to: ALICE, amount: '2' })
+
+    assert.equal((await settled).netAmount, '3')
+    assert.equal(submitted.length, 1)
+    queue.stop()
+  })
+
+  it('waits on a submitted transaction instead of resending it, and resends a reverted one', async () => {
+    let confirmations = 0
+    const { queue, submitted } = createQueue({
+      confirm: async txHash => {
+        confirmations += 1
+        if (confirmations === 1) throw new Error('RPC timeout')
+        if (confirmations === 2) return { status: 'failed', reason: 'reverted' }
+        return { status: 'confirmed', txHash }
+      }
+    })
+
+    await queue.enqueue({ to: ALICE, amount: '1' })
+    const [failed] = await queue.flush()
+    assert.deepEqual([failed.status, failed.error, failed.txHash], ['failed', 'RPC timeout', '0x1'])
+
+    const reverted = await queue.retry(failed.id)
+    assert.deepEqual([reverted.status, reverted.txHash, reverted.failedTxHashes], ['failed', null, ['0x1']])
+
+    const settled = await queue.retry(failed.id)
+    assert.deepEqual([settled.status, settled.txHash], ['settled', '0x2'])
+    assert.equal(submitted.length, 2)
+    queue.stop()
+  })
+
+  it('abandons a batch out of attempts and rejects its payments', async () => {
+    const { queue } = createQueue({
+      maxAttempts: 1,
+      submit: async () => { throw new Error('insufficient funds') }
+    })
+
+    const { settled } = await queue.enqueue({ to: ALICE, amount: '1' })
+    const [batch] = await queue.flush()
+
+    assert.equal(batch.status, 'abandoned')
+    await assert.rejects(settled, /insufficient funds/)
+    await assert.rejects(queue.retry('nope'), /No unsettled batch/)
+    queue.stop()
+  })
+
+  it('reconciles a batch interrupted mid-submit instead of settling it twice', async () => {
+    const store = new MemoryKeyValueStore()
+    const crashed = new SettlementQueue({
+      store,
+      delay: 60000,
+      submit: async (batch, { beforeBroadcast }) => {
+        await beforeBroadcast(7)
+        return new Promise(() => {})
+      },
+      confirm: async () => ({ status: 'confirmed' })
+    })
+    await crashed.enqueue({ to: ALICE, amount: '1' })
+    crashed.flush()
+    const interrupted = await waitFor(async () => (await crashed.listBatches()).find(batch => batch.nonce === 7))
+    crashed.stop()
+    assert.equal(interrupted.status, 'submitting')
+
+    const resumedSubmits = []
+    const settledResults = []
+    const restarted = new SettlementQueue({
+      store,
+      submit: async batch => resumedSubmits.push(batch),
+      confirm: async txHash => ({ status: 'confirmed', txHash }),
+      reconcile: async batch => batch.nonce === 7 ? { hash: '0xsent' } : null,
+      onSettled: result => settledResults.push(result)
+    })
+    await restarted.load()
+
+    await waitFor(() => settledResults.length === 1)
+    assert.equal(settledResults[0].txHash, '0xsent')
+    assert.equal(resumedSubmits.length, 0)
+    restarted.stop()
+
+    // Without a reconcile hook the batch is abandoned rather than resent
+    await store.set(`settlement:batch:${interrupted.id}`, interrupted)
+    const unchecked = createQueue({ store })
+    await unchecked.queue.load()
+    const abandoned = await waitFor(async () => (await unchecked.queue.listBatches('abandoned'))[0])
+    assert.match(abandoned.error, /retry once checked/)
+    assert.equal(unchecked.submitted.length, 0)
+    unchecked.queue.stop()
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Spent Payment Store
+ * Records consumed payments and nonces so a payment can only be used once
+ */
+
+import { MemoryKeyValueStore, FileKeyValueStore } from './KeyValueStore.js'
+
+export class SpentPaymentStore {
+  constructor(config = {}) {
+    this.store = config.store || (config.path
+      ? new FileKeyValueStore({ path: config.path })
+      : new MemoryKeyValueStore())
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Atomically mark a payment (and its nonce) as consumed
+   * @param {Object} payment - Payment to consume
+   * @param {string} payment.txHash - Transaction hash
+   * @param {string} [payment.resource] - Resource or job the payment is bound to
+   * @param {string} [payment.from] - Payer address (scopes the nonce)
+   * @param {string} [payment.nonce] - Payment nonce from metadata
+   * @returns {Promise<Object>} { consumed: true } or { consumed: false, reason, record }
+   */
+  consume(payment) {
+    const run = this.queue.then(() => this.claim(payment))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Check whether a payment has been consumed
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} Consumption record, or null
+   */
+  async getRecord(txHash) {
+    return (await this.store.get(txKey(txHash))) || null
+  }
+
+  /**
+   * Check whether a nonce has been used by a payer
+   * @param {string} from - Payer address
+   * @param {string} nonce - Payment nonce
+   * @returns {Promise<boolean>} Whether the nonce is used
+   */
+  async isNonceUsed(from, nonce) {
+    return Boolean(await this.store.get(nonceKey(from, nonce)))
+  }
+
+  /**
+   * Claim a payment; must only run inside the consume queue
+   * @param {Object} payment - Payment to consume
+   * @returns {Promise<Object>} Consumption result
+   */
+  async claim(payment) {
+    const { txHash, resource, from, nonce } = payment
+    const existing = await this.getRecord(txHash)
+
+    if (existing) {
+      return {
+        consumed: false,
+        reason: 'Payment already consumed',
+        record: existing
+      }
+    }
+
+    if (nonce !== undefined && from && await this.isNonceUsed(from, nonce)) {
+      return {
+        consumed: false,
+        reason: 'Nonce already used',
+        record: await this.store.get(nonceKey(from, nonce))
+      }
+    }
+
+    const record = {
+      txHash,
+      resource: resource || null,
+      from: from || null,
+      nonce: nonce ?? null,
+      consumedAt: Date.now()
+    }
+
+    const writes = { [txKey(txHash)]: record }
+    if (nonce !== undefined && from) {
+      writes[nonceKey(from, nonce)] = record
+    }
+
+    await this.store.setMany(writes)
+
+    return { consumed: true, record }
+  }
+}
+
+/**
+ * Build the store key for a transaction hash
+ * @param {string} txHash - Transaction hash
+ * @returns {string} Store key
+ */
+function txKey(txHash) {
+  return `tx:${txHash.toLowerCase()}`
+}
+
+/**
+ * Build the store key for a payer nonce
+ * @param {string} from - Payer address
+ * @param {string} nonce - Payment nonce
+ * @returns {string} Store key
+ */
+function nonceKey(from, nonce) {
+  return `nonce:${from.toLowerCase()}:${nonce}`
+}
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { SpentPaymentStore } from './SpentPaymentStore.js'
+
+const PAYER = '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'
+
+describe('SpentPaymentStore', () => {
+  it('consumes a transaction once, whatever the hash casing', async () => {
+    const store = new SpentPaymentStore()
+
+    assert.equal((await store.consume({ txHash: '0xABC', resource: '/a' })).consumed, true)
+
+    const replay = await store.consume({ txHash: '0xabc', resource: '/b' })
+    assert.equal(replay.consumed, false)
+    assert.equal(replay.reason, 'Payment already consumed')
+    assert.equal(replay.record.resource, '/a')
+  })
+
+  it('scopes nonces to the payer', async () => {
+    const store = new SpentPaymentStore()
+
+    await store.consume({ txHash: '0x1', from: PAYER, nonce: '1' })
+
+    assert.equal((await store.consume({ txHash: '0x2', from: PAYER.toLowerCase(), nonce: '1' })).reason, 'Nonce already used')
+    assert.equal((await store.consume({ txHash: '0x3', from: '0x' + '22'.repeat(20), nonce: '1' })).consumed, true)
+    assert.equal(await store.isNonceUsed(PAYER, '1'), true)
+  })
+
+  it('serializes concurrent claims on the same payment', async () => {
+    const store = new SpentPaymentStore()
+    const results = await Promise.all(Array.from({ length: 5 }, () => store.consume({ txHash: '0x1' })))
+
+    assert.equal(results.filter(result => result.consumed).length, 1)
+  })
+
+  it('remembers consumed payments across restarts when file-backed', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'x402-spent-'))
+
+    try {
+      const path = join(dir, 'spent.json')
+      await new SpentPaymentStore({ path }).consume({ txHash: '0x1', from: PAYER, nonce: '9' })
+
+      const restarted = new SpentPaymentStore({ path })
+      assert.equal((await restarted.consume({ txHash: '0x1' })).consumed, false)
+      assert.equal((await restarted.consume({ txHash: '0x2', from: PAYER, nonce: '9' })).reason, 'Nonce already used')
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+})